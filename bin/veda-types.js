@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+/**
+ * Generate TypeScript interfaces from the Veda ontology.
+ *
+ * Usage:
+ *   veda-types ontology.ttl more.json -o src/ontology.d.ts
+ *   veda-types --url https://veda.example.com --user veda --password secret -o src/ontology.d.ts
+ */
+
+import {readFile, writeFile} from 'fs/promises';
+import {createHash} from 'crypto';
+import {parseArgs} from 'util';
+import Backend from '../src/Backend.js';
+import VQL from '../src/VQL.js';
+import {generateTypes} from '../src/TypeGenerator.js';
+import {parseTurtle, parseJSONLD} from '../src/RDF.js';
+
+const ONTOLOGY_TYPES = [
+  'owl:Class', 'rdfs:Class',
+  'rdf:Property', 'owl:DatatypeProperty', 'owl:ObjectProperty', 'owl:AnnotationProperty',
+  'v-ui:PropertySpecification', 'v-ui:DatatypePropertySpecification', 'v-ui:ObjectPropertySpecification',
+];
+
+const USAGE = `Usage: veda-types [files...] [--url <base> --user <login> --password <password>] [-o <file>] [--import <module>]
+
+  files        Ontology dumps: .ttl/.nt (Turtle, N-Triples), .jsonld (JSON-LD) or .json (array of individuals)
+  --url        Load the ontology from a Veda server instead
+  --user       Login for --url
+  --password   Password for --url (hashed before sending)
+  -o, --out    Output file (default: stdout)
+  --import     Module to import Model from (default: veda-client)`;
+
+const {values: options, positionals: files} = parseArgs({
+  allowPositionals: true,
+  options: {
+    url: {type: 'string'},
+    user: {type: 'string'},
+    password: {type: 'string'},
+    out: {type: 'string', short: 'o'},
+    import: {type: 'string', default: 'veda-client'},
+    help: {type: 'boolean', short: 'h'},
+  },
+});
+
+if (options.help || !files.length && !options.url) {
+  console.log(USAGE);
+  process.exit(options.help ? 0 : 1);
+}
+
+try {
+  const individuals = [];
+  for (const file of files) individuals.push(...await readDump(file));
+  if (options.url) individuals.push(...await loadFromServer(options));
+  const types = generateTypes(individuals, {importFrom: options.import});
+  if (options.out) {
+    await writeFile(options.out, types);
+    console.error(`veda-types: wrote ${options.out}`);
+  } else {
+    process.stdout.write(types);
+  }
+} catch (error) {
+  console.error(`veda-types: ${error.message}`);
+  process.exit(1);
+}
+
+async function readDump (file) {
+  const text = await readFile(file, 'utf8');
+  if (/\.(ttl|nt)$/i.test(file)) return parseTurtle(text);
+  if (/\.jsonld$/i.test(file)) return parseJSONLD(text);
+  const data = JSON.parse(text);
+  return Array.isArray(data) ? data : [data];
+}
+
+async function loadFromServer ({url, user, password = ''}) {
+  Backend.init(url);
+  if (user) await Backend.authenticate(user, createHash('sha256').update(password).digest('hex'));
+  const query = VQL.or(...ONTOLOGY_TYPES.map((type) => VQL.eq('rdf:type', type)));
+  const {result = []} = await Backend.query(query.toParams({top: 100000, limit: 100000}));
+  const individuals = [];
+  for (let i = 0; i < result.length; i += 1000) {
+    individuals.push(...await Backend.get_individuals(result.slice(i, i + 1000)));
+  }
+  return individuals;
+}
@@ -179,7 +179,7 @@ import { DEVTOOLS_CONFIG } from '../config.js';
           stats: componentTracker.getPerformanceStats(),
           profiling: profiler.profiling
         },
-        subscriptions: subscriptionTracker.getStats(hook.wsConnected)
+        subscriptions: subscriptionTracker.getStats(hook.wsConnected, findSubscriptionObject()?.state)
       };
     }
   };
@@ -67,12 +67,19 @@ export class SubscriptionTracker {
     }
   }
 
-  getStats(wsConnected) {
+  getStats(wsConnected, connection) {
     return {
       active: Array.from(this.subscriptions.values()),
       history: this.subscriptionHistory.slice(-100),
       totalSubscriptions: this.subscriptions.size,
-      wsConnected: wsConnected || false
+      wsConnected: wsConnected || false,
+      // Connection metrics from Subscription.state (plain copy for postMessage)
+      connection: connection ? {
+        status: connection.status,
+        attempt: connection.attempt,
+        reconnects: connection.reconnects,
+        lastMessage: connection.lastMessage
+      } : null
     };
   }
 }
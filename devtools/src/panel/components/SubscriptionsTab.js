@@ -12,6 +12,7 @@ export default class SubscriptionsTab extends Component(HTMLElement) {
     this.state.activeSubscriptions = [];
     this.state.history = [];
     this.state.wsConnected = false;
+    this.state.connection = null;
     this.state.historyExpanded = false;
   }
 
@@ -43,6 +44,12 @@ export default class SubscriptionsTab extends Component(HTMLElement) {
     return this.state.wsConnected ? 'WebSocket Connected' : 'WebSocket Disconnected';
   }
 
+  get connectionMetrics() {
+    const connection = this.state.connection;
+    if (!connection) return '';
+    return `${connection.reconnects} reconnects · last message ${formatRelativeTime(connection.lastMessage)}`;
+  }
+
   get historyToggleIcon() {
     return this.state.historyExpanded ? '▼' : '▶';
   }
@@ -64,6 +71,7 @@ export default class SubscriptionsTab extends Component(HTMLElement) {
           <span class="ws-dot"></span>
           {this.wsStatusText}
         </div>
+        <span class="ws-metrics">{this.connectionMetrics}</span>
       </div>
 
       <div class="subscriptions-content">
@@ -49,6 +49,7 @@ class DevToolsPanel extends Component(HTMLElement) {
     this.state.activeSubscriptions = [];
     this.state.subscriptionHistory = [];
     this.state.wsConnected = false;
+    this.state.connection = null;
     this.state.navigateToModelId = null;
 
     this.port = null;
@@ -286,6 +287,7 @@ class DevToolsPanel extends Component(HTMLElement) {
       this.state.activeSubscriptions = data.subscriptions.active || [];
       this.state.subscriptionHistory = data.subscriptions.history || [];
       this.state.wsConnected = data.subscriptions.wsConnected || false;
+      this.state.connection = data.subscriptions.connection || null;
     }
   }
 
@@ -542,7 +544,8 @@ class DevToolsPanel extends Component(HTMLElement) {
             <subscriptions-tab
               :active-subscriptions="{this.state.activeSubscriptions}"
               :history="{this.state.subscriptionHistory}"
-              :ws-connected="{this.state.wsConnected}">
+              :ws-connected="{this.state.wsConnected}"
+              :connection="{this.state.connection}">
             </subscriptions-tab>
           </${If}>
         </div>
@@ -1,4 +1,5 @@
 import BackendError from './BackendError.js';
+import { EmitterInstance } from './Emitter.js';
 import { ValueData } from './Value.js';
 
 export interface IndividualData {
@@ -29,27 +30,126 @@ export interface QueryParams {
   sql?: boolean;
 }
 
+export interface RetryPolicy {
+  /** Max attempts including the first one */
+  attempts: number;
+  /** Base delay between attempts (ms) */
+  delay: number;
+  /** Backoff multiplier per attempt */
+  factor: number;
+  /** Upper bound for delay (ms) */
+  maxDelay: number;
+  /** Randomize delay into the [50%, 100%] range */
+  jitter: boolean;
+  /** BackendError codes that are retried */
+  statuses: number[];
+  /** Also retry non-idempotent requests (writes, uploads) */
+  retryUnsafe: boolean;
+}
+
+export interface RequestOptions {
+  signal?: AbortSignal;
+  /** Per-attempt timeout (ms), rejects with BackendError 408 */
+  timeout?: number;
+  /** Cancellation scope, see Backend.cancel() */
+  scope?: object;
+  retry?: Partial<RetryPolicy>;
+}
+
 export interface UploadFileParams {
   path: string;
   uri: string;
   file: File | Blob | string;
   signal?: AbortSignal;
+  timeout?: number;
+  scope?: object;
+  retry?: Partial<RetryPolicy>;
+}
+
+export interface TransportRequest {
+  url: URL;
+  method: string;
+  headers: Record<string, string>;
+  body?: string | FormData;
+  signal?: AbortSignal;
+  credentials?: RequestCredentials;
+  mode?: RequestMode;
+  cache?: RequestCache;
+}
+
+export interface TransportResponse {
+  ok: boolean;
+  status: number;
+  headers?: { get(name: string): string | null };
+  json(): Promise<any>;
+}
+
+export interface Transport {
+  request(request: TransportRequest): Promise<TransportResponse>;
+}
+
+export type RequestInterceptor = (request: TransportRequest) => TransportRequest | void | Promise<TransportRequest | void>;
+export type ResponseInterceptor = (response: TransportResponse, request: TransportRequest) => TransportResponse | void | Promise<TransportResponse | void>;
+
+export const fetchTransport: Transport;
+
+/** Session storage with the Web Storage interface (localStorage, sessionStorage or custom) */
+export interface StorageAdapter {
+  getItem(key: string): string | null;
+  setItem(key: string, value: string): void;
+  removeItem(key: string): void;
+}
+
+export function memoryStorage(): StorageAdapter;
+
+export interface BackendOptions {
+  base?: string;
+  storage?: StorageAdapter;
+  transport?: Transport;
+}
+
+export interface TicketPolicy {
+  /** Obtains a new ticket before the current one expires, e.g. with Backend.authenticate() (default null: no renewal) */
+  renew: (() => Promise<unknown>) | null;
+  /** How long before expiry to renew (ms) */
+  renewBefore: number;
+  /** Called when a request fails with 470/471; the request is replayed once after it resolves */
+  reauthenticate: (() => Promise<void>) | null;
 }
 
 export default class Backend {
   static user_uri: string;
   static expires: number;
+  /** Current ticket id, if known to the client (auth response or Node.js cookie) */
+  static readonly ticket: string | undefined;
   static base: string;
+  static storage: StorageAdapter;
 
   static errorListeners: Set<(error: BackendError) => void>;
 
   static onError(listener: (error: BackendError) => void): () => void;
   static emitError(error: BackendError): void;
 
-  static init(base?: string): void;
+  static retryPolicy: RetryPolicy;
+  static requestTimeout: number;
+  static ticketPolicy: TicketPolicy;
+  /** Session events: 'login', 'logout', 'ticket-expired', 'ticket-renewed' */
+  static events: EmitterInstance;
+  static transport: Transport;
+  static requestInterceptors: Set<RequestInterceptor>;
+  static responseInterceptors: Set<ResponseInterceptor>;
+
+  static onRequest(interceptor: RequestInterceptor): () => void;
+  static onResponse(interceptor: ResponseInterceptor): () => void;
+
+  static cancel(scope: object): void;
+
+  static init(base?: string, options?: Omit<BackendOptions, 'base'>): void;
+  static create(options?: BackendOptions): typeof Backend;
 
   static authenticate(login: string, password: string, secret?: string): Promise<AuthResult>;
   static get_ticket_trusted(login: string): Promise<AuthResult>;
+  static renewTicket(): Promise<AuthResult>;
   static is_ticket_valid(): Promise<any>;
   static logout(): Promise<any>;
 
@@ -68,21 +168,21 @@ export default class Backend {
     limit?: number,
     from?: number,
     sql?: boolean,
-    tries?: number,
-    signal?: AbortSignal
+    signal?: AbortSignal | RequestOptions,
+    tries?: number
   ): Promise<QueryResult>;
 
-  static stored_query(data: any, signal?: AbortSignal): Promise<QueryResult>;
+  static stored_query(data: any, signal?: AbortSignal | RequestOptions): Promise<QueryResult>;
 
-  static get_individual(uri: string, cache?: boolean, signal?: AbortSignal): Promise<IndividualData>;
-  static get_individuals(uris: string[], signal?: AbortSignal): Promise<IndividualData[]>;
+  static get_individual(uri: string, cache?: boolean, signal?: AbortSignal | RequestOptions): Promise<IndividualData>;
+  static get_individuals(uris: string[], signal?: AbortSignal | RequestOptions): Promise<IndividualData[]>;
 
-  static put_individual(individual: IndividualData, signal?: AbortSignal): Promise<any>;
-  static add_to_individual(individual: IndividualData, signal?: AbortSignal): Promise<any>;
-  static set_in_individual(individual: IndividualData, signal?: AbortSignal): Promise<any>;
-  static remove_from_individual(individual: IndividualData, signal?: AbortSignal): Promise<any>;
-  static remove_individual(uri: string, signal?: AbortSignal): Promise<any>;
-  static put_individuals(individuals: IndividualData[], signal?: AbortSignal): Promise<any>;
+  static put_individual(individual: IndividualData, signal?: AbortSignal | RequestOptions): Promise<any>;
+  static add_to_individual(individual: IndividualData, signal?: AbortSignal | RequestOptions): Promise<any>;
+  static set_in_individual(individual: IndividualData, signal?: AbortSignal | RequestOptions): Promise<any>;
+  static remove_from_individual(individual: IndividualData, signal?: AbortSignal | RequestOptions): Promise<any>;
+  static remove_individual(uri: string, signal?: AbortSignal | RequestOptions): Promise<any>;
+  static put_individuals(individuals: IndividualData[], signal?: AbortSignal | RequestOptions): Promise<any>;
 
   static uploadFile(params: UploadFileParams): Promise<void>;
 }
@@ -1,488 +1,902 @@
 import BackendError from './BackendError.js';
+import Emitter from './Emitter.js';
 import {timeout} from './Util.js';
 
-/* c8 ignore next - Browser/Node.js environment check */
-const storage = typeof localStorage !== 'undefined' ? localStorage : {};
-
 /**
- * Static class for backend communication.
- * Handles authentication, data retrieval, and manipulation.
+ * In-memory session storage with the Web Storage interface (getItem, setItem, removeItem).
+ * @returns {Object} Storage adapter
  */
-export default class Backend {
-  static #cookie;
-  static user_uri;
-  static expires;
-  /* c8 ignore next - Browser/Node.js environment check */
-  static base = typeof location !== 'undefined' ? location.origin : 'http://localhost:8080';
+export function memoryStorage () {
+  const items = new Map();
+  return {
+    getItem: (key) => items.has(key) ? items.get(key) : null,
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  };
+}
 
-  static errorListeners = new Set();
+// Ticket not found, Ticket expired
+const TICKET_ERRORS = new Set([470, 471]);
 
-  /**
-   * Register a global error listener for backend errors.
-   * @param {Function} listener - Callback function receiving the error object
-   * @returns {Function} Unsubscribe function
-   */
-  static onError(listener) {
-    this.errorListeners.add(listener);
-    return () => this.errorListeners.delete(listener);
-  }
+// Database is busy, see Backend.query
+const BUSY = 999;
 
-  /**
-   * Emit an error to all registered listeners.
-   * @param {Error} error - The error to emit
-   */
-  static emitError(error) {
-    this.errorListeners.forEach(fn => fn(error));
-  }
+// Longest delay setTimeout accepts (~24.8 days)
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
 
+/**
+ * Default transport: sends requests with the global fetch.
+ * A transport takes a request object ({url, method, headers, body, signal, ...})
+ * and resolves with a fetch-compatible response ({ok, status, headers, json()}).
+ */
+export const fetchTransport = {
+  request ({url, ...options}) {
+    return fetch(url, options);
+  },
+};
+
+/**
+ * Create a Backend class with its own configuration and session state.
+ * @returns {typeof Backend}
+ */
+function createBackend () {
   /**
-   * Initialize the backend configuration.
-   * @param {string} base - Base URL of the backend server (default: current origin or localhost:8080)
+   * Static class for backend communication.
+   * Handles authentication, data retrieval, and manipulation.
    */
-  static init (base = this.base) {
-    const {user_uri, expires} = storage;
-    Backend.user_uri = user_uri;
-    Backend.expires = expires;
-    Backend.base = base;
-  }
-
-  static #handleTicket (result) {
-    Backend.user_uri = storage.user_uri = result.user_uri;
-    Backend.expires = storage.expires = Math.floor((result.end_time - 621355968000000000) / 10000);
-    return {
-      user_uri: Backend.user_uri,
-      expires: Backend.expires,
+  return class Backend {
+    static #cookie;
+    static #ticket;
+    static user_uri;
+    static expires;
+    /** Session storage adapter (Web Storage interface) */
+    /* c8 ignore next - Browser/Node.js environment check */
+    static storage = typeof localStorage !== 'undefined' ? localStorage : memoryStorage();
+    /* c8 ignore next - Browser/Node.js environment check */
+    static base = typeof location !== 'undefined' ? location.origin : 'http://localhost:8080';
+
+    static errorListeners = new Set();
+
+    /**
+     * Retry policy applied to all calls; override per call with the `retry` request option.
+     * Only idempotent requests (reads) are retried unless `retryUnsafe` is set.
+     */
+    static retryPolicy = {
+      attempts: 1,
+      delay: 500,
+      factor: 2,
+      maxDelay: 10_000,
+      jitter: true,
+      statuses: [0, 429, 503],
+      retryUnsafe: false,
     };
-  }
 
-  static #removeTicket () {
-    Backend.#cookie = undefined;
-    delete Backend.user_uri;
-    delete Backend.expires;
+    /** Default per-attempt timeout (ms) for all calls, 0 disables. Override per call with the `timeout` request option. */
+    static requestTimeout = 0;
+    static #scopes = new WeakMap();
+
+    static transport = fetchTransport;
+    static requestInterceptors = new Set();
+    static responseInterceptors = new Set();
+
+    /**
+     * Ticket lifecycle policy.
+     * renew - async callback that obtains a new ticket `renewBefore` ms before the current one
+     * expires (see renewTicket), e.g. by calling authenticate() again; null disables renewal;
+     * reauthenticate - async hook called when a request fails with 470/471,
+     * the request is replayed once after the hook resolves.
+     */
+    static ticketPolicy = {
+      renew: null,
+      renewBefore: 60_000,
+      reauthenticate: null,
+    };
 
-    delete storage.user_uri;
-    delete storage.expires;
-  }
+    /** Session events: 'login', 'logout', 'ticket-expired', 'ticket-renewed' */
+    static events = new (Emitter())();
+
+    static #ticketTimer;
+    static #listensStorage = false;
+    static #ticketExpired = false;
+    static #renewing = false;
+    static #reauthPromise = null;
+
+    /**
+     * Register a global error listener for backend errors.
+     * @param {Function} listener - Callback function receiving the error object
+     * @returns {Function} Unsubscribe function
+     */
+    static onError(listener) {
+      this.errorListeners.add(listener);
+      return () => this.errorListeners.delete(listener);
+    }
 
-  /**
-   * Authenticate user.
-   * @param {string} login - User login
-   * @param {string} password - User password
-   * @param {string} [secret] - Optional secret
-   * @returns {Promise<{user_uri: string, expires: number}>} Auth result
-   */
-  static authenticate (login, password, secret) {
-    const params = {
-      method: 'POST',
-      url: 'authenticate',
-      data: {login, password, secret},
-    };
-    return Backend.#call_server(params).then(Backend.#handleTicket);
-  }
+    /**
+     * Emit an error to all registered listeners.
+     * @param {Error} error - The error to emit
+     */
+    static emitError(error) {
+      this.errorListeners.forEach(fn => fn(error));
+    }
 
-  /**
-   * Get trusted ticket for a user (requires admin privileges).
-   * @param {string} login - User login
-   * @returns {Promise<{user_uri: string, expires: number}>} Auth result
-   */
-  static get_ticket_trusted (login) {
-    const params = {
-      method: 'GET',
-      url: 'get_ticket_trusted',
-      data: {login},
-    };
-    return Backend.#call_server(params).then(Backend.#handleTicket);
-  }
+    /**
+     * Register a request interceptor.
+     * Interceptors run in registration order before the request is passed to the transport.
+     * An interceptor may modify the request in place or return a replacement.
+     * @param {Function} interceptor - Callback receiving the request object
+     * @returns {Function} Unsubscribe function
+     */
+    static onRequest(interceptor) {
+      this.requestInterceptors.add(interceptor);
+      return () => this.requestInterceptors.delete(interceptor);
+    }
 
-  /**
-   * Check if the current session ticket (cookie) is valid.
-   * @returns {Promise<boolean>} True if valid
-   */
-  static is_ticket_valid () {
-    const params = {
-      method: 'GET',
-      url: 'is_ticket_valid',
-    };
-    return Backend.#call_server(params);
-  }
+    /**
+     * Register a response interceptor.
+     * Interceptors run in registration order before the response status is checked.
+     * An interceptor may return a replacement response.
+     * @param {Function} interceptor - Callback receiving the response and the request
+     * @returns {Function} Unsubscribe function
+     */
+    static onResponse(interceptor) {
+      this.responseInterceptors.add(interceptor);
+      return () => this.responseInterceptors.delete(interceptor);
+    }
 
-  /**
-   * Logout the current user and invalidate ticket.
-   * @returns {Promise<void>}
-   */
-  static logout () {
-    const params = {
-      method: 'GET',
-      url: 'logout',
-    };
-    return Backend.#call_server(params).then((result) => {
-      Backend.#removeTicket();
-      return result;
-    });
-  }
+    /**
+     * Cancel all in-flight requests started with the given `scope` request option.
+     * Cancelled calls reject with AbortError. Requests started later with the same scope are not affected.
+     * @param {object} scope - Scope object (e.g. a component or a route)
+     * @returns {void}
+     */
+    static cancel(scope) {
+      const controller = this.#scopes.get(scope);
+      if (!controller) return;
+      this.#scopes.delete(scope);
+      controller.abort(new DOMException('Request cancelled', 'AbortError'));
+    }
 
-  /**
-   * Get access rights for a resource.
-   * @param {string} uri - Resource URI
-   * @param {string} [user_id] - User URI (optional, defaults to current user)
-   * @returns {Promise<Object>} Rights object
-   */
-  static get_rights (uri, user_id) {
-    const params = {
-      method: 'GET',
-      url: 'get_rights',
-      data: {uri, user_id},
-    };
-    return Backend.#call_server(params);
-  }
+    /**
+     * Initialize the backend configuration.
+     * @param {string} base - Base URL of the backend server (default: current origin or localhost:8080)
+     */
+    static init (base = this.base, {storage = Backend.storage, transport = Backend.transport} = {}) {
+      Backend.base = base;
+      Backend.storage = storage;
+      Backend.transport = transport;
+      Backend.#loadSession();
+      /* c8 ignore next 3 - Browser only: follow login/logout in other tabs */
+      if (typeof window !== 'undefined' && !Backend.#listensStorage) {
+        window.addEventListener('storage', Backend.#syncSession);
+        Backend.#listensStorage = true;
+      }
+    }
 
-  /**
-   * Get origin of rights for a resource (why user has rights).
-   * @param {string} uri - Resource URI
-   * @returns {Promise<Object>} Rights origin info
-   */
-  static get_rights_origin (uri) {
-    const params = {
-      method: 'GET',
-      url: 'get_rights_origin',
-      data: {uri},
-    };
-    return Backend.#call_server(params);
-  }
+    /**
+     * Create an independent Backend with its own configuration and session
+     * (ticket cookie, storage, listeners, interceptors, policies).
+     * @param {Object} [options]
+     * @param {string} [options.base] - Base URL of the backend server (default: this backend's base)
+     * @param {Object} [options.storage] - Session storage adapter (default: memoryStorage())
+     * @param {Object} [options.transport] - Transport (default: fetchTransport)
+     * @returns {typeof Backend} New Backend class
+     */
+    static create ({base = this.base, storage = memoryStorage(), transport = fetchTransport} = {}) {
+      const backend = createBackend();
+      backend.init(base, {storage, transport});
+      return backend;
+    }
 
-  /**
-   * Get membership information for a resource (groups/orgs it belongs to).
-   * @param {string} uri - Resource URI
-   * @returns {Promise<Object>} Membership info
-   */
-  static get_membership (uri) {
-    const params = {
-      method: 'GET',
-      url: 'get_membership',
-      data: {uri},
-    };
-    return Backend.#call_server(params);
-  }
+    static #loadSession () {
+      Backend.user_uri = Backend.storage.getItem('user_uri') ?? undefined;
+      Backend.expires = Number(Backend.storage.getItem('expires')) || undefined;
+      Backend.#watchTicket();
+    }
 
-  /**
-   * Get state of an async operation in a module.
-   * @param {string} module_id - Module identifier
-   * @param {number} wait_op_id - Operation ID to wait for
-   * @returns {Promise<number>} Current operation ID
-   */
-  static get_operation_state (module_id, wait_op_id) {
-    const params = {
-      method: 'GET',
-      url: 'get_operation_state',
-      data: {module_id, wait_op_id},
+    static #syncSession = (event) => {
+      if (event.storageArea !== Backend.storage || ![null, 'user_uri', 'expires'].includes(event.key)) return;
+      const user_uri = Backend.storage.getItem('user_uri');
+      if (user_uri === null) {
+        if (Backend.user_uri) Backend.#expire();
+      } else {
+        const changed = user_uri !== Backend.user_uri;
+        Backend.#loadSession();
+        if (changed) Backend.events.emit('login', {user_uri, expires: Backend.expires});
+      }
     };
-    return Backend.#call_server(params);
-  }
 
-  /**
-   * Wait for a specific operation to complete in a module.
-   * @param {string} module_id - Module identifier
-   * @param {number} op_id - Operation ID
-   * @param {number} [__maxCalls=10] - Internal recursion limit
-   * @returns {Promise<boolean>} True if operation completed
-   */
-  static wait_module (module_id, op_id, __maxCalls = 10) {
-    if (!__maxCalls) return Promise.resolve(false);
-    return timeout(250 * (10 - __maxCalls)).then(() =>
-      Backend.get_operation_state(module_id, op_id).then((module_op_id) => {
-        if (module_op_id < op_id) {
-          return Backend.wait_module(module_id, op_id, --__maxCalls);
+    /**
+     * Current ticket id, sent by Subscription on connect. Known from the auth response
+     * or, in Node.js, the ticket cookie; undefined when only the browser holds the cookie.
+     * @returns {string|undefined}
+     */
+    static get ticket () {
+      return Backend.#ticket ?? Backend.#cookie?.slice('ticket='.length);
+    }
+
+    static #handleTicket (result) {
+      Backend.#ticket = result.id ?? Backend.#ticket;
+      Backend.user_uri = result.user_uri;
+      Backend.expires = Math.floor((result.end_time - 621355968000000000) / 10000);
+      Backend.storage.setItem('user_uri', Backend.user_uri);
+      Backend.storage.setItem('expires', Backend.expires);
+      Backend.#watchTicket();
+      return {
+        user_uri: Backend.user_uri,
+        expires: Backend.expires,
+      };
+    }
+
+    /**
+     * Schedule renewal (or expiry) of the current ticket.
+     */
+    static #watchTicket () {
+      clearTimeout(Backend.#ticketTimer);
+      Backend.#ticketExpired = false;
+      const expires = Number(Backend.expires);
+      if (!expires) return;
+      const {renew, renewBefore} = Backend.ticketPolicy;
+      if (renew) {
+        Backend.#scheduleTicket(expires - renewBefore, Backend.#renew);
+      } else {
+        Backend.#scheduleTicket(expires, Backend.#expire);
+      }
+    }
+
+    static #scheduleTicket (at, fn) {
+      const delay = Math.max(0, at - Date.now());
+      Backend.#ticketTimer = setTimeout(() => {
+        if (delay > MAX_TIMER_DELAY) Backend.#scheduleTicket(at, fn);
+        else fn();
+      }, Math.min(delay, MAX_TIMER_DELAY));
+      // Do not keep Node.js process alive for the timer
+      Backend.#ticketTimer.unref?.();
+    }
+
+    static async #renew () {
+      try {
+        const result = await Backend.renewTicket();
+        Backend.events.emit('ticket-renewed', result);
+      } catch {
+        // Renewal failed: the ticket stays usable until it expires
+        if (!Backend.#ticketExpired && Backend.expires) {
+          Backend.#scheduleTicket(Number(Backend.expires), Backend.#expire);
         }
-        return true;
-      })
-    );
-  }
+      }
+    }
 
-  /**
-   * Execute a search query.
-   * @param {string|Object} queryStr - VQL query string or params object
-   * @param {string} [sort] - Sort expression (e.g. "'v-s:created' desc")
-   * @param {string[]} [databases] - Databases to search in
-   * @param {number} [top] - Number of results to return
-   * @param {number} [limit] - Limit results
-   * @param {number} [from] - Offset
-   * @param {string} [sql] - SQL query (advanced)
-   * @param {AbortSignal} [signal] - Abort signal
-   * @param {number} [tries=10] - Retry attempts for busy server
-   * @returns {Promise<{result: string[], count: number, estimated: number}>} Query results
-   */
-  static query (queryStr, sort, databases, top, limit, from, sql, signal, tries = 10) {
-    if (!tries) return Promise.reject(new BackendError(429));
-    const arg = queryStr;
-    const isObj = typeof arg === 'object';
-    const params = {
-      method: 'POST',
-      url: 'query',
-      data: isObj ? {...queryStr} : {query: queryStr, sort, databases, top, limit, from, sql},
-      signal,
-    };
-    return Backend.#call_server(params).catch(async (backendError) => {
-      if (backendError.code === 999 && tries > 1) {
-        await timeout(1000);
-        return Backend.query(queryStr, sort, databases, top, limit, from, sql, signal, --tries);
+    /**
+     * Drop the expired session and notify listeners once per ticket.
+     */
+    static #expire () {
+      if (Backend.#ticketExpired) return;
+      const {user_uri, expires} = Backend;
+      Backend.#removeTicket();
+      Backend.#ticketExpired = true;
+      Backend.events.emit('ticket-expired', {user_uri, expires});
+    }
+
+    static #login (session) {
+      // A renewal keeps the session, it is reported as 'ticket-renewed' instead
+      if (!Backend.#renewing) Backend.events.emit('login', session);
+      return session;
+    }
+
+    static #reauthenticate () {
+      Backend.#reauthPromise ??= (async () => {
+        try {
+          await Backend.ticketPolicy.reauthenticate();
+        } finally {
+          Backend.#reauthPromise = null;
+        }
+      })();
+      return Backend.#reauthPromise;
+    }
+
+    static #removeTicket () {
+      clearTimeout(Backend.#ticketTimer);
+      Backend.#cookie = undefined;
+      Backend.#ticket = undefined;
+      delete Backend.user_uri;
+      delete Backend.expires;
+
+      Backend.storage.removeItem('user_uri');
+      Backend.storage.removeItem('expires');
+    }
+
+    /**
+     * Authenticate user.
+     * @param {string} login - User login
+     * @param {string} password - User password
+     * @param {string} [secret] - Optional secret
+     * @returns {Promise<{user_uri: string, expires: number}>} Auth result
+     */
+    static authenticate (login, password, secret) {
+      const params = {
+        method: 'POST',
+        url: 'authenticate',
+        data: {login, password, secret},
+        ticket: true,
+      };
+      return Backend.#call_server(params).then(Backend.#handleTicket).then(Backend.#login);
+    }
+
+    /**
+     * Get trusted ticket for a user (requires admin privileges).
+     * @param {string} login - User login
+     * @returns {Promise<{user_uri: string, expires: number}>} Auth result
+     */
+    static get_ticket_trusted (login) {
+      const params = {
+        method: 'GET',
+        url: 'get_ticket_trusted',
+        data: {login},
+        ticket: true,
+      };
+      return Backend.#call_server(params).then(Backend.#handleTicket).then(Backend.#login);
+    }
+
+    /**
+     * Renew the current ticket with the ticketPolicy.renew callback, called before the ticket
+     * expires. The callback must leave a new ticket in place, e.g. with authenticate().
+     * @returns {Promise<{user_uri: string, expires: number}>} Renewed session
+     */
+    static async renewTicket () {
+      const {renew} = Backend.ticketPolicy;
+      if (!renew) throw new Error('Backend.renewTicket: ticketPolicy.renew is not set');
+      const expires = Backend.expires;
+      Backend.#renewing = true;
+      try {
+        await renew();
+      } finally {
+        Backend.#renewing = false;
+      }
+      if (!Backend.expires || Backend.expires === expires) {
+        throw new Error('Backend.renewTicket: ticketPolicy.renew did not issue a new ticket');
       }
-      throw backendError;
-    });
-  }
+      return {
+        user_uri: Backend.user_uri,
+        expires: Backend.expires,
+      };
+    }
 
-  /**
-   * Execute a stored query.
-   * @param {Object} data - Stored query parameters
-   * @param {AbortSignal} [signal] - Abort signal
-   * @returns {Promise<Object>} Query results
-   */
-  static stored_query (data, signal) {
-    const params = {
-      method: 'POST',
-      url: 'stored_query',
-      data,
-      signal,
-    };
-    return Backend.#call_server(params);
-  }
+    /**
+     * Check if the current session ticket (cookie) is valid.
+     * @returns {Promise<boolean>} True if valid
+     */
+    static is_ticket_valid () {
+      const params = {
+        method: 'GET',
+        url: 'is_ticket_valid',
+      };
+      return Backend.#call_server(params);
+    }
 
-  /**
-   * Get individual resource by URI.
-   * @param {string} uri - Resource URI
-   * @param {boolean} [cache=true] - Allow server-side caching
-   * @param {AbortSignal} [signal] - Abort signal
-   * @returns {Promise<Object>} JSON resource data
-   */
-  static get_individual (uri, cache = true, signal = undefined) {
-    const params = {
-      method: 'GET',
-      url: 'get_individual',
-      data: {uri, ...(!cache && {'vsn': Date.now()})},
-      signal,
-    };
-    return Backend.#call_server(params);
-  }
+    /**
+     * Logout the current user and invalidate ticket.
+     * @returns {Promise<void>}
+     */
+    static logout () {
+      const params = {
+        method: 'GET',
+        url: 'logout',
+        ticket: true,
+      };
+      return Backend.#call_server(params).then((result) => {
+        const {user_uri} = Backend;
+        Backend.#removeTicket();
+        Backend.events.emit('logout', {user_uri});
+        return result;
+      });
+    }
 
-  /**
-   * Get multiple individuals by URIs.
-   * @param {string[]} uris - Array of resource URIs
-   * @param {AbortSignal} [signal] - Abort signal
-   * @returns {Promise<Object[]>} Array of JSON resource data
-   */
-  static get_individuals (uris, signal) {
-    const params = {
-      method: 'POST',
-      url: 'get_individuals',
-      data: {uris},
-      signal,
-    };
-    return Backend.#call_server(params);
-  }
+    /**
+     * Get access rights for a resource.
+     * @param {string} uri - Resource URI
+     * @param {string} [user_id] - User URI (optional, defaults to current user)
+     * @returns {Promise<Object>} Rights object
+     */
+    static get_rights (uri, user_id) {
+      const params = {
+        method: 'GET',
+        url: 'get_rights',
+        data: {uri, user_id},
+      };
+      return Backend.#call_server(params);
+    }
 
-  /**
-   * Remove an individual.
-   * @param {string} uri - Resource URI to remove
-   * @param {AbortSignal} [signal] - Abort signal
-   * @returns {Promise<Object>} Operation result
-   */
-  static remove_individual (uri, signal) {
-    const params = {
-      method: 'PUT',
-      url: 'remove_individual',
-      data: {uri},
-      signal,
-    };
-    return Backend.#call_server(params);
-  }
+    /**
+     * Get origin of rights for a resource (why user has rights).
+     * @param {string} uri - Resource URI
+     * @returns {Promise<Object>} Rights origin info
+     */
+    static get_rights_origin (uri) {
+      const params = {
+        method: 'GET',
+        url: 'get_rights_origin',
+        data: {uri},
+      };
+      return Backend.#call_server(params);
+    }
 
-  /**
-   * Create or update an individual (full replace).
-   * @param {Object} individual - JSON object
-   * @param {AbortSignal} [signal] - Abort signal
-   * @returns {Promise<Object>} Operation result
-   */
-  static put_individual (individual, signal) {
-    const params = {
-      method: 'PUT',
-      url: 'put_individual',
-      data: {individual},
-      signal,
-    };
-    return Backend.#call_server(params);
-  }
+    /**
+     * Get membership information for a resource (groups/orgs it belongs to).
+     * @param {string} uri - Resource URI
+     * @returns {Promise<Object>} Membership info
+     */
+    static get_membership (uri) {
+      const params = {
+        method: 'GET',
+        url: 'get_membership',
+        data: {uri},
+      };
+      return Backend.#call_server(params);
+    }
 
-  /**
-   * Add values to an existing individual (append).
-   * Useful for concurrent updates to avoid race conditions.
-   * @param {Object} individual - Partial JSON object with values to add
-   * @param {AbortSignal} [signal] - Abort signal
-   * @returns {Promise<Object>} Operation result
-   */
-  static add_to_individual (individual, signal) {
-    const params = {
-      method: 'PUT',
-      url: 'add_to_individual',
-      data: {individual},
-      signal,
-    };
-    return Backend.#call_server(params);
-  }
+    /**
+     * Get state of an async operation in a module.
+     * @param {string} module_id - Module identifier
+     * @param {number} wait_op_id - Operation ID to wait for
+     * @returns {Promise<number>} Current operation ID
+     */
+    static get_operation_state (module_id, wait_op_id) {
+      const params = {
+        method: 'GET',
+        url: 'get_operation_state',
+        data: {module_id, wait_op_id},
+      };
+      return Backend.#call_server(params);
+    }
 
-  /**
-   * Set specific values in an existing individual (replace specific properties).
-   * Useful for concurrent updates.
-   * @param {Object} individual - Partial JSON object with values to set
-   * @param {AbortSignal} [signal] - Abort signal
-   * @returns {Promise<Object>} Operation result
-   */
-  static set_in_individual (individual, signal) {
-    const params = {
-      method: 'PUT',
-      url: 'set_in_individual',
-      data: {individual},
-      signal,
-    };
-    return Backend.#call_server(params);
-  }
+    /**
+     * Wait for a specific operation to complete in a module.
+     * @param {string} module_id - Module identifier
+     * @param {number} op_id - Operation ID
+     * @param {number} [__maxCalls=10] - Internal recursion limit
+     * @returns {Promise<boolean>} True if operation completed
+     */
+    static wait_module (module_id, op_id, __maxCalls = 10) {
+      if (!__maxCalls) return Promise.resolve(false);
+      return timeout(250 * (10 - __maxCalls)).then(() =>
+        Backend.get_operation_state(module_id, op_id).then((module_op_id) => {
+          if (module_op_id < op_id) {
+            return Backend.wait_module(module_id, op_id, --__maxCalls);
+          }
+          return true;
+        })
+      );
+    }
 
-  /**
-   * Remove specific values from an existing individual.
-   * Useful for concurrent updates.
-   * @param {Object} individual - Partial JSON object with values to remove
-   * @param {AbortSignal} [signal] - Abort signal
-   * @returns {Promise<Object>} Operation result
-   */
-  static remove_from_individual (individual, signal) {
-    const params = {
-      method: 'PUT',
-      url: 'remove_from_individual',
-      data: {individual},
-      signal,
-    };
-    return Backend.#call_server(params);
-  }
+    /**
+     * Execute a search query.
+     * @param {string|Object} queryStr - VQL query string or params object
+     * @param {string} [sort] - Sort expression (e.g. "'v-s:created' desc")
+     * @param {string[]} [databases] - Databases to search in
+     * @param {number} [top] - Number of results to return
+     * @param {number} [limit] - Limit results
+     * @param {number} [from] - Offset
+     * @param {string} [sql] - SQL query (advanced)
+     * @param {AbortSignal|Object} [signal] - Abort signal or request options ({signal, timeout, scope, retry})
+     * @param {number} [tries=10] - Attempts for busy server (999); other failures follow Backend.retryPolicy
+     * @returns {Promise<{result: string[], count: number, estimated: number}>} Query results
+     */
+    static query (queryStr, sort, databases, top, limit, from, sql, signal, tries = 10) {
+      if (!tries) return Promise.reject(new BackendError(429));
+      const arg = queryStr;
+      const isObj = typeof arg === 'object';
+      const params = {
+        method: 'POST',
+        url: 'query',
+        data: isObj ? {...queryStr} : {query: queryStr, sort, databases, top, limit, from, sql},
+        signal,
+        idempotent: true,
+        // Busy database (999) is retried with a fixed delay
+        busy: {attempts: tries, delay: 1000, factor: 1, jitter: false},
+      };
+      return Backend.#call_server(params);
+    }
 
-  /**
-   * Create or update multiple individuals (batch).
-   * @param {Object[]} individuals - Array of JSON resource data
-   * @param {AbortSignal} [signal] - Abort signal
-   * @returns {Promise<Object>} Operation result
-   */
-  static put_individuals (individuals, signal) {
-    const params = {
-      method: 'PUT',
-      url: 'put_individuals',
-      data: {individuals},
-      signal,
-    };
-    return Backend.#call_server(params);
-  }
+    /**
+     * Execute a stored query.
+     * @param {Object} data - Stored query parameters
+     * @param {AbortSignal|Object} [signal] - Abort signal or request options ({signal, timeout, scope, retry})
+     * @returns {Promise<Object>} Query results
+     */
+    static stored_query (data, signal) {
+      const params = {
+        method: 'POST',
+        url: 'stored_query',
+        data,
+        signal,
+        idempotent: true,
+      };
+      return Backend.#call_server(params);
+    }
 
-  /**
-   * Extract ticket cookie from Set-Cookie response header (for Node.js compatibility).
-   * In browsers Cookie header is a forbidden header, so credentials: 'include' handles cookies.
-   * @param {Response} response - Fetch response
-   */
-  static #extractCookie (response) {
-    const setCookie = response.headers?.get('set-cookie');
-    if (setCookie) {
-      const match = setCookie.match(/\bticket=[^;]+/);
-      if (match) Backend.#cookie = match[0];
+    /**
+     * Get individual resource by URI.
+     * @param {string} uri - Resource URI
+     * @param {boolean} [cache=true] - Allow server-side caching
+     * @param {AbortSignal|Object} [signal] - Abort signal or request options ({signal, timeout, scope, retry})
+     * @returns {Promise<Object>} JSON resource data
+     */
+    static get_individual (uri, cache = true, signal = undefined) {
+      const params = {
+        method: 'GET',
+        url: 'get_individual',
+        data: {uri, ...(!cache && {'vsn': Date.now()})},
+        signal,
+      };
+      return Backend.#call_server(params);
     }
-  }
 
-  /**
-   * Common server call function
-   * @param {Object} params
-   * @return {Promise<Object>}
-   */
-  static async #call_server (params) {
-    const url = new URL(params.url, Backend.base);
-    if (params.method === 'GET' && params.data) {
-      for (const prop in params.data) {
-        if (typeof params.data[prop] === 'undefined') {
-          delete params.data[prop];
+    /**
+     * Get multiple individuals by URIs.
+     * @param {string[]} uris - Array of resource URIs
+     * @param {AbortSignal|Object} [signal] - Abort signal or request options ({signal, timeout, scope, retry})
+     * @returns {Promise<Object[]>} Array of JSON resource data
+     */
+    static get_individuals (uris, signal) {
+      const params = {
+        method: 'POST',
+        url: 'get_individuals',
+        data: {uris},
+        signal,
+        idempotent: true,
+      };
+      return Backend.#call_server(params);
+    }
+
+    /**
+     * Remove an individual.
+     * @param {string} uri - Resource URI to remove
+     * @param {AbortSignal|Object} [signal] - Abort signal or request options ({signal, timeout, scope, retry})
+     * @returns {Promise<Object>} Operation result
+     */
+    static remove_individual (uri, signal) {
+      const params = {
+        method: 'PUT',
+        url: 'remove_individual',
+        data: {uri},
+        signal,
+      };
+      return Backend.#call_server(params);
+    }
+
+    /**
+     * Create or update an individual (full replace).
+     * @param {Object} individual - JSON object
+     * @param {AbortSignal|Object} [signal] - Abort signal or request options ({signal, timeout, scope, retry})
+     * @returns {Promise<Object>} Operation result
+     */
+    static put_individual (individual, signal) {
+      const params = {
+        method: 'PUT',
+        url: 'put_individual',
+        data: {individual},
+        signal,
+      };
+      return Backend.#call_server(params);
+    }
+
+    /**
+     * Add values to an existing individual (append).
+     * Useful for concurrent updates to avoid race conditions.
+     * @param {Object} individual - Partial JSON object with values to add
+     * @param {AbortSignal|Object} [signal] - Abort signal or request options ({signal, timeout, scope, retry})
+     * @returns {Promise<Object>} Operation result
+     */
+    static add_to_individual (individual, signal) {
+      const params = {
+        method: 'PUT',
+        url: 'add_to_individual',
+        data: {individual},
+        signal,
+      };
+      return Backend.#call_server(params);
+    }
+
+    /**
+     * Set specific values in an existing individual (replace specific properties).
+     * Useful for concurrent updates.
+     * @param {Object} individual - Partial JSON object with values to set
+     * @param {AbortSignal|Object} [signal] - Abort signal or request options ({signal, timeout, scope, retry})
+     * @returns {Promise<Object>} Operation result
+     */
+    static set_in_individual (individual, signal) {
+      const params = {
+        method: 'PUT',
+        url: 'set_in_individual',
+        data: {individual},
+        signal,
+      };
+      return Backend.#call_server(params);
+    }
+
+    /**
+     * Remove specific values from an existing individual.
+     * Useful for concurrent updates.
+     * @param {Object} individual - Partial JSON object with values to remove
+     * @param {AbortSignal|Object} [signal] - Abort signal or request options ({signal, timeout, scope, retry})
+     * @returns {Promise<Object>} Operation result
+     */
+    static remove_from_individual (individual, signal) {
+      const params = {
+        method: 'PUT',
+        url: 'remove_from_individual',
+        data: {individual},
+        signal,
+      };
+      return Backend.#call_server(params);
+    }
+
+    /**
+     * Create or update multiple individuals (batch).
+     * @param {Object[]} individuals - Array of JSON resource data
+     * @param {AbortSignal|Object} [signal] - Abort signal or request options ({signal, timeout, scope, retry})
+     * @returns {Promise<Object>} Operation result
+     */
+    static put_individuals (individuals, signal) {
+      const params = {
+        method: 'PUT',
+        url: 'put_individuals',
+        data: {individuals},
+        signal,
+      };
+      return Backend.#call_server(params);
+    }
+
+    /**
+     * Extract ticket cookie from Set-Cookie response header (for Node.js compatibility).
+     * In browsers Cookie header is a forbidden header, so credentials: 'include' handles cookies.
+     * @param {Response} response - Fetch response
+     */
+    static #extractCookie (response) {
+      const setCookie = response.headers?.get('set-cookie');
+      if (setCookie) {
+        const match = setCookie.match(/\bticket=[^;]+/);
+        if (match) Backend.#cookie = match[0];
+      }
+    }
+
+    /**
+     * Trailing `signal` argument of Backend methods may be an AbortSignal or a request options object.
+     * @param {AbortSignal|Object} [signal]
+     * @return {Object} Request options
+     */
+    static #callOptions (signal) {
+      return signal && typeof signal === 'object' && !(signal instanceof AbortSignal) ? signal : {signal};
+    }
+
+    /**
+     * Common server call function
+     * @param {Object} params
+     * @return {Promise<Object>}
+     */
+    static #call_server (params) {
+      const {retry, ...options} = Backend.#callOptions(params.signal);
+      const url = new URL(params.url, Backend.base);
+      if (params.method === 'GET' && params.data) {
+        for (const prop in params.data) {
+          if (typeof params.data[prop] === 'undefined') {
+            delete params.data[prop];
+          }
         }
+        url.search = new URLSearchParams(params.data).toString();
       }
-      url.search = new URLSearchParams(params.data).toString();
-    }
-    const headers = { 'Content-Type': 'application/json' };
-    if (Backend.#cookie) headers['Cookie'] = Backend.#cookie;
-    const fetchOptions = {
-      method: params.method,
-      headers,
-      credentials: 'include',
-      body: params.method !== 'GET' ? JSON.stringify(params.data) : undefined,
-      signal: params.signal,
-    };
-    let response;
-    try {
-      response = await fetch(url, fetchOptions);
-      if (!response.ok) throw new BackendError(response.status);
-      Backend.#extractCookie(response);
-      return await response.json();
-    } catch (error) {
-      if (error.name === 'AbortError') {
-        throw error; // Пробрасываем AbortError дальше без оборачивания в BackendError
+      const headers = { 'Content-Type': 'application/json' };
+      const request = {
+        url,
+        method: params.method,
+        headers,
+        credentials: 'include',
+        body: params.method !== 'GET' ? JSON.stringify(params.data) : undefined,
+      };
+      return Backend.#send(request, (response) => response.json(), {
+        ...options,
+        retry,
+        busy: params.busy,
+        idempotent: params.method === 'GET' || !!params.idempotent,
+        ticket: !!params.ticket,
+      });
+    }
+
+    /**
+     * Send a request, retrying failed attempts according to the retry policy.
+     * Any failure except abort is wrapped into BackendError carrying the number of attempts made.
+     * @param {Object} request - Transport request
+     * @param {Function} read - Reads the result from a successful response
+     * @param {Object} options
+     * @param {AbortSignal} [options.signal] - Abort signal
+     * @param {number} [options.timeout] - Per-attempt timeout (ms), defaults to Backend.requestTimeout
+     * @param {object} [options.scope] - Cancellation scope (see Backend.cancel)
+     * @param {Object} [options.retry] - Retry policy overrides for this call
+     * @param {Object} [options.busy] - Retry policy overrides for busy server (999) errors
+     * @param {boolean} [options.idempotent] - Request is safe to repeat
+     * @param {boolean} [options.ticket] - Ticket management call, never replayed after re-authentication
+     * @return {Promise<any>}
+     */
+    static async #send (request, read, {signal, timeout: ms = Backend.requestTimeout, scope, retry, busy, idempotent, ticket}) {
+      const policy = {...Backend.retryPolicy, ...retry};
+      const busyPolicy = busy && {...policy, ...busy, ...retry, statuses: [BUSY]};
+      const controller = new AbortController();
+      const unlink = Backend.#link(controller, signal, scope && Backend.#scopeSignal(scope));
+      let replayed = false;
+      try {
+        for (let attempt = 1; ; attempt++) {
+          try {
+            return await Backend.#attemptWithTimeout(request, read, controller.signal, ms);
+          } catch (error) {
+            if (error.name === 'AbortError') {
+              throw error; // Пробрасываем AbortError дальше без оборачивания в BackendError
+            }
+            // Оборачиваем любые другие ошибки в BackendError
+            const backendError = error instanceof BackendError ? error : new BackendError(0, error);
+            backendError.attempts = attempt;
+            if (TICKET_ERRORS.has(backendError.code)) {
+              Backend.#expire();
+              if (!ticket && !replayed && await Backend.#tryReauthenticate(controller.signal)) {
+                replayed = true;
+                continue;
+              }
+            }
+            const current = busyPolicy && backendError.code === BUSY ? busyPolicy : policy;
+            if (attempt < current.attempts && Backend.#isRetryable(backendError, current, idempotent)) {
+              await Backend.#abortable(timeout(Backend.#retryDelay(attempt, current)), controller.signal);
+              continue;
+            }
+            Backend.emitError(backendError);
+            throw backendError;
+          }
+        }
+      } finally {
+        unlink();
       }
-      // Оборачиваем любые другие ошибки в BackendError
-      if (!(error instanceof BackendError)) {
-        const backendError = new BackendError(0, error);
-        Backend.emitError(backendError);
-        throw backendError;
+    }
+
+    /**
+     * Run one attempt with its own abort signal, aborted by the request signal or by the timeout.
+     * A timed out attempt rejects with BackendError 408.
+     */
+    static async #attemptWithTimeout (request, read, signal, ms) {
+      const controller = new AbortController();
+      const unlink = Backend.#link(controller, signal);
+      const timer = ms > 0 ? setTimeout(() => controller.abort(new BackendError(408)), ms) : undefined;
+      try {
+        controller.signal.throwIfAborted();
+        const headers = {...request.headers};
+        if (Backend.#cookie) headers['Cookie'] = Backend.#cookie;
+        const attempt = Backend.#attempt({...request, headers, signal: controller.signal}, read);
+        return await Backend.#abortable(attempt, controller.signal);
+      } finally {
+        clearTimeout(timer);
+        unlink();
       }
-      Backend.emitError(error);
-      throw error;
     }
-  }
 
-  /**
-   * Upload a file to the server.
-   * @param {Object} params
-   * @param {string} params.path - Target path
-   * @param {string} params.uri - Resource URI
-   * @param {File|string} params.file - File object or base64 string
-   * @param {AbortSignal} [params.signal] - Abort signal
-   * @returns {Promise<void>}
-   */
-  static async uploadFile ({path, uri, file, signal}) {
-    const form = new FormData();
-    form.append('path', path);
-    form.append('uri', uri);
-    if (typeof file === 'string') {
-      const content = file.startsWith('data:text/plain;base64') ? file : `data:text/plain;base64,${file}`;
-      form.append('content', content);
-    } else {
-      form.append('file', file);
-    }
-
-    const url = new URL('files', Backend.base);
-    const headers = {};
-    if (Backend.#cookie) headers['Cookie'] = Backend.#cookie;
-
-    const params = {
-      method: 'POST',
-      mode: 'same-origin',
-      cache: 'no-cache',
-      credentials: 'include',
-      headers,
-      body: form,
-      signal,
-    };
-    try {
-      const response = await fetch(url, params);
+    /**
+     * Abort the controller when any of the signals aborts.
+     * @return {Function} Removes the listeners
+     */
+    static #link (controller, ...signals) {
+      const links = signals.filter((signal) => signal instanceof AbortSignal);
+      const abort = (event) => controller.abort(event.target.reason);
+      for (const signal of links) {
+        if (signal.aborted) controller.abort(signal.reason);
+        else signal.addEventListener('abort', abort);
+      }
+      return () => links.forEach((signal) => signal.removeEventListener('abort', abort));
+    }
+
+    /**
+     * Reject as soon as the signal aborts, even if the promise never settles (e.g. a hung transport).
+     */
+    static #abortable (promise, signal) {
+      return new Promise((resolve, reject) => {
+        const abort = () => reject(signal.reason);
+        if (signal.aborted) abort();
+        else signal.addEventListener('abort', abort, {once: true});
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', abort));
+      });
+    }
+
+    static #scopeSignal (scope) {
+      let controller = Backend.#scopes.get(scope);
+      if (!controller) {
+        controller = new AbortController();
+        Backend.#scopes.set(scope, controller);
+      }
+      return controller.signal;
+    }
+
+    /**
+     * Pass a request through interceptors and the transport, check the response status
+     * and read the result.
+     * @param {Object} request - Transport request
+     * @param {Function} read - Reads the result from a successful response
+     * @return {Promise<any>}
+     */
+    static async #attempt (request, read) {
+      for (const interceptor of Backend.requestInterceptors) {
+        request = (await interceptor(request)) ?? request;
+      }
+      let response = await Backend.transport.request(request);
+      for (const interceptor of Backend.responseInterceptors) {
+        response = (await interceptor(response, request)) ?? response;
+      }
       if (!response.ok) throw new BackendError(response.status, response);
-    } catch (error) {
-      if (error.name === 'AbortError') {
-        throw error;
+      Backend.#extractCookie(response);
+      return await read(response);
+    }
+
+    /**
+     * Run the re-authentication hook, shared by all requests failed with 470/471.
+     * @return {Promise<boolean>} True if the request should be replayed
+     */
+    static async #tryReauthenticate (signal) {
+      if (!Backend.ticketPolicy.reauthenticate) return false;
+      try {
+        await Backend.#abortable(Backend.#reauthenticate(), signal);
+        return true;
+      } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        return false;
       }
-      if (!(error instanceof BackendError)) {
-        const backendError = new BackendError(0, error);
-        Backend.emitError(backendError);
-        throw backendError;
+    }
+
+    static #isRetryable (error, policy, idempotent) {
+      return (idempotent || policy.retryUnsafe) && policy.statuses.includes(error.code);
+    }
+
+    /**
+     * Exponential backoff with jitter: delay * factor^(attempt - 1), capped by maxDelay,
+     * randomized into the [50%, 100%] range when jitter is enabled.
+     */
+    static #retryDelay (attempt, policy) {
+      const delay = Math.min(policy.delay * policy.factor ** (attempt - 1), policy.maxDelay);
+      return policy.jitter ? delay * (0.5 + Math.random() / 2) : delay;
+    }
+
+    /**
+     * Upload a file to the server.
+     * @param {Object} params
+     * @param {string} params.path - Target path
+     * @param {string} params.uri - Resource URI
+     * @param {File|string} params.file - File object or base64 string
+     * @param {AbortSignal} [params.signal] - Abort signal
+     * @param {number} [params.timeout] - Per-attempt timeout (ms)
+     * @param {object} [params.scope] - Cancellation scope
+     * @param {Object} [params.retry] - Retry policy overrides
+     * @returns {Promise<void>}
+     */
+    static async uploadFile ({path, uri, file, signal, timeout, scope, retry}) {
+      const form = new FormData();
+      form.append('path', path);
+      form.append('uri', uri);
+      if (typeof file === 'string') {
+        const content = file.startsWith('data:text/plain;base64') ? file : `data:text/plain;base64,${file}`;
+        form.append('content', content);
+      } else {
+        form.append('file', file);
       }
-      Backend.emitError(error);
-      throw error;
+
+      const url = new URL('files', Backend.base);
+      const headers = {};
+
+      const request = {
+        url,
+        method: 'POST',
+        mode: 'same-origin',
+        cache: 'no-cache',
+        credentials: 'include',
+        headers,
+        body: form,
+      };
+      await Backend.#send(request, () => undefined, {signal, timeout, scope, retry, idempotent: false});
     }
-  }
+  };
 }
+
+const Backend = createBackend();
+
+export default Backend;
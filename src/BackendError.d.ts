@@ -1,6 +1,8 @@
 export default class BackendError extends Error {
   code: number;
   response?: any;
+  /** Number of attempts made before the error was thrown */
+  attempts?: number;
 
   constructor(code: number, response?: any);
   toString(): string;
@@ -17,6 +17,8 @@ export default class BackendError extends Error {
     400: 'Bad request',
     403: 'Forbidden',
     404: 'Not found',
+    408: 'Request timeout',
+    409: 'Conflict',
     422: 'Unprocessable entity',
     423: 'Locked',
     429: 'Too many requests',
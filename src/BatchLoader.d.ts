@@ -0,0 +1,19 @@
+import { IndividualData } from './Backend.js';
+
+export interface BatchLoaderOptions {
+  maxBatchSize?: number;
+  delay?: number;
+  /** Backend to load from (default: Backend) */
+  backend?: { get_individual: Function; get_individuals: Function };
+}
+
+export default class BatchLoader {
+  maxBatchSize: number;
+  delay: number;
+  backend: { get_individual: Function; get_individuals: Function };
+
+  constructor(options?: BatchLoaderOptions);
+
+  load(uri: string): Promise<IndividualData>;
+  flush(): Promise<void>;
+}
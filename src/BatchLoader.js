@@ -0,0 +1,81 @@
+import Backend from './Backend.js';
+
+/**
+ * Coalesces individual loads issued in the same tick into Backend.get_individuals calls.
+ * A batch of one URI is loaded with Backend.get_individual.
+ * If a batch request fails, or the server omits some individuals, those URIs
+ * fall back to single loads so that each caller gets its own result or error.
+ */
+export default class BatchLoader {
+  #queue = new Map();
+  #timer = null;
+
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxBatchSize=100] - Max URIs per get_individuals request (1 disables batching)
+   * @param {number} [options.delay=0] - Time (ms) to collect loads before sending
+   * @param {Object} [options.backend=Backend] - Backend to load from
+   */
+  constructor ({maxBatchSize = 100, delay = 0, backend = Backend} = {}) {
+    this.maxBatchSize = maxBatchSize;
+    this.delay = delay;
+    this.backend = backend;
+  }
+
+  /**
+   * Queue an individual for loading.
+   * @param {string} uri - Resource URI
+   * @returns {Promise<Object>} JSON resource data
+   */
+  load (uri) {
+    const queued = this.#queue.get(uri);
+    if (queued) return queued.promise;
+
+    const entry = {};
+    entry.promise = new Promise((resolve, reject) => {
+      entry.resolve = resolve;
+      entry.reject = reject;
+    });
+    this.#queue.set(uri, entry);
+    this.#timer ??= setTimeout(() => this.flush(), this.delay);
+    return entry.promise;
+  }
+
+  /**
+   * Send all queued loads immediately.
+   * @returns {Promise<void>}
+   */
+  async flush () {
+    clearTimeout(this.#timer);
+    this.#timer = null;
+    const entries = [...this.#queue];
+    this.#queue.clear();
+
+    const size = Math.max(1, this.maxBatchSize);
+    const batches = [];
+    for (let i = 0; i < entries.length; i += size) {
+      batches.push(this.#loadBatch(entries.slice(i, i + size)));
+    }
+    await Promise.all(batches);
+  }
+
+  async #loadBatch (entries) {
+    let missing = entries;
+    if (entries.length > 1) {
+      try {
+        const individuals = await this.backend.get_individuals(entries.map(([uri]) => uri));
+        const byUri = new Map(individuals.filter(Boolean).map((individual) => [individual['@'], individual]));
+        missing = entries.filter(([uri, entry]) => {
+          if (!byUri.has(uri)) return true;
+          entry.resolve(byUri.get(uri));
+          return false;
+        });
+      } catch {
+        // Fall back to single loads below
+      }
+    }
+    await Promise.all(missing.map(([uri, entry]) =>
+      this.backend.get_individual(uri).then(entry.resolve, entry.reject)
+    ));
+  }
+}
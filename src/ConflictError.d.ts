@@ -0,0 +1,30 @@
+import BackendError from './BackendError.js';
+import { IndividualData } from './Backend.js';
+import Model from './Model.js';
+
+export interface PropertyConflict {
+  property: string;
+  base: any[];
+  local: any[];
+  remote: any[];
+}
+
+export interface MergeResult {
+  merged: IndividualData;
+  conflicts: PropertyConflict[];
+}
+
+export function merge(base: IndividualData, local: IndividualData, remote: IndividualData): MergeResult;
+
+export default class ConflictError extends BackendError {
+  model: Model;
+  /** Individual as loaded */
+  base: IndividualData;
+  /** Individual being saved */
+  local: IndividualData;
+  /** Individual on the server */
+  remote: IndividualData;
+
+  constructor(model: Model, base: IndividualData, local: IndividualData, remote: IndividualData);
+  merge(): MergeResult;
+}
@@ -0,0 +1,57 @@
+import BackendError from './BackendError.js';
+
+/**
+ * Thrown by Model.save() when the server copy changed since the model was loaded
+ * (its v-s:updateCounter moved on). Holds the three versions of the individual
+ * as JSON resource data: base (as loaded), local (being saved) and remote (server).
+ */
+export default class ConflictError extends BackendError {
+  constructor (model, base, local, remote) {
+    super(409);
+    this.name = 'ConflictError';
+    this.model = model;
+    this.base = base;
+    this.local = local;
+    this.remote = remote;
+  }
+
+  /**
+   * Three-way merge of local and remote changes against the base.
+   * @returns {{merged: Object, conflicts: Array<{property: string, base: Array, local: Array, remote: Array}>}}
+   */
+  merge () {
+    return merge(this.base, this.local, this.remote);
+  }
+}
+
+/**
+ * Three-way merge of JSON resource data, property by property.
+ * A property changed on one side only takes that side's values; a property
+ * changed on both sides to different values is a conflict and keeps the local values.
+ * Server-managed v-s:updateCounter is taken from remote.
+ * @param {Object} base - Common ancestor
+ * @param {Object} local - Local version
+ * @param {Object} remote - Remote version
+ * @returns {{merged: Object, conflicts: Array<{property: string, base: Array, local: Array, remote: Array}>}}
+ */
+export function merge (base, local, remote) {
+  const key = (values = []) => JSON.stringify(values);
+  const merged = {'@': local['@'] ?? remote['@']};
+  const conflicts = [];
+  const props = new Set([...Object.keys(base), ...Object.keys(local), ...Object.keys(remote)]);
+  props.delete('@');
+  for (const property of props) {
+    const [b, l, r] = [base[property], local[property], remote[property]];
+    let values;
+    if (property === 'v-s:updateCounter' || key(l) === key(b)) {
+      values = r;
+    } else if (key(r) === key(b) || key(l) === key(r)) {
+      values = l;
+    } else {
+      conflicts.push({property, base: b ?? [], local: l ?? [], remote: r ?? []});
+      values = l;
+    }
+    if (values?.length) merged[property] = values;
+  }
+  return {merged, conflicts};
+}
@@ -1,3 +1,5 @@
+import {toRaw} from './Reactive.js';
+
 const CALLBACKS = Symbol('callbacks');
 
 export default function Emitter(Class = Object) {
@@ -25,8 +27,10 @@ export default function Emitter(Class = Object) {
     off (events, fn) {
       if (events === '*') this[CALLBACKS] = {};
       else if (fn) {
+        // On a reactive emitter (Model), stored callbacks read back through the proxy as
+        // bound copies that never equal fn, so compare against the raw callbacks
+        const callbacks = toRaw(this[CALLBACKS]);
         events.replace(/[^\s]+/g, (name) => {
-          const callbacks = this[CALLBACKS];
           if (Object.hasOwnProperty.call(callbacks, name)) {
             callbacks[name] = callbacks[name].filter((cb) => {
               return cb !== fn;
@@ -0,0 +1,30 @@
+import Model from './Model.js';
+
+export interface HistoryOptions {
+  coalesce?: number;
+  limit?: number;
+  auto?: boolean;
+}
+
+export interface HistoryState {
+  canUndo: boolean;
+  canRedo: boolean;
+}
+
+export default class History {
+  coalesce: number;
+  limit: number;
+  auto: boolean;
+  readonly state: HistoryState;
+  readonly canUndo: boolean;
+  readonly canRedo: boolean;
+
+  constructor(options?: HistoryOptions);
+
+  track(...models: Model[]): this;
+  untrack(...models: Model[]): this;
+  checkpoint(): void;
+  undo(): boolean;
+  redo(): boolean;
+  clear(): void;
+}
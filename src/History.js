@@ -0,0 +1,182 @@
+import {reactive} from './Reactive.js';
+
+/**
+ * Undo/redo history of property changes on one or many models.
+ * Changes are grouped into steps: by default each change starts a new step, except
+ * repeated changes of the same property within `coalesce` ms (e.g. typing), which
+ * are merged. checkpoint() always closes the current step. With `auto: false`
+ * all changes until the next checkpoint() form one step.
+ * Only local edits are recorded: data applied to a model (load, reset, apply(), updates
+ * from the server) is not, and drops the history of that model.
+ */
+export default class History {
+  #undo = [];
+  #redo = [];
+  #step = null;
+  #last = null;
+  #applying = false;
+  // Models whose data is being replaced by apply()
+  #receiving = new Set();
+  #listeners = new Map();
+
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.coalesce=500] - Time (ms) within which changes of the same property are merged
+   * @param {number} [options.limit=100] - Max number of undo steps kept
+   * @param {boolean} [options.auto=true] - Start a new step per change; false groups changes until checkpoint()
+   */
+  constructor ({coalesce = 500, limit = 100, auto = true} = {}) {
+    this.coalesce = coalesce;
+    this.limit = limit;
+    this.auto = auto;
+    /** Reactive state: {canUndo, canRedo} */
+    this.state = reactive({canUndo: false, canRedo: false});
+  }
+
+  get canUndo () {
+    return this.state.canUndo;
+  }
+
+  get canRedo () {
+    return this.state.canRedo;
+  }
+
+  /**
+   * Start recording changes of models.
+   * @param {...Model} models
+   * @returns {History} this
+   */
+  track (...models) {
+    for (const model of models) {
+      if (this.#listeners.has(model)) continue;
+      const listeners = {
+        modified: (key, value, oldValue) => this.#record(model, key, value, oldValue),
+        beforeapply: () => this.#receiving.add(model),
+        afterapply: () => {
+          this.#receiving.delete(model);
+          this.#forget(model);
+        },
+      };
+      for (const [event, listener] of Object.entries(listeners)) model.on(event, listener);
+      this.#listeners.set(model, listeners);
+    }
+    return this;
+  }
+
+  /**
+   * Stop recording changes of models and drop their history.
+   * @param {...Model} models
+   * @returns {History} this
+   */
+  untrack (...models) {
+    for (const model of models) {
+      const listeners = this.#listeners.get(model);
+      if (!listeners) continue;
+      for (const [event, listener] of Object.entries(listeners)) model.off(event, listener);
+      this.#listeners.delete(model);
+      this.#forget(model);
+    }
+    return this;
+  }
+
+  /**
+   * Close the current step, so that following changes start a new one.
+   */
+  checkpoint () {
+    if (this.#step) {
+      this.#undo.push(this.#step);
+      if (this.#undo.length > this.limit) this.#undo.shift();
+    }
+    this.#step = null;
+    this.#last = null;
+    this.#update();
+  }
+
+  /**
+   * Revert the last step.
+   * @returns {boolean} true if a step was reverted
+   */
+  undo () {
+    this.checkpoint();
+    const step = this.#undo.pop();
+    if (!step) return false;
+    this.#apply([...step].reverse(), 'before');
+    this.#redo.push(step);
+    this.#update();
+    return true;
+  }
+
+  /**
+   * Re-apply the last reverted step.
+   * @returns {boolean} true if a step was re-applied
+   */
+  redo () {
+    this.checkpoint();
+    const step = this.#redo.pop();
+    if (!step) return false;
+    this.#apply(step, 'after');
+    this.#undo.push(step);
+    this.#update();
+    return true;
+  }
+
+  /**
+   * Drop all recorded steps.
+   */
+  clear () {
+    this.#undo.length = 0;
+    this.#redo.length = 0;
+    this.#step = null;
+    this.#last = null;
+    this.#update();
+  }
+
+  #record (model, key, value, oldValue) {
+    // v-s:updateCounter is managed by the server
+    if (this.#applying || this.#receiving.has(model) || key === 'v-s:updateCounter') return;
+    const now = Date.now();
+    const last = this.#last;
+    const joins = this.#step && (!this.auto || last.model === model && last.key === key && now - last.time <= this.coalesce);
+    if (!joins) this.checkpoint();
+    this.#step ??= [];
+    const entry = this.#step.find((change) => change.model === model && change.key === key);
+    if (entry) {
+      entry.after = value;
+    } else {
+      this.#step.push({model, key, before: oldValue, after: value});
+    }
+    this.#last = {model, key, time: now};
+    this.#redo.length = 0;
+    this.#update();
+  }
+
+  #apply (changes, side) {
+    this.#applying = true;
+    try {
+      for (const change of changes) {
+        if (change[side] === undefined) delete change.model[change.key];
+        else change.model[change.key] = change[side];
+      }
+    } finally {
+      this.#applying = false;
+    }
+  }
+
+  #forget (model) {
+    const keep = (step) => step.filter((change) => change.model !== model);
+    const prune = (steps) => steps.map(keep).filter((step) => step.length);
+    this.#undo = prune(this.#undo);
+    this.#redo = prune(this.#redo);
+    if (this.#step) {
+      const step = keep(this.#step);
+      this.#step = step.length ? step : null;
+    }
+    if (this.#last?.model === model) this.#last = null;
+    this.#update();
+  }
+
+  #update () {
+    this.state.canUndo = this.#undo.length > 0 || !!this.#step;
+    this.state.canRedo = this.#redo.length > 0;
+  }
+}
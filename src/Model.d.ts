@@ -1,12 +1,45 @@
 import { EmitterInstance } from './Emitter.js';
 import { IndividualData } from './Backend.js';
 import WeakCache from './WeakCache.js';
+import BatchLoader from './BatchLoader.js';
+import Outbox from './Outbox.js';
+import PersistentCache from './PersistentCache.js';
+import Validator from './Validator.js';
+import Traversal, { TraversalOptions } from './Traversal.js';
 import { PrimitiveValue } from './Value.js';
 
 export type ModelValue = PrimitiveValue;
 
+/** Accessor name to property URI: a string for the first value, a one-element array for all values */
+export type PropertyAccessors = Record<string, string | [string]>;
+
+/** Members of Model without its index signature, base of interfaces generated by veda-types */
+export type ModelMembers = { [K in keyof Model as string extends K ? never : K]: Model[K] };
+
+/** Handle of a running Model.transaction(), passed to its callback for nested calls */
+export type Transaction = Readonly<Record<string, never>>;
+
+export interface PropertyChange {
+  before: ModelValue[];
+  after: ModelValue[];
+}
+
 export default class Model implements EmitterInstance {
   static cache: WeakCache<string, Model>;
+  static loader: BatchLoader;
+  static outbox: Outbox | null;
+  static persistentCache: PersistentCache | null;
+  static checkConflicts: boolean;
+  static validator: Validator | null;
+  static types: Map<string, typeof Model>;
+  /** rdf:type of a registered subclass */
+  static type?: string;
+  static properties?: PropertyAccessors;
+
+  static register<T extends typeof Model>(Class: T, type?: string): T;
+
+  static transaction(fn: (tx: Transaction) => void | Promise<void>, within?: Transaction): Promise<Model[]>;
+  static resetAll<T extends Model>(models: T[]): Promise<T[]>;
 
   id: string;
   [property: string]: ModelValue | ModelValue[] | any;
@@ -24,15 +57,22 @@ export default class Model implements EmitterInstance {
   isSync(value?: boolean): boolean;
   isLoaded(value?: boolean): boolean;
 
+  getChanges(): Record<string, PropertyChange>;
+  isDirty(prop?: string): boolean;
+  revert(prop: string): void;
+  revertAll(): void;
+
   hasValue(prop?: string, value?: any): boolean;
   addValue(prop: string, value: ModelValue): void;
   removeValue(prop?: string, value?: ModelValue): void;
 
   getPropertyChain(...props: string[]): Promise<ModelValue | ModelValue[] | undefined>;
+  traverse(paths: string | string[], options?: TraversalOptions): Traversal;
 
-  load(cache?: boolean): Promise<this>;
-  reset(): Promise<this>;
+  load(cache?: boolean, loader?: BatchLoader): Promise<this>;
+  reset(data?: IndividualData): Promise<this>;
   save(): Promise<this>;
+  rebase(data: IndividualData): void;
   remove(): Promise<this>;
 
   toLabel(prop?: string, lang?: string[]): string;
@@ -1,10 +1,16 @@
 import Emitter from './Emitter.js';
 import Backend from './Backend.js';
 import WeakCache from './WeakCache.js';
+import BatchLoader from './BatchLoader.js';
+import {updateCounterOf} from './PersistentCache.js';
+import ConflictError from './ConflictError.js';
+import ValidationError from './ValidationError.js';
+import Traversal from './Traversal.js';
 import Subscription from './Subscription.js';
 import Value from './Value.js';
 import {genUri, decorator} from './Util.js';
-import {reactive} from './Reactive.js';
+import {reactive, toRaw} from './Reactive.js';
+import {track, trigger} from './Effect.js';
 
 const IS_NEW = Symbol('isNew');
 const IS_SYNC = Symbol('isSync');
@@ -15,6 +21,14 @@ const RESET_PROMISE = Symbol('resetPromise');
 const REMOVE_PROMISE = Symbol('removePromise');
 const MEMBERSHIPS = Symbol('memberships');
 const RIGHTS = Symbol('rights');
+const SNAPSHOT = Symbol('snapshot');
+// Tracked by getChanges(), triggered when a property is added or deleted
+const KEYS = Symbol('keys');
+
+// Changes of the Model.transaction() whose callback runs synchronously: Map of model to its state before the transaction
+let journal = null;
+// Changes of pending transactions by the handle passed to their callbacks
+const journals = new WeakMap();
 
 // Dangerous property names that could break Model or cause prototype pollution
 const DANGEROUS_PROPS = new Set([
@@ -30,6 +44,82 @@ const DANGEROUS_PROPS = new Set([
  */
 export default class Model extends Emitter(Object) {
   static cache = new WeakCache();
+  static loader = new BatchLoader();
+  /** Optional Outbox: when set, save() and remove() are queued while offline */
+  static outbox = null;
+  /** Optional PersistentCache: cached loads are served from it and revalidated */
+  static persistentCache = null;
+  /** Check v-s:updateCounter against the server before saving a loaded model */
+  static checkConflicts = false;
+  /** Optional Validator: save() rejects with ValidationError if the model violates its ontology */
+  static validator = null;
+  /** Model subclasses by rdf:type URI, see Model.register() */
+  static types = new Map();
+
+  /**
+   * Register a Model subclass for an rdf:type.
+   * Models with this type are switched to the subclass when their data is applied
+   * (load, data constructor, reset), keeping the cached instance. New instances of
+   * the subclass get the type in rdf:type. The subclass's static `properties` map
+   * accessor names to property URIs: a string for the first value
+   * (`title: 'v-s:title'`), a one-element array for all values (`tags: ['v-s:tag']`).
+   * @param {Function} Class - Model subclass
+   * @param {string} [type=Class.type] - rdf:type URI
+   * @returns {Function} The subclass
+   */
+  static register (Class, type = Class.type) {
+    Model.types.set(type, Class);
+    defineAccessors(Class);
+    return Class;
+  }
+
+  /**
+   * Run a unit of work and save the models changed in it with one put_individuals request.
+   * Collects models modified in the callback and new models reachable from them through
+   * Uri-valued properties. If the callback throws or the request fails, properties and
+   * flags of the collected models are restored to their state before the transaction.
+   * With Model.validator set, nothing is sent unless all collected models are valid.
+   * With Model.checkConflicts set, nothing is sent if the server copy of a loaded model
+   * moved on since it was loaded (ConflictError).
+   * Only property assignment and deletion are recorded, not in-place changes of property arrays,
+   * and only while the callback runs synchronously, so edits made elsewhere while it awaits
+   * are left out. To nest, or to make changes after an `await`, pass the handle the callback
+   * receives as `within`: the joined callback is recorded in that transaction. A call without
+   * `within` made while a callback runs synchronously rejects.
+   * @param {Function} fn - Callback making the changes (may be async), receives the transaction handle
+   * @param {Object} [within] - Handle of the pending transaction to join
+   * @returns {Promise<Model[]>} Saved models (empty when joining)
+   */
+  static async transaction (fn, within) {
+    if (within) {
+      const changes = journals.get(within);
+      if (!changes) throw new Error('Model.transaction: the joined transaction is not running');
+      await recordIn(changes, () => fn(within));
+      return [];
+    }
+    if (journal) throw new Error('Model.transaction: pass the running transaction as `within` to nest');
+    return runTransaction(fn);
+  }
+
+  /**
+   * Reload models from backend (bypass cache) with one get_individuals request.
+   * A single model, models omitted by the server and all models when the request
+   * fails are reset on their own.
+   * @param {Model[]} models - Models to reload
+   * @returns {Promise<Model[]>} Reloaded models
+   */
+  static async resetAll (models) {
+    let individuals = [];
+    if (models.length > 1) {
+      try {
+        individuals = await Backend.get_individuals(models.map((model) => model.id));
+      } catch {
+        // Fall back to single resets below
+      }
+    }
+    const byId = new Map(individuals.filter(Boolean).map((individual) => [individual['@'], individual]));
+    return Promise.all(models.map((model) => model.reset(byId.get(model.id))));
+  }
 
   /**
    * Create or retrieve a Model instance.
@@ -53,6 +143,8 @@ export default class Model extends Emitter(Object) {
 
       const cached = Model.cache.get(this.id);
       if (cached) {
+        // Constructed as a subclass: switch the cached instance to it
+        if (!(cached instanceof new.target)) Object.setPrototypeOf(toRaw(cached), new.target.prototype);
         // Factory pattern: return existing instance from cache
         // eslint-disable-next-line no-constructor-return
         return cached; // Already reactive and has listener
@@ -62,6 +154,7 @@ export default class Model extends Emitter(Object) {
       this.isNew(true);
       this.isSync(false);
       this.isLoaded(false);
+      if (new.target.type) this['rdf:type'] = [new Model(new.target.type)];
     } else if (typeof data === 'object') {
       const id = data['@'];
       const cached = Model.cache.get(id);
@@ -85,16 +178,25 @@ export default class Model extends Emitter(Object) {
     }
 
     const reactiveModel = reactive(this, {
-      onSet: function(key, value) {
+      onSet: function(key, value, oldValue) {
+        // Property arrays share these options, their in-place changes are not tracked
+        if (!(this instanceof Model)) return;
+        // Accessors of typed subclasses set the underlying property themselves
+        if (!Object.hasOwn(this, key)) return;
+        if (journal) record(this, key, oldValue);
+        if (oldValue === undefined) trigger(toRaw(this), KEYS);
         if (typeof this.emit === 'function') {
           this.emit(key, value);
-          this.emit('modified', key, value);
+          this.emit('modified', key, value, oldValue);
         }
       },
-      onDelete: function(key) {
+      onDelete: function(key, oldValue) {
+        if (!(this instanceof Model)) return;
+        if (journal) record(this, key, oldValue);
+        trigger(toRaw(this), KEYS);
         if (typeof this.emit === 'function') {
           this.emit(key);
-          this.emit('modified', key);
+          this.emit('modified', key, undefined, oldValue);
         }
       }
     });
@@ -114,9 +216,12 @@ export default class Model extends Emitter(Object) {
 
   /**
    * Apply data to the model.
+   * Emits 'beforeapply' and 'afterapply' around the property changes, e.g. so that
+   * History does not record data loaded from the server as edits.
    * @param {Object} data - JSON resource data
    */
   apply (data) {
+    this.emit('beforeapply', data);
     const thisProps = new Set(Object.getOwnPropertyNames(this));
     const dataProps = new Set(Object.getOwnPropertyNames(data));
 
@@ -142,6 +247,8 @@ export default class Model extends Emitter(Object) {
       }
       this[prop] = value;
     });
+    retype(this);
+    this.emit('afterapply', data);
   }
 
   /**
@@ -178,11 +285,12 @@ export default class Model extends Emitter(Object) {
    *   Defaults to the model itself (GC-based cleanup only).
    */
   subscribe (holder = this) {
-    const updater = (id) => {
+    const updater = async (id, updateCounter) => {
+      await Model.persistentCache?.invalidate(id, updateCounter);
       const model = new Model(id);
-      model.reset().catch((error) => {
-        console.error(`Error resetting model ${id}`, error);
-      });
+      // Already at the reported version, e.g. reloaded while the socket was down
+      if (model.isLoaded() && updateCounterOf(model.toJSON()) >= updateCounter) return;
+      resetPushed(model);
     };
     Subscription.subscribe(holder, [this.id, this.hasValue('v-s:updateCounter') ? this['v-s:updateCounter'][0] : 0, updater]);
   }
@@ -220,6 +328,59 @@ export default class Model extends Emitter(Object) {
     return this[IS_SYNC];
   }
 
+  /**
+   * Get properties changed since the last load/save.
+   * Compares current values with the last server state; models never loaded
+   * (including ones created from data) compare with an empty state. Reactive: effects calling it rerun on changes.
+   * @returns {Object<string, {before: Array, after: Array}>} Map of property to its server and current values
+   */
+  getChanges () {
+    track(toRaw(this), KEYS);
+    const base = this[SNAPSHOT] ?? {};
+    const props = new Set([...Object.keys(base), ...Object.keys(this.toJSON())]);
+    props.delete('@');
+    props.delete('v-s:updateCounter'); // Managed by the server
+    const changes = {};
+    for (const prop of props) {
+      if (!this.isDirty(prop)) continue;
+      changes[prop] = {before: (base[prop] ?? []).map(Value.parse), after: [this[prop] ?? []].flat()};
+    }
+    return changes;
+  }
+
+  /**
+   * Check if a property (or any property) differs from the last server state.
+   * @param {string} [prop] - Property URI. If undefined, checks all properties.
+   * @returns {boolean}
+   */
+  isDirty (prop) {
+    if (!prop) return Object.keys(this.getChanges()).length > 0;
+    return JSON.stringify(this[SNAPSHOT]?.[prop] ?? []) !== JSON.stringify(valuesOf(this, prop));
+  }
+
+  /**
+   * Restore a property to its last server state.
+   * The model is marked as synced when no changes are left.
+   * @param {string} prop - Property URI
+   */
+  revert (prop) {
+    if (!this.isDirty(prop)) return;
+    const values = this[SNAPSHOT]?.[prop];
+    if (values?.length) {
+      this[prop] = values.map(Value.parse);
+    } else {
+      delete this[prop];
+    }
+    if (this[SNAPSHOT] && !this.isNew() && !this.isDirty()) this.isSync(true);
+  }
+
+  /**
+   * Restore all properties to their last server state.
+   */
+  revertAll () {
+    Object.keys(this.getChanges()).forEach((prop) => this.revert(prop));
+  }
+
   /**
    * Check if model data is loaded.
    * @param {boolean} [value] - Set value
@@ -308,12 +469,27 @@ export default class Model extends Emitter(Object) {
     return next.getPropertyChain(...props);
   }
 
+  /**
+   * Load the models reachable by property paths, one batched request per hop,
+   * e.g. 'v-s:attachment/v-s:author' for document → attachments → authors.
+   * @param {string|string[]} paths - Property paths, see Traversal
+   * @param {Object} [options] - Traversal options ({maxDepth})
+   * @returns {Traversal} Reactive result set; await traversal.loaded() for the loaded subgraph
+   */
+  traverse (paths, options) {
+    return new Traversal(this, paths, options);
+  }
+
   /**
    * Load data from backend.
+   * Cached loads issued in the same tick are batched via Model.loader.
+   * With Model.persistentCache set, cached loads apply stored data at once
+   * and refetch it in the background (stale-while-revalidate).
    * @param {boolean} [cache=true] - Use cache
+   * @param {BatchLoader} [loader=Model.loader] - Loader of cached loads, e.g. one of another backend
    * @returns {Promise<Model>} This model
    */
-  async load (cache = true) {
+  async load (cache = true, loader = Model.loader) {
     if (this[LOAD_PROMISE]) {
       return this[LOAD_PROMISE];
     }
@@ -324,16 +500,14 @@ export default class Model extends Emitter(Object) {
 
     this[LOAD_PROMISE] = (async () => {
       try {
-        const data = await Backend.get_individual(this.id, cache);
-        this.apply(data);
-        this.isNew(false);
-        this.isSync(true);
-        this.isLoaded(true);
+        const stored = cache ? await Model.persistentCache?.get(this.id) : undefined;
+        const data = stored ?? (cache
+          ? await loader.load(this.id)
+          : await Backend.get_individual(this.id, false));
+        if (!stored) Model.persistentCache?.set(data);
+        applyLoaded(this, data);
 
-        // DevTools: update model info after load (now has rdf:type etc)
-        if (typeof window !== 'undefined' && window.__VEDA_DEVTOOLS_HOOK__) {
-          window.__VEDA_DEVTOOLS_HOOK__.trackModelUpdate(this);
-        }
+        if (stored && Model.persistentCache.revalidate) revalidate(this, loader);
 
         return this;
       } finally {
@@ -346,16 +520,22 @@ export default class Model extends Emitter(Object) {
 
   /**
    * Reload data from backend (bypass cache).
+   * @param {Object} [data] - Fresh JSON resource data to apply instead of loading, e.g. from a batched request
    * @returns {Promise<Model>} This model
    */
-  async reset () {
+  async reset (data) {
     if (this[RESET_PROMISE]) {
       return this[RESET_PROMISE];
     }
 
     this[RESET_PROMISE] = (async () => {
       try {
-        await this.load(false);
+        if (data) {
+          Model.persistentCache?.set(data);
+          applyLoaded(this, data);
+        } else {
+          await this.load(false);
+        }
         return this;
       } finally {
         this[RESET_PROMISE] = null;
@@ -367,6 +547,15 @@ export default class Model extends Emitter(Object) {
 
   /**
    * Save model to backend.
+   * New or never loaded models, including ones created from data, are sent whole with
+   * put_individual. Otherwise only properties changed since the last load/save are sent,
+   * with add_to_individual for appended values, remove_from_individual for removed values
+   * and set_in_individual for other changes, so concurrent edits of other properties are kept.
+   * With Model.checkConflicts set, a loaded model is saved only if the server copy
+   * has the same v-s:updateCounter as when loaded, otherwise ConflictError is thrown.
+   * With Model.validator set, an invalid model is not sent and ValidationError is thrown.
+   * With Model.outbox set, the write is queued if the backend is unreachable
+   * and the model is considered saved; check Model.outbox.has(id) for pending sync.
    * @returns {Promise<Model>} This model
    */
   async save () {
@@ -378,8 +567,21 @@ export default class Model extends Emitter(Object) {
 
     this[SAVE_PROMISE] = (async () => {
       try {
+        if (Model.validator) await assertValid(this);
         const json = this.toJSON();
-        await Backend.put_individual(json);
+        const base = !this.isNew() && this[SNAPSHOT];
+        const delta = Object.entries(base ? changeSet(base, json) : {put_individual: json});
+        // Always awaited, so SAVE_PROMISE is cleared after it is set even with nothing to write
+        const checked = await (base && delta.length && Model.checkConflicts && checkConflict(this, base, json));
+        let queued = false;
+        for (const [method, individual] of delta) {
+          queued = await write(method, individual) === true || queued;
+        }
+        if (checked && !queued) {
+          takeCounter(this, json, await Backend.get_individual(this.id, false));
+        }
+        this[SNAPSHOT] = json;
+        Model.persistentCache?.invalidate(this.id);
         this.isNew(false);
         this.isSync(true);
         this.isLoaded(true);
@@ -392,6 +594,20 @@ export default class Model extends Emitter(Object) {
     return this[SAVE_PROMISE];
   }
 
+  /**
+   * Use server data as the base for the next save, keeping local values.
+   * Used to resolve a ConflictError: apply the merged values, rebase on the
+   * remote version and save again.
+   * @param {Object} data - JSON resource data from the server (e.g. ConflictError.remote)
+   */
+  rebase (data) {
+    this[SNAPSHOT] = normalize(data);
+    if (data['v-s:updateCounter']) {
+      this['v-s:updateCounter'] = this[SNAPSHOT]['v-s:updateCounter'].map(Value.parse);
+    }
+    this.isSync(false);
+  }
+
   /**
    * Remove model from backend.
    * @returns {Promise<Model>} This model (marked as new/removed)
@@ -403,11 +619,13 @@ export default class Model extends Emitter(Object) {
 
     this[REMOVE_PROMISE] = (async () => {
       try {
-        await Backend.remove_individual(this.id);
+        await write('remove_individual', this.id);
+        Model.persistentCache?.invalidate(this.id);
         Model.cache.delete(this.id);
         this.isNew(true);
         this.isSync(false);
         this.isLoaded(false);
+        this[SNAPSHOT] = null;
         return this;
       } finally {
         this[REMOVE_PROMISE] = null;
@@ -520,6 +738,262 @@ export default class Model extends Emitter(Object) {
 
 ['load', 'save', 'reset', 'remove'].forEach((action) => Model.prototype[action] = actionDecorator(Model.prototype[action]));
 
+// Send a write through Model.outbox if set
+function write (method, data) {
+  return Model.outbox ? Model.outbox.send(method, data) : Backend[method](data);
+}
+
+/**
+ * Split property changes between two JSON states into partial update requests.
+ * @param {Object} before - JSON resource data at last load/save
+ * @param {Object} after - Current JSON resource data
+ * @returns {Object} Map of Backend method to individual {'@', ...props}, only non-empty ones
+ */
+function changeSet (before, after) {
+  const id = after['@'];
+  const delta = {remove_from_individual: {'@': id}, set_in_individual: {'@': id}, add_to_individual: {'@': id}};
+  const key = (value) => JSON.stringify(value);
+  const props = new Set([...Object.keys(before), ...Object.keys(after)]);
+  props.delete('@');
+  props.delete('v-s:updateCounter'); // Managed by the server
+  for (const prop of props) {
+    const was = before[prop] ?? [];
+    const is = after[prop] ?? [];
+    const wasKeys = was.map(key);
+    const isKeys = is.map(key);
+    if (wasKeys.join() === isKeys.join()) continue;
+
+    const kept = wasKeys.filter((k) => isKeys.includes(k));
+    if (!is.length) {
+      delta.remove_from_individual[prop] = was;
+    } else if (is.length > was.length && wasKeys.every((k, i) => isKeys[i] === k)) {
+      delta.add_to_individual[prop] = is.slice(was.length);
+    } else if (is.length < was.length && kept.join() === isKeys.join()) {
+      delta.remove_from_individual[prop] = was.filter((value, i) => !isKeys.includes(wasKeys[i]));
+    } else {
+      delta.set_in_individual[prop] = is;
+    }
+  }
+  return Object.fromEntries(Object.entries(delta).filter(([, individual]) => Object.keys(individual).length > 1));
+}
+
+// Define accessors for the static properties map of a Model subclass
+function defineAccessors (Class) {
+  if (!Object.hasOwn(Class, 'properties')) return;
+  for (const [name, definition] of Object.entries(Class.properties)) {
+    const multiple = Array.isArray(definition);
+    const prop = multiple ? definition[0] : definition;
+    Object.defineProperty(Class.prototype, name, {
+      configurable: true,
+      get () {
+        const values = [this[prop] ?? []].flat();
+        return multiple ? values : values[0];
+      },
+      set (value) {
+        const values = [value ?? []].flat();
+        if (values.length) this[prop] = values;
+        else delete this[prop];
+      },
+    });
+  }
+}
+
+// Switch a model to the subclass registered for its first registered rdf:type
+function retype (model) {
+  for (const type of [model['rdf:type'] ?? []].flat()) {
+    const Class = Model.types.get(String(type));
+    if (!Class) continue;
+    if (!(model instanceof Class)) Object.setPrototypeOf(toRaw(model), Class.prototype);
+    return;
+  }
+}
+
+// Serialized values of a property, as in toJSON()
+function valuesOf (model, prop) {
+  return [model[prop] ?? []].flat().map(Value.serialize).filter(Boolean);
+}
+
+// Run a top-level Model.transaction()
+async function runTransaction (fn) {
+  const changes = new Map();
+  const handle = Object.freeze({});
+  journals.set(handle, changes);
+  try {
+    await recordIn(changes, () => fn(handle));
+  } catch (error) {
+    rollback(changes, [...changes.keys()]);
+    throw error;
+  } finally {
+    journals.delete(handle);
+  }
+
+  const models = collectDirty(changes.keys());
+  if (!models.length) return models;
+  const individuals = models.map((model) => model.toJSON());
+  let checked = [];
+  let queued;
+  try {
+    if (Model.validator) await Promise.all(models.map(assertValid));
+    if (Model.checkConflicts) {
+      checked = await Promise.all(models.map((model, i) =>
+        !model.isNew() && model[SNAPSHOT] && checkConflict(model, model[SNAPSHOT], individuals[i])));
+    }
+    queued = await write('put_individuals', individuals) === true;
+  } catch (error) {
+    rollback(changes, models);
+    throw error;
+  }
+  const own = models.filter((model, i) => checked[i]);
+  if (own.length && !queued) {
+    const written = await Backend.get_individuals(own.map((model) => model.id));
+    const byId = new Map(written.filter(Boolean).map((individual) => [individual['@'], individual]));
+    models.forEach((model, i) => checked[i] && takeCounter(model, individuals[i], byId.get(model.id)));
+  }
+  models.forEach((model, i) => {
+    model[SNAPSHOT] = individuals[i];
+    Model.persistentCache?.invalidate(model.id);
+    model.isNew(false);
+    model.isSync(true);
+    model.isLoaded(true);
+  });
+  return models;
+}
+
+// Remember the value a property had before its first change in the transaction
+function record (model, key, value) {
+  let entry = journal.get(model);
+  if (!entry) {
+    entry = {isNew: model.isNew(), isSync: model.isSync(), props: new Map()};
+    journal.set(model, entry);
+  }
+  if (!entry.props.has(key)) entry.props.set(key, value);
+}
+
+// Call fn recording the changes it makes synchronously in a transaction journal
+function recordIn (changes, fn) {
+  const outer = journal;
+  journal = changes;
+  try {
+    return fn();
+  } finally {
+    journal = outer;
+  }
+}
+
+// Restore recorded properties and flags of models
+function rollback (changes, models) {
+  for (const model of models) {
+    const entry = changes.get(model);
+    if (!entry) continue;
+    for (const [key, value] of entry.props) {
+      if (value === undefined) delete model[key];
+      else model[key] = value;
+    }
+    model.isNew(entry.isNew);
+    model.isSync(entry.isSync);
+  }
+}
+
+// Modified models plus new models reachable from them via Uri-valued properties
+function collectDirty (models) {
+  const dirty = new Set();
+  const visit = (model) => {
+    if (dirty.has(model) || model.isSync()) return;
+    dirty.add(model);
+    for (const prop of Object.getOwnPropertyNames(model)) {
+      for (const value of [model[prop]].flat()) {
+        if (value instanceof Model && value.isNew()) visit(value);
+      }
+    }
+  };
+  for (const model of models) visit(model);
+  return [...dirty];
+}
+
+// Convert server JSON to the form produced by toJSON(), for comparison
+function normalize (data) {
+  return Object.fromEntries(Object.entries(data).map(([prop, values]) => [
+    prop,
+    prop === '@' ? values : [values].flat().map((value) => Value.serialize(Value.parse(value))).filter(Boolean),
+  ]));
+}
+
+// Compare the base update counter with the server copy, throw ConflictError if it moved on
+async function checkConflict (model, base, local) {
+  let remote;
+  try {
+    remote = await Backend.get_individual(model.id, false);
+  } catch (error) {
+    // Offline with an outbox: the write is queued without the check
+    if (Model.outbox?.isTransient(error)) return false;
+    throw error;
+  }
+  if (updateCounterOf(remote) !== updateCounterOf(base)) {
+    throw new ConflictError(model, base, local, normalize(remote));
+  }
+  return true;
+}
+
+// Take the update counter of our own write, so the next save is not a conflict
+function takeCounter (model, json, data) {
+  const {'v-s:updateCounter': counter} = normalize(data ?? {});
+  if (!counter) return;
+  model['v-s:updateCounter'] = counter.map(Value.parse);
+  json['v-s:updateCounter'] = counter;
+}
+
+// Validate against the ontology, throw ValidationError on violations
+async function assertValid (model) {
+  const errors = await Model.validator.validate(model);
+  if (errors.length) throw new ValidationError(model, errors);
+}
+
+// Apply data loaded from the server as the synced state
+function applyLoaded (model, data) {
+  model.apply(data);
+  model.isNew(false);
+  model.isSync(true);
+  model.isLoaded(true);
+  model[SNAPSHOT] = model.toJSON();
+
+  // DevTools: update model info after load (now has rdf:type etc)
+  if (typeof window !== 'undefined' && window.__VEDA_DEVTOOLS_HOOK__) {
+    window.__VEDA_DEVTOOLS_HOOK__.trackModelUpdate(model);
+  }
+}
+
+// Models reported changed by Subscription in the same tick, e.g. on catch-up after
+// a reconnection, are reset together
+const pushed = new Set();
+let pushTimer = null;
+
+function resetPushed (model) {
+  pushed.add(model);
+  pushTimer ??= setTimeout(() => {
+    const models = [...pushed];
+    pushed.clear();
+    pushTimer = null;
+    Model.resetAll(models).catch((error) => {
+      console.error(`Error resetting models ${models.join(', ')}`, error);
+    });
+  });
+}
+
+// Refetch a model served from the persistent cache, apply if changed on the server
+function revalidate (model, loader) {
+  loader.load(model.id).then((data) => {
+    Model.persistentCache?.set(data);
+    const counter = updateCounterOf(data);
+    if (model.isSync() && (!counter || counter !== updateCounterOf(model.toJSON()))) {
+      model.apply(data);
+      model.isSync(true);
+      model[SNAPSHOT] = model.toJSON();
+    }
+  }).catch((error) => {
+    console.error(`Error revalidating model ${model.id}`, error);
+  });
+}
+
 function actionDecorator (fn) {
   async function pre () {
     const before = this.toJSON();
@@ -0,0 +1,58 @@
+import { EmitterInstance } from './Emitter.js';
+import Backend from './Backend.js';
+
+export type OutboxMethod = 'put_individual' | 'put_individuals' | 'set_in_individual' | 'add_to_individual' | 'remove_from_individual' | 'remove_individual';
+
+export interface OutboxEntry {
+  id: number;
+  method: OutboxMethod;
+  args: any[];
+  uris: string[];
+  time: number;
+}
+
+export interface OutboxStore {
+  load(): Promise<OutboxEntry[]>;
+  add(entry: OutboxEntry): Promise<void>;
+  delete(id: number): Promise<void>;
+}
+
+export interface OutboxState {
+  entries: Omit<OutboxEntry, 'args'>[];
+  size: number;
+  flushing: boolean;
+  error: Error | null;
+}
+
+export interface OutboxOptions {
+  store?: OutboxStore;
+  backend?: typeof Backend;
+  retryDelay?: number;
+  isTransient?: (error: any) => boolean;
+}
+
+export function memoryStore(): OutboxStore;
+export function indexedDBStore(name?: string): OutboxStore;
+
+export default class Outbox implements EmitterInstance {
+  store: OutboxStore;
+  backend: typeof Backend;
+  retryDelay: number;
+  isTransient: (error: any) => boolean;
+  readonly state: OutboxState;
+  readonly ready: Promise<void>;
+
+  constructor(options?: OutboxOptions);
+
+  send(method: OutboxMethod, ...args: any[]): Promise<boolean>;
+  flush(): Promise<void>;
+  has(uri: string): boolean;
+  destroy(): void;
+
+  on(events: string, fn: (...args: any[]) => void): this;
+  off(events: string, fn?: (...args: any[]) => void): this;
+  one(name: string, fn: (...args: any[]) => void): this;
+  once(name: string, fn: (...args: any[]) => void): this;
+  emit(name: string, ...args: any[]): this;
+  trigger(name: string, ...args: any[]): this;
+}
@@ -0,0 +1,209 @@
+import Backend from './Backend.js';
+import Emitter from './Emitter.js';
+import {reactive} from './Reactive.js';
+
+// Backend write methods that can be queued
+const METHODS = ['put_individual', 'put_individuals', 'set_in_individual', 'add_to_individual', 'remove_from_individual', 'remove_individual'];
+
+// Network errors, timeouts, server overload and expired tickets: keep the operation for replay
+const TRANSIENT_ERRORS = new Set([0, 408, 429, 470, 471, 502, 503, 504]);
+
+/**
+ * In-memory outbox store (lost on reload).
+ * @returns {Object} Store adapter
+ */
+export function memoryStore () {
+  const entries = new Map();
+  return {
+    load: async () => [...entries.values()],
+    add: async (entry) => void entries.set(entry.id, entry),
+    delete: async (id) => void entries.delete(id),
+  };
+}
+
+/**
+ * IndexedDB outbox store, survives page reloads.
+ * @param {string} [name='veda-outbox'] - Database name
+ * @returns {Object} Store adapter
+ */
+/* c8 ignore start - Browser only */
+export function indexedDBStore (name = 'veda-outbox') {
+  const db = new Promise((resolve, reject) => {
+    const request = indexedDB.open(name, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore('entries', {keyPath: 'id'});
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  const run = async (mode, fn) => {
+    const tx = (await db).transaction('entries', mode);
+    const request = fn(tx.objectStore('entries'));
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+    });
+  };
+  return {
+    load: () => run('readonly', (store) => store.getAll()),
+    add: (entry) => run('readwrite', (store) => store.put(entry)),
+    delete: (id) => run('readwrite', (store) => store.delete(id)),
+  };
+}
+/* c8 ignore stop */
+
+/**
+ * Persistent queue of write operations.
+ * Operations are sent immediately while the queue is empty; when a send fails with
+ * a transient error (network, timeout, 429/5xx, expired ticket) the operation and
+ * all following ones are stored and replayed in order on flush().
+ * Flush runs when the browser goes online, after `retryDelay` and on demand.
+ *
+ * Emits 'sent' (entry), 'failed' (entry, error) for operations rejected by the server
+ * during replay (they are dropped), and 'change' (state) when the queue changes.
+ */
+export default class Outbox extends Emitter(Object) {
+  #entries = [];
+  #seq = 0;
+  #flushPromise = null;
+  #retryTimer = null;
+  #onOnline = () => this.flush();
+
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.store] - Store adapter {load, add, delete} (default: IndexedDB in browsers, memory otherwise)
+   * @param {Object} [options.backend=Backend] - Backend used to send operations
+   * @param {number} [options.retryDelay=30000] - Time (ms) before retrying a failed flush (0 disables)
+   * @param {Function} [options.isTransient] - Decides whether an error keeps the operation queued
+   */
+  constructor ({
+    /* c8 ignore next - Browser/Node.js environment check */
+    store = typeof indexedDB !== 'undefined' ? indexedDBStore() : memoryStore(),
+    backend = Backend,
+    retryDelay = 30_000,
+    isTransient = (error) => TRANSIENT_ERRORS.has(error?.code),
+  } = {}) {
+    super();
+    this.store = store;
+    this.backend = backend;
+    this.retryDelay = retryDelay;
+    this.isTransient = isTransient;
+    /** Reactive queue state: {entries: [{id, method, uris, time}], size, flushing, error} */
+    this.state = reactive({entries: [], size: 0, flushing: false, error: null});
+    /* c8 ignore next - Browser only */
+    if (typeof window !== 'undefined') window.addEventListener('online', this.#onOnline);
+    this.ready = this.#restore();
+  }
+
+  async #restore () {
+    const entries = (await this.store.load()).sort((a, b) => a.id - b.id);
+    this.#entries.push(...entries);
+    this.#seq = entries.reduce((max, entry) => Math.max(max, entry.id), 0);
+    this.#update();
+    if (entries.length) this.flush();
+  }
+
+  /**
+   * Send a write operation, or queue it if the queue is not empty or the send fails transiently.
+   * @param {string} method - Backend method (put_individual, set_in_individual, ...)
+   * @param {...any} args - Method arguments
+   * @returns {Promise<boolean>} true if the operation was queued, false if it was sent
+   */
+  async send (method, ...args) {
+    if (!METHODS.includes(method)) {
+      throw new TypeError(`Outbox: unsupported method '${method}'`);
+    }
+    await this.ready;
+    if (!this.#entries.length) {
+      try {
+        await this.backend[method](...args);
+        return false;
+      } catch (error) {
+        if (!this.isTransient(error)) throw error;
+        this.state.error = error;
+      }
+    }
+    const entry = {id: ++this.#seq, method, args, uris: urisOf(method, args), time: Date.now()};
+    this.#entries.push(entry);
+    await this.store.add(entry);
+    this.#update();
+    this.#scheduleRetry();
+    return true;
+  }
+
+  /**
+   * Replay queued operations in order.
+   * Stops at the first transient failure; operations rejected by the server are dropped.
+   * @returns {Promise<void>}
+   */
+  flush () {
+    this.#flushPromise ??= (async () => {
+      await this.ready;
+      clearTimeout(this.#retryTimer);
+      this.#retryTimer = null;
+      this.state.flushing = true;
+      try {
+        while (this.#entries.length) {
+          const entry = this.#entries[0];
+          try {
+            await this.backend[entry.method](...entry.args);
+            this.emit('sent', entry);
+          } catch (error) {
+            this.state.error = error;
+            if (this.isTransient(error)) {
+              this.#scheduleRetry();
+              return;
+            }
+            this.emit('failed', entry, error);
+          }
+          this.#entries.shift();
+          await this.store.delete(entry.id);
+          this.#update();
+        }
+        this.state.error = null;
+      } finally {
+        this.state.flushing = false;
+        this.#flushPromise = null;
+      }
+    })();
+    return this.#flushPromise;
+  }
+
+  /**
+   * Check whether an individual has queued operations.
+   * @param {string} uri - Individual URI
+   * @returns {boolean}
+   */
+  has (uri) {
+    return this.state.entries.some((entry) => entry.uris.includes(uri));
+  }
+
+  /**
+   * Stop retry timers and the online listener.
+   */
+  destroy () {
+    clearTimeout(this.#retryTimer);
+    this.#retryTimer = null;
+    /* c8 ignore next - Browser only */
+    if (typeof window !== 'undefined') window.removeEventListener('online', this.#onOnline);
+  }
+
+  #scheduleRetry () {
+    if (!this.retryDelay || this.#retryTimer) return;
+    this.#retryTimer = setTimeout(() => {
+      this.#retryTimer = null;
+      this.flush();
+    }, this.retryDelay);
+    this.#retryTimer.unref?.();
+  }
+
+  #update () {
+    this.state.entries = this.#entries.map(({id, method, uris, time}) => ({id, method, uris, time}));
+    this.state.size = this.#entries.length;
+    this.emit('change', this.state);
+  }
+}
+
+function urisOf (method, [data]) {
+  if (method === 'remove_individual') return [data];
+  if (method === 'put_individuals') return data.map((individual) => individual['@']);
+  return [data['@']];
+}
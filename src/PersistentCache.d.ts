@@ -0,0 +1,35 @@
+import { IndividualData } from './Backend.js';
+
+export interface PersistentCacheEntry {
+  uri: string;
+  counter: number;
+  data: IndividualData;
+}
+
+export interface PersistentCacheAdapter {
+  get(uri: string): Promise<PersistentCacheEntry | undefined>;
+  set(entry: PersistentCacheEntry): Promise<void>;
+  delete(uri: string): Promise<void>;
+  clear(): Promise<void>;
+}
+
+export interface PersistentCacheOptions {
+  adapter?: PersistentCacheAdapter;
+  revalidate?: boolean;
+}
+
+export function memoryCacheAdapter(): PersistentCacheAdapter;
+export function indexedDBCacheAdapter(name?: string): PersistentCacheAdapter;
+export function updateCounterOf(data: IndividualData | undefined): number;
+
+export default class PersistentCache {
+  adapter: PersistentCacheAdapter;
+  revalidate: boolean;
+
+  constructor(options?: PersistentCacheOptions);
+
+  get(uri: string): Promise<IndividualData | undefined>;
+  set(data: IndividualData): Promise<void>;
+  invalidate(uri: string, counter?: number): Promise<boolean>;
+  clear(): Promise<void>;
+}
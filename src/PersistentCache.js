@@ -0,0 +1,131 @@
+/**
+ * In-memory cache adapter (lost on reload).
+ * @returns {Object} Cache adapter
+ */
+export function memoryCacheAdapter () {
+  const entries = new Map();
+  return {
+    get: async (uri) => structuredClone(entries.get(uri)),
+    set: async (entry) => void entries.set(entry.uri, structuredClone(entry)),
+    delete: async (uri) => void entries.delete(uri),
+    clear: async () => entries.clear(),
+  };
+}
+
+/**
+ * IndexedDB cache adapter, survives page reloads.
+ * @param {string} [name='veda-cache'] - Database name
+ * @returns {Object} Cache adapter
+ */
+/* c8 ignore start - Browser only */
+export function indexedDBCacheAdapter (name = 'veda-cache') {
+  const db = new Promise((resolve, reject) => {
+    const request = indexedDB.open(name, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore('individuals', {keyPath: 'uri'});
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  const run = async (mode, fn) => {
+    const tx = (await db).transaction('individuals', mode);
+    const request = fn(tx.objectStore('individuals'));
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+    });
+  };
+  return {
+    get: (uri) => run('readonly', (store) => store.get(uri)),
+    set: (entry) => run('readwrite', (store) => store.put(entry)),
+    delete: (uri) => run('readwrite', (store) => store.delete(uri)),
+    clear: () => run('readwrite', (store) => store.clear()),
+  };
+}
+/* c8 ignore stop */
+
+/**
+ * Read the v-s:updateCounter of JSON resource data.
+ * @param {Object} data - JSON resource data
+ * @returns {number} Update counter (0 if absent)
+ */
+export function updateCounterOf (data) {
+  return Number(data?.['v-s:updateCounter']?.[0]?.data ?? 0);
+}
+
+/**
+ * Persistent cache of individuals keyed by URI and v-s:updateCounter.
+ * Used by Model.load() when assigned to Model.persistentCache: cached data is
+ * applied at once and revalidated against the server (stale-while-revalidate).
+ * Adapter failures are logged and treated as cache misses.
+ */
+export default class PersistentCache {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.adapter] - Adapter {get, set, delete, clear} (default: IndexedDB in browsers, memory otherwise)
+   * @param {boolean} [options.revalidate=true] - Refetch cached individuals in the background after load
+   */
+  constructor ({
+    /* c8 ignore next - Browser/Node.js environment check */
+    adapter = typeof indexedDB !== 'undefined' ? indexedDBCacheAdapter() : memoryCacheAdapter(),
+    revalidate = true,
+  } = {}) {
+    this.adapter = adapter;
+    this.revalidate = revalidate;
+  }
+
+  /**
+   * Get cached resource data.
+   * @param {string} uri - Individual URI
+   * @returns {Promise<Object|undefined>} JSON resource data
+   */
+  async get (uri) {
+    try {
+      const entry = await this.adapter.get(uri);
+      return entry?.data;
+    } catch (error) {
+      console.warn(`PersistentCache: failed to read ${uri}`, error);
+    }
+  }
+
+  /**
+   * Store resource data under its URI and update counter.
+   * @param {Object} data - JSON resource data
+   * @returns {Promise<void>}
+   */
+  async set (data) {
+    try {
+      await this.adapter.set({uri: data['@'], counter: updateCounterOf(data), data});
+    } catch (error) {
+      console.warn(`PersistentCache: failed to write ${data['@']}`, error);
+    }
+  }
+
+  /**
+   * Drop a cached individual if it is older than the given update counter.
+   * @param {string} uri - Individual URI
+   * @param {number} [counter] - Current server update counter (drop unconditionally if omitted)
+   * @returns {Promise<boolean>} true if the entry was dropped
+   */
+  async invalidate (uri, counter) {
+    try {
+      const entry = await this.adapter.get(uri);
+      if (!entry || counter !== undefined && entry.counter >= counter) return false;
+      await this.adapter.delete(uri);
+      return true;
+    } catch (error) {
+      console.warn(`PersistentCache: failed to invalidate ${uri}`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Remove all cached individuals.
+   * @returns {Promise<void>}
+   */
+  async clear () {
+    try {
+      await this.adapter.clear();
+    } catch (error) {
+      console.warn('PersistentCache: failed to clear', error);
+    }
+  }
+}
@@ -0,0 +1,50 @@
+import Model from './Model.js';
+import { QueryParams } from './Backend.js';
+import VQL from './VQL.js';
+
+export interface QueryOptions {
+  /** Use Backend.stored_query (default: false) */
+  stored?: boolean;
+  /** Load result models before publishing them (default: true) */
+  load?: boolean;
+  /** Individuals whose server updates re-execute the query */
+  watch?: Array<string | Model>;
+  /** Re-execute when a result individual is updated on the server (default: false) */
+  watchResults?: boolean;
+  /** Time (ms) to collect updates before re-executing (default: 100) */
+  delay?: number;
+  /** Backend to query and to load results from (default: Backend) */
+  backend?: { query: Function; stored_query: Function; get_individual?: Function; get_individuals?: Function };
+}
+
+export interface QueryState {
+  models: Model[];
+  count: number;
+  estimated: number;
+  cursor: number;
+  loading: boolean;
+  error: Error | null;
+}
+
+export default class Query {
+  params: Partial<QueryParams> & Record<string, any>;
+  stored: boolean;
+  load: boolean;
+  watchResults: boolean;
+  delay: number;
+  readonly state: QueryState;
+  readonly models: Model[];
+  readonly loading: boolean;
+  readonly error: Error | null;
+  readonly hasMore: boolean;
+
+  constructor(params: string | VQL | QueryParams | Record<string, any>, options?: QueryOptions);
+
+  run(params?: Partial<QueryParams> & Record<string, any>): Promise<Model[]>;
+  refresh(): Promise<Model[]>;
+  next(): Promise<Model[]>;
+  prev(): Promise<Model[]>;
+  watch(...individuals: Array<string | Model>): this;
+  unwatch(...individuals: Array<string | Model>): this;
+  destroy(): void;
+}
@@ -0,0 +1,189 @@
+import Backend from './Backend.js';
+import BatchLoader from './BatchLoader.js';
+import Model from './Model.js';
+import Subscription from './Subscription.js';
+import VQL from './VQL.js';
+import {reactive} from './Reactive.js';
+
+/**
+ * Live query: results of Backend.query or Backend.stored_query as a reactive array of Models,
+ * e.g. for `<veda-loop items="{this.tasks.models}">`.
+ * Results are loaded (batched, from the query's backend) unless `load: false`; individuals
+ * that fail to load, e.g. removed but still indexed, are left out. Pages are selected with
+ * the `from` and `top` params. The query is re-executed when a watched individual (`watch`) or, with
+ * `watchResults`, a result individual changes on the server. Responses of superseded runs
+ * are dropped.
+ */
+export default class Query {
+  #watched = new Map();
+  #results = new Set();
+  // BatchLoader of a backend other than Backend
+  #loader;
+  #timer = null;
+  #run = 0;
+
+  /**
+   * @param {string|Object|VQL} params - Query string, VQL builder or Backend.query params
+   *   ({query, sort, databases, top, limit, from}), or Backend.stored_query data with `stored: true`
+   * @param {Object} [options]
+   * @param {boolean} [options.stored=false] - Use Backend.stored_query
+   * @param {boolean} [options.load=true] - Load result models before publishing them
+   * @param {Array<string|Model>} [options.watch=[]] - Individuals whose server updates re-execute the query
+   * @param {boolean} [options.watchResults=false] - Re-execute when a result individual is updated on the server
+   * @param {number} [options.delay=100] - Time (ms) to collect updates before re-executing
+   * @param {Object} [options.backend=Backend] - Backend to query
+   */
+  constructor (params, {stored = false, load = true, watch = [], watchResults = false, delay = 100, backend = Backend} = {}) {
+    this.params = typeof params === 'string' ? {query: params} : params instanceof VQL ? params.toParams() : {...params};
+    this.stored = stored;
+    this.load = load;
+    this.watchResults = watchResults;
+    this.delay = delay;
+    this.backend = backend;
+    if (backend !== Backend) this.#loader = new BatchLoader({backend});
+    /** Reactive state: {models, count, estimated, cursor, loading, error} */
+    this.state = reactive({models: [], count: 0, estimated: 0, cursor: 0, loading: false, error: null});
+    this.watch(...watch);
+  }
+
+  /** Result models of the current page */
+  get models () {
+    return this.state.models;
+  }
+
+  get loading () {
+    return this.state.loading;
+  }
+
+  get error () {
+    return this.state.error;
+  }
+
+  /** Whether results beyond the current page are estimated */
+  get hasMore () {
+    return (this.params.from ?? 0) + this.state.count < this.state.estimated;
+  }
+
+  /**
+   * Execute the query.
+   * @param {Object} [params] - Params to change before executing, e.g. {from: 20}
+   * @returns {Promise<Model[]>} Result models
+   */
+  async run (params = {}) {
+    Object.assign(this.params, params);
+    const run = ++this.#run;
+    this.state.loading = true;
+    try {
+      const response = this.stored
+        ? await this.backend.stored_query({...this.params})
+        : await this.backend.query({...this.params});
+      let models = (response?.result ?? []).map((uri) => new Model(uri));
+      if (this.load) {
+        const loaded = await Promise.all(models.map((model) => model.load(true, this.#loader).then(() => true, () => false)));
+        models = models.filter((model, i) => loaded[i]);
+      }
+      if (run !== this.#run) return this.state.models;
+      this.state.models = models;
+      this.state.count = response?.count ?? models.length;
+      this.state.estimated = response?.estimated ?? this.state.count;
+      this.state.cursor = response?.cursor ?? (this.params.from ?? 0) + this.state.count;
+      this.state.error = null;
+      if (this.watchResults) this.#watchResults(models);
+      return models;
+    } catch (error) {
+      if (run === this.#run) this.state.error = error;
+      throw error;
+    } finally {
+      if (run === this.#run) this.state.loading = false;
+    }
+  }
+
+  /**
+   * Re-execute the query with the current params.
+   * @returns {Promise<Model[]>} Result models
+   */
+  refresh () {
+    return this.run();
+  }
+
+  /**
+   * Execute the query for the next page (`from` advanced by `top`).
+   * @returns {Promise<Model[]>} Result models
+   */
+  next () {
+    return this.run({from: (this.params.from ?? 0) + (this.params.top ?? this.state.count)});
+  }
+
+  /**
+   * Execute the query for the previous page.
+   * @returns {Promise<Model[]>} Result models
+   */
+  prev () {
+    return this.run({from: Math.max(0, (this.params.from ?? 0) - (this.params.top ?? this.state.count))});
+  }
+
+  /**
+   * Re-execute the query when individuals are updated on the server.
+   * @param {...(string|Model)} individuals - URIs or models
+   * @returns {Query} this
+   */
+  watch (...individuals) {
+    for (const individual of individuals) {
+      const model = typeof individual === 'string' ? new Model(individual) : individual;
+      if (this.#watched.has(model)) continue;
+      const holder = {};
+      const listener = () => this.#schedule();
+      this.#watched.set(model, {holder, listener});
+      model.on('afterreset', listener);
+      // Subscribe with the current v-s:updateCounter, so the server pushes only later changes
+      model.load(true, this.#loader).catch(() => {}).then(() => {
+        if (this.#watched.get(model)?.holder === holder) model.subscribe(holder);
+      });
+    }
+    return this;
+  }
+
+  /**
+   * Stop re-executing on updates of individuals.
+   * @param {...(string|Model)} individuals - URIs or models
+   * @returns {Query} this
+   */
+  unwatch (...individuals) {
+    for (const individual of individuals) {
+      const model = typeof individual === 'string' ? new Model(individual) : individual;
+      const entry = this.#watched.get(model);
+      if (!entry) continue;
+      model.off('afterreset', entry.listener);
+      Subscription.release(entry.holder);
+      this.#watched.delete(model);
+      this.#results.delete(model);
+    }
+    return this;
+  }
+
+  /**
+   * Release subscriptions and drop pending and running executions.
+   */
+  destroy () {
+    clearTimeout(this.#timer);
+    this.#timer = null;
+    this.#run++;
+    this.unwatch(...this.#watched.keys());
+  }
+
+  #watchResults (models) {
+    const current = new Set(models);
+    this.unwatch(...[...this.#results].filter((model) => !current.has(model)));
+    const added = models.filter((model) => !this.#watched.has(model));
+    this.watch(...added);
+    added.forEach((model) => this.#results.add(model));
+  }
+
+  #schedule () {
+    clearTimeout(this.#timer);
+    this.#timer = setTimeout(() => {
+      this.#timer = null;
+      this.run().catch(() => {});
+    }, this.delay);
+  }
+}
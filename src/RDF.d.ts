@@ -0,0 +1,24 @@
+import { IndividualData } from './Backend.js';
+import Model from './Model.js';
+
+export type Prefixes = Record<string, string>;
+
+export interface RDFOptions {
+  /** Namespaces by prefix (default: PREFIXES) */
+  prefixes?: Prefixes;
+}
+
+export interface JSONLDDocument {
+  '@context': Prefixes;
+  '@graph': Array<Record<string, any>>;
+}
+
+export const PREFIXES: Prefixes;
+
+export function parseTurtle(text: string, options?: RDFOptions): IndividualData[];
+export function parseNTriples(text: string, options?: RDFOptions): IndividualData[];
+export function parseJSONLD(document: object | object[] | string, options?: RDFOptions): IndividualData[];
+
+export function toTurtle(individuals: Array<Model | IndividualData>, options?: RDFOptions): string;
+export function toNTriples(individuals: Array<Model | IndividualData>, options?: RDFOptions): string;
+export function toJSONLD(individuals: Array<Model | IndividualData>, options?: RDFOptions): JSONLDDocument;
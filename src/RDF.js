@@ -0,0 +1,443 @@
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+
+/**
+ * Namespaces of common and Veda prefixes. Used to shorten full IRIs when parsing
+ * and to declare or expand prefixes when serializing.
+ */
+export const PREFIXES = {
+  'rdf': 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+  'rdfs': 'http://www.w3.org/2000/01/rdf-schema#',
+  'owl': 'http://www.w3.org/2002/07/owl#',
+  'xsd': XSD,
+  'v-s': 'http://semantic-machines.com/veda/veda-schema/',
+  'v-ui': 'http://semantic-machines.com/veda/veda-ui/',
+  'v-wf': 'http://semantic-machines.com/veda/veda-workflow/',
+  'cfg': 'http://semantic-machines.com/veda/config/',
+  'd': 'http://semantic-machines.com/veda/veda-data/',
+};
+
+const NAME_CHAR = String.raw`[\p{L}\p{N}_\-]`;
+
+const TOKEN = new RegExp([
+  String.raw`(?<space>\s+|#[^\n]*)`,
+  String.raw`(?<iri><(?:[^<>"{}|^\x60\\\s]|\\u[0-9a-fA-F]{4}|\\U[0-9a-fA-F]{8})*>)`,
+  String.raw`(?<long>"""(?:[^"\\]|\\.|"(?!""))*"""|'''(?:[^'\\]|\\.|'(?!''))*''')`,
+  String.raw`(?<string>"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*')`,
+  String.raw`(?<lang>@[a-zA-Z]+(?:-[a-zA-Z0-9]+)*)`,
+  String.raw`(?<datatype>\^\^)`,
+  String.raw`(?<number>[+-]?(?:\d+(?:\.\d+)?[eE][+-]?\d+|\d*\.\d+|\d+))`,
+  String.raw`(?<name>(?:\p{L}${NAME_CHAR}*)?:(?:${NAME_CHAR}|[:%]|\.(?=${NAME_CHAR}))*|_:${NAME_CHAR}+|\p{L}${NAME_CHAR}*)`,
+  String.raw`(?<punct>[.;,\[\]()])`,
+].join('|'), 'uy');
+
+// Local part of a prefixed name that can be written without escapes
+const LOCAL_NAME = /^[\p{L}\p{N}_-](?:[\p{L}\p{N}_.:-]*[\p{L}\p{N}_:-])?$/u;
+
+const ESCAPES = {t: '\t', n: '\n', r: '\r', b: '\b', f: '\f', '"': '"', "'": "'", '\\': '\\'};
+
+/**
+ * Parse Turtle into JSON resource data.
+ * Full IRIs are shortened with the declared prefixes, then with `options.prefixes`, so
+ * `<http://semantic-machines.com/veda/veda-schema/Document>` becomes `v-s:Document`.
+ * Blank nodes become individuals with `_:` identifiers. Collections are not supported.
+ * @param {string} text - Turtle document
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.prefixes=PREFIXES] - Namespaces by prefix for shortening IRIs
+ * @returns {Object[]} JSON resource data, one object per subject
+ * @throws {SyntaxError} On malformed input
+ */
+export function parseTurtle (text, {prefixes: known = PREFIXES} = {}) {
+  const tokens = tokenize(text);
+  const prefixes = {};
+  const individuals = new Map();
+  let base = '';
+  let blank = 0;
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++] ?? fail('Unexpected end of input');
+  const fail = (message, token = peek()) => {
+    throw new SyntaxError(`Turtle: ${message}${token ? ` at line ${token.line}: ${token.value}` : ''}`);
+  };
+  const expect = (value) => {
+    const token = next();
+    if (token.value !== value) fail(`Expected '${value}'`, token);
+  };
+
+  const iri = (token) => {
+    const value = unescape(token.value.slice(1, -1));
+    return /^[a-z][\w+.-]*:/i.test(value) ? value : base + value;
+  };
+  const resource = (token) => {
+    if (token.type === 'iri') return shorten(iri(token), prefixes, known);
+    if (token.type === 'name' && token.value.includes(':')) return token.value;
+    if (token.type === 'name' && token.value === 'a') return 'rdf:type';
+    return fail('Expected IRI', token);
+  };
+  const individual = (id) => {
+    if (!individuals.has(id)) individuals.set(id, {'@': id});
+    return individuals.get(id);
+  };
+
+  const directive = (keyword) => {
+    if (/^@?base$/i.test(keyword)) {
+      base = iri(next());
+    } else {
+      const name = next();
+      if (name.type !== 'name' || !name.value.endsWith(':')) fail('Expected prefix name', name);
+      prefixes[name.value.slice(0, -1)] = iri(next());
+    }
+    if (keyword.startsWith('@')) expect('.');
+  };
+
+  const object = () => {
+    const token = next();
+    if (token.value === '[') return {data: blankNode(), type: 'Uri'};
+    if (token.value === '(') return fail('Collections are not supported', token);
+    if (token.type === 'string' || token.type === 'long') return literal(token);
+    if (token.type === 'number') return number(token.value);
+    if (token.value === 'true' || token.value === 'false') return {data: token.value === 'true', type: 'Boolean'};
+    return {data: resource(token), type: 'Uri'};
+  };
+
+  const literal = (token) => {
+    const quote = token.type === 'long' ? 3 : 1;
+    const data = unescape(token.value.slice(quote, -quote));
+    if (peek()?.type === 'lang') return {data, type: 'String', lang: next().value.slice(1).toUpperCase()};
+    if (peek()?.type !== 'datatype') return {data, type: 'String'};
+    next();
+    const datatype = next();
+    return typed(data, datatype.type === 'iri' ? iri(datatype) : expand(resource(datatype), prefixes));
+  };
+
+  const predicateObjectList = (subject) => {
+    while (peek() && ![']', '.'].includes(peek().value)) {
+      const predicate = resource(next());
+      do {
+        (subject[predicate] ??= []).push(object());
+      } while (peek()?.value === ',' && next());
+      if (peek()?.value !== ';') break;
+      while (peek()?.value === ';') next();
+    }
+  };
+
+  const blankNode = () => {
+    const id = `_:b${++blank}`;
+    predicateObjectList(individual(id));
+    expect(']');
+    return id;
+  };
+
+  while (pos < tokens.length) {
+    const token = next();
+    if (token.type === 'lang' && /^@(prefix|base)$/.test(token.value) || /^(prefix|base)$/i.test(token.value)) {
+      directive(token.value);
+      continue;
+    }
+    const subject = token.value === '[' ? individual(blankNode()) : individual(resource(token));
+    predicateObjectList(subject);
+    expect('.');
+  }
+  return [...individuals.values()];
+}
+
+/**
+ * Parse N-Triples into JSON resource data.
+ * N-Triples is a subset of Turtle, see parseTurtle().
+ * @param {string} text - N-Triples document
+ * @param {Object} [options] - See parseTurtle()
+ * @returns {Object[]} JSON resource data, one object per subject
+ * @throws {SyntaxError} On malformed input
+ */
+export function parseNTriples (text, options) {
+  return parseTurtle(text, options);
+}
+
+/**
+ * Serialize individuals to Turtle.
+ * Prefixes from `options.prefixes` are declared when used. Prefixed names with an
+ * unknown prefix (e.g. `d:x` without `d`) are written as IRIs (`<d:x>`).
+ * @param {Array<Object>} individuals - Models or JSON resource data
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.prefixes=PREFIXES] - Namespaces by prefix
+ * @returns {string} Turtle document
+ */
+export function toTurtle (individuals, {prefixes = PREFIXES} = {}) {
+  const used = new Set();
+  const name = (id) => {
+    if (id.startsWith('_:')) return id;
+    const [prefix, local] = split(id);
+    if (prefix in prefixes && LOCAL_NAME.test(local)) {
+      used.add(prefix);
+      return id;
+    }
+    return `<${escapeIRI(expand(id, prefixes))}>`;
+  };
+  const value = ({data, type, lang}) => {
+    switch (type) {
+    case 'Uri': return name(String(data));
+    case 'Integer': return String(data);
+    case 'Boolean': return String(data);
+    case 'Decimal': return /^[+-]?\d*\.\d+$/.test(String(data)) ? String(data) : `${quote(data)}^^${name('xsd:decimal')}`;
+    case 'Datetime': return `${quote(datetime(data))}^^${name('xsd:dateTime')}`;
+    default: return quote(data) + (lang && lang !== 'NONE' ? `@${lang.toLowerCase()}` : '');
+    }
+  };
+  const blocks = toData(individuals).map((individual) => {
+    const lines = properties(individual).map(([property, values]) => {
+      return `  ${property === 'rdf:type' ? 'a' : name(property)} ${values.map(value).join(', ')}`;
+    });
+    return `${name(individual['@'])}\n${lines.join(' ;\n')} .\n`;
+  });
+  const header = Object.entries(prefixes)
+    .filter(([prefix]) => used.has(prefix))
+    .map(([prefix, namespace]) => `@prefix ${prefix}: <${escapeIRI(namespace)}> .\n`);
+  return [header.join(''), ...blocks].filter(Boolean).join('\n');
+}
+
+/**
+ * Serialize individuals to N-Triples, one triple per line with full IRIs.
+ * @param {Array<Object>} individuals - Models or JSON resource data
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.prefixes=PREFIXES] - Namespaces for expanding prefixed names
+ * @returns {string} N-Triples document
+ */
+export function toNTriples (individuals, {prefixes = PREFIXES} = {}) {
+  const name = (id) => id.startsWith('_:') ? id : `<${escapeIRI(expand(id, prefixes))}>`;
+  const value = ({data, type, lang}) => {
+    if (type === 'Uri') return name(String(data));
+    const lexical = type === 'Datetime' ? datetime(data) : data;
+    if (type === 'String') return quote(lexical) + (lang && lang !== 'NONE' ? `@${lang.toLowerCase()}` : '');
+    return `${quote(lexical)}^^<${XSD}${DATATYPES[type]}>`;
+  };
+  const lines = [];
+  for (const individual of toData(individuals)) {
+    for (const [property, values] of properties(individual)) {
+      for (const object of values) lines.push(`${name(individual['@'])} ${name(property)} ${value(object)} .`);
+    }
+  }
+  return lines.map((line) => `${line}\n`).join('');
+}
+
+/**
+ * Parse JSON-LD into JSON resource data.
+ * Supports inline `@context` objects (prefixes, `@vocab`, terms with `@id` and `@type`),
+ * `@graph`, embedded nodes and typed/language values. Remote contexts and lists
+ * are not supported. IRIs are shortened as in parseTurtle().
+ * @param {Object|Array|string} document - JSON-LD document or its text
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.prefixes=PREFIXES] - Namespaces by prefix for shortening IRIs
+ * @returns {Object[]} JSON resource data, one object per node
+ * @throws {SyntaxError} On unsupported input
+ */
+export function parseJSONLD (document, {prefixes: known = PREFIXES} = {}) {
+  const individuals = new Map();
+  let blank = 0;
+
+  const node = (object, inherited) => {
+    const context = withContext(inherited, object['@context']);
+    const id = object['@id'] === undefined ? `_:b${++blank}` : iri(object['@id'], context);
+    const individual = individuals.get(id) ?? {'@': id};
+    individuals.set(id, individual);
+    for (const [key, raw] of Object.entries(object)) {
+      if (key === '@context' || key === '@id') continue;
+      if (key === '@graph') {
+        [raw].flat().forEach((child) => node(child, context));
+        continue;
+      }
+      if (key === '@type') {
+        const types = [raw].flat().map((type) => ({data: iri(type, context, true), type: 'Uri'}));
+        (individual['rdf:type'] ??= []).push(...types);
+        continue;
+      }
+      if (key.startsWith('@')) continue;
+      const term = context.terms[key];
+      const property = iri(term?.['@id'] ?? key, context, true);
+      for (const item of [raw].flat()) {
+        (individual[property] ??= []).push(value(item, term, context));
+      }
+    }
+    return id;
+  };
+
+  const value = (item, term = {}, context) => {
+    if (item === null || typeof item !== 'object') {
+      if (term['@type'] === '@id' || term['@type'] === '@vocab') return {data: iri(String(item), context), type: 'Uri'};
+      if (term['@type']) return typed(String(item), iri(term['@type'], context));
+      if (typeof item === 'boolean') return {data: item, type: 'Boolean'};
+      if (typeof item === 'number') return Number.isInteger(item) ? {data: item, type: 'Integer'} : {data: String(item), type: 'Decimal'};
+      return {data: item, type: 'String', ...(term['@language'] && {lang: term['@language'].toUpperCase()})};
+    }
+    if ('@list' in item || '@set' in item) throw new SyntaxError('JSON-LD: Lists are not supported');
+    if ('@value' in item) {
+      if (item['@language']) return {data: String(item['@value']), type: 'String', lang: item['@language'].toUpperCase()};
+      if (item['@type']) return typed(String(item['@value']), iri(item['@type'], context));
+      return value(item['@value'], {}, context);
+    }
+    const keys = Object.keys(item).filter((key) => key !== '@id');
+    return {data: keys.length ? node(item, context) : iri(item['@id'], context), type: 'Uri'};
+  };
+
+  // Expand with the context, then shorten with the known prefixes
+  const iri = (id, context, vocab = false) => {
+    const [prefix, local] = split(id);
+    let full = id;
+    if (local !== undefined && context.prefixes[prefix] !== undefined) full = context.prefixes[prefix] + local;
+    else if (vocab && context.terms[id]?.['@id']) return iri(context.terms[id]['@id'], context);
+    else if (vocab && local === undefined && context.vocab) full = context.vocab + id;
+    return shorten(full, context.prefixes, known);
+  };
+
+  const parsed = typeof document === 'string' ? JSON.parse(document) : document;
+  const root = {prefixes: {}, terms: {}, vocab: undefined};
+  [parsed].flat().forEach((object) => node(object, root));
+  // A top-level object with only @context and @graph is not a node itself
+  return [...individuals.values()].filter((individual) => Object.keys(individual).length > 1 || !individual['@'].startsWith('_:'));
+}
+
+/**
+ * Serialize individuals to compacted JSON-LD with a `@graph`.
+ * The `@context` declares the prefixes from `options.prefixes` that are used.
+ * @param {Array<Object>} individuals - Models or JSON resource data
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.prefixes=PREFIXES] - Namespaces by prefix
+ * @returns {Object} JSON-LD document
+ */
+export function toJSONLD (individuals, {prefixes = PREFIXES} = {}) {
+  const used = new Set();
+  const name = (id) => {
+    const [prefix] = split(id);
+    if (prefix in prefixes) used.add(prefix);
+    return id;
+  };
+  const value = ({data, type, lang}) => {
+    switch (type) {
+    case 'Uri': return {'@id': name(String(data))};
+    case 'Integer': return data;
+    case 'Boolean': return data;
+    case 'String': return lang && lang !== 'NONE' ? {'@value': data, '@language': lang.toLowerCase()} : data;
+    default: return {'@value': type === 'Datetime' ? datetime(data) : String(data), '@type': name(`xsd:${DATATYPES[type]}`)};
+    }
+  };
+  const graph = toData(individuals).map((individual) => {
+    const node = {'@id': name(individual['@'])};
+    for (const [property, values] of properties(individual)) {
+      if (property === 'rdf:type') node['@type'] = values.map(({data}) => name(String(data)));
+      else node[name(property)] = values.map(value);
+    }
+    return node;
+  });
+  const context = Object.fromEntries(Object.entries(prefixes).filter(([prefix]) => used.has(prefix)));
+  return {'@context': context, '@graph': graph};
+}
+
+// XSD datatype names of Veda value types
+const DATATYPES = {Integer: 'integer', Decimal: 'decimal', Boolean: 'boolean', Datetime: 'dateTime', String: 'string'};
+
+function tokenize (text) {
+  const tokens = [];
+  let line = 1;
+  TOKEN.lastIndex = 0;
+  while (TOKEN.lastIndex < text.length) {
+    const match = TOKEN.exec(text);
+    if (!match) {
+      throw new SyntaxError(`Turtle: Unexpected character at line ${line}: ${text[TOKEN.lastIndex]}`);
+    }
+    const [type, value] = Object.entries(match.groups).find(([, group]) => group !== undefined);
+    if (type !== 'space') tokens.push({type, value, line});
+    line += value.split('\n').length - 1;
+  }
+  return tokens;
+}
+
+function unescape (value) {
+  return value.replace(/\\(?:u([0-9a-fA-F]{4})|U([0-9a-fA-F]{8})|(.))/g, (match, u4, u8, char) => {
+    if (u4 || u8) return String.fromCodePoint(parseInt(u4 ?? u8, 16));
+    if (char in ESCAPES) return ESCAPES[char];
+    throw new SyntaxError(`Turtle: Invalid escape ${match}`);
+  });
+}
+
+function quote (data) {
+  return `"${String(data).replace(/[\\"\n\r]/g, (char) => ({'\\': '\\\\', '"': '\\"', '\n': '\\n', '\r': '\\r'})[char])}"`;
+}
+
+function escapeIRI (iri) {
+  return iri.replace(/[<>"{}|^`\\\s]/g, (char) => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+}
+
+function datetime (data) {
+  return data instanceof Date ? data.toISOString() : String(data);
+}
+
+function number (lexical) {
+  return /^[+-]?\d+$/.test(lexical) ? {data: parseInt(lexical, 10), type: 'Integer'} : {data: lexical, type: 'Decimal'};
+}
+
+// Map an XSD typed literal to a Veda value
+function typed (data, datatype) {
+  switch (datatype.replace(XSD, 'xsd:')) {
+  case 'xsd:integer': case 'xsd:int': case 'xsd:long': case 'xsd:nonNegativeInteger':
+    return {data: parseInt(data, 10), type: 'Integer'};
+  case 'xsd:decimal': case 'xsd:double': case 'xsd:float':
+    return {data, type: 'Decimal'};
+  case 'xsd:boolean':
+    return {data: data === 'true' || data === '1', type: 'Boolean'};
+  case 'xsd:dateTime': case 'xsd:date':
+    return {data, type: 'Datetime'};
+  default:
+    return {data, type: 'String'};
+  }
+}
+
+// 'v-s:Document' -> ['v-s', 'Document'], full IRIs and blank nodes -> [id]
+function split (id) {
+  const match = /^([\p{L}\p{N}_-]*):(?!\/\/)(.*)$/u.exec(id);
+  return match && !id.startsWith('_:') ? [match[1], match[2]] : [id];
+}
+
+function expand (id, prefixes) {
+  const [prefix, local] = split(id);
+  return local !== undefined && prefix in prefixes ? prefixes[prefix] + local : id;
+}
+
+function shorten (iri, ...maps) {
+  for (const prefixes of maps) {
+    for (const [prefix, namespace] of Object.entries(prefixes)) {
+      if (namespace && iri.startsWith(namespace) && iri.length > namespace.length) {
+        return `${prefix}:${iri.slice(namespace.length)}`;
+      }
+    }
+  }
+  return iri;
+}
+
+// JSON resource data of models or data objects
+function toData (individuals) {
+  return [individuals].flat().map((individual) => typeof individual.toJSON === 'function' ? individual.toJSON() : individual);
+}
+
+// Property entries of JSON resource data, rdf:type first
+function properties (individual) {
+  const entries = Object.entries(individual)
+    .filter(([property, values]) => property !== '@' && [values].flat().length)
+    .map(([property, values]) => [property, [values].flat()]);
+  return entries.sort(([a], [b]) => (b === 'rdf:type') - (a === 'rdf:type'));
+}
+
+// Merge an inline @context into the active one
+function withContext (context, definition) {
+  if (definition === undefined) return context;
+  const merged = {prefixes: {...context.prefixes}, terms: {...context.terms}, vocab: context.vocab};
+  for (const entry of [definition].flat()) {
+    if (entry === null) return {prefixes: {}, terms: {}, vocab: undefined};
+    if (typeof entry !== 'object') throw new SyntaxError('JSON-LD: Remote contexts are not supported');
+    for (const [key, definitionValue] of Object.entries(entry)) {
+      if (key === '@vocab') merged.vocab = definitionValue;
+      else if (key.startsWith('@')) continue;
+      else if (typeof definitionValue === 'string' && /[/#:]$/.test(definitionValue)) merged.prefixes[key] = definitionValue;
+      else merged.terms[key] = typeof definitionValue === 'string' ? {'@id': definitionValue} : definitionValue;
+    }
+  }
+  return merged;
+}
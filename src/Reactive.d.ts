@@ -3,7 +3,7 @@
  */
 export interface ReactiveOptions {
   onSet?: (key: string | symbol, value: any, oldValue: any) => void;
-  onDelete?: (key: string | symbol) => void;
+  onDelete?: (key: string | symbol, oldValue: any) => void;
 }
 
 /**
@@ -11,7 +11,7 @@ const DANGEROUS_PROPS = new Set(['__proto__', 'constructor', 'prototype']);
  * @param {Object} target - The object to make reactive
  * @param {Object} options - Options for reactive behavior
  * @param {Function} options.onSet - Callback when property is set
- * @param {Function} options.onDelete - Callback when property is deleted
+ * @param {Function} options.onDelete - Callback when property is deleted (receives key and old value)
  * @returns {Proxy} - Reactive proxy object
  */
 export function reactive(target, options = {}) {
@@ -119,13 +119,14 @@ export function reactive(target, options = {}) {
 
     deleteProperty(target, key) {
       const hadKey = key in target;
+      const oldValue = target[key];
       const result = Reflect.deleteProperty(target, key);
 
       if (hadKey) {
         trigger(target, key);
 
         if (options.onDelete && typeof key !== 'symbol') {
-          options.onDelete.call(proxy, key);
+          options.onDelete.call(proxy, key, oldValue);
         }
       }
 
@@ -1,7 +1,42 @@
 type SubscriptionCallback = (id: string, updateCounter?: number) => void;
 type SubscriptionTuple = [id: string, updateCounter: number, callback: SubscriptionCallback];
 
+export interface ReconnectPolicy {
+  /** Delay before the first reconnection attempt (ms) */
+  delay: number;
+  /** Backoff multiplier per attempt */
+  factor: number;
+  /** Upper bound for delay (ms) */
+  maxDelay: number;
+  /** Randomize delay into the [50%, 100%] range */
+  jitter: boolean;
+}
+
+export interface HeartbeatPolicy {
+  /** Idle time before a ping (ms), 0 disables the heartbeat */
+  interval: number;
+  /** Time to wait for an answer before reconnecting (ms) */
+  timeout: number;
+  /** Message sent as ping */
+  ping: string;
+}
+
+export interface SubscriptionState {
+  status: 'connecting' | 'open' | 'closed';
+  /** Failed attempts since the socket was last open */
+  attempt: number;
+  /** Connections opened after the first one */
+  reconnects: number;
+  /** Time of the last received message (ms since epoch) */
+  lastMessage: number | null;
+}
+
 export default class Subscription {
+  static reconnectPolicy: ReconnectPolicy;
+  static heartbeatPolicy: HeartbeatPolicy;
+  /** Reactive connection state */
+  static readonly state: SubscriptionState;
+
   static init(address?: string): void;
 
   static subscribe(ref: object, subscription: SubscriptionTuple): void;
@@ -5,7 +5,9 @@ if (!globalThis.WebSocket) {
   globalThis.WebSocket = ImportedWebSocket;
 }
 
+import Backend from './Backend.js';
 import {timeout} from './Util.js';
+import {reactive} from './Reactive.js';
 
 export default class Subscription {
   // Internal state (use _ prefix to indicate internal API)
@@ -24,33 +26,190 @@ export default class Subscription {
   static _subscriptions = new Map();
   static _refCounts = new Map();
   static _refEntries = new WeakMap();
-  static _registry = new FinalizationRegistry((id) => {
-    Subscription._decrement(id);
+  // Incremented on logout, holders registered before no longer count
+  static _generation = 0;
+  static _registry = new FinalizationRegistry((entry) => {
+    if (entry.generation === Subscription._generation) Subscription._decrement(entry.id);
   });
 
   // Injectable WebSocket class for testing
   static _WebSocketClass = null;
 
+  /**
+   * Reconnect policy after the socket closes: delay * factor^(attempt - 1), capped by maxDelay,
+   * randomized into the [50%, 100%] range when jitter is enabled. Waiting is cut short when
+   * the browser goes online or the page becomes visible; while offline no attempts are made.
+   */
+  static reconnectPolicy = {
+    delay: 1000,
+    factor: 2,
+    maxDelay: 30_000,
+    jitter: true,
+  };
+
+  /**
+   * Heartbeat: when nothing is received for `interval` ms, `ping` is sent; when the server does
+   * not answer within `timeout` ms, the connection is considered stale (e.g. half-open behind
+   * a proxy) and replaced. Any message counts as an answer. An interval of 0 disables it.
+   */
+  static heartbeatPolicy = {
+    interval: 30_000,
+    timeout: 10_000,
+    ping: '',
+  };
+
+  /**
+   * Reactive connection state and metrics: status 'connecting' | 'open' | 'closed', failed
+   * attempts since the last open, connections opened after the first, time of the last message
+   */
+  static state = reactive({status: 'closed', attempt: 0, reconnects: 0, lastMessage: null});
+
+  static _timer = null;
+  static _heartbeat = null;
+  static _listening = false;
+
   static init (address = this._address, WebSocketClass = null) {
     Subscription._address = address;
     Subscription._WebSocketClass = WebSocketClass;
+    Subscription._listen();
     Subscription._connect();
   }
 
+  /**
+   * Open the socket, or schedule reconnection when called as the close handler of the current socket.
+   * @param {Event} [event] - Close event
+   */
   static async _connect (event) {
-    if (event) {
-      console.log(`Socket: ${event.type}, will re-connect in 30 sec.`);
-      await timeout(30_000);
+    // Sockets replaced by init() or a reconnection close without effect
+    if (event?.target && event.target !== Subscription._socket) return;
+    clearTimeout(Subscription._timer);
+    Subscription._timer = null;
+    if (!event) {
+      Subscription._open();
+      return;
     }
+    clearTimeout(Subscription._heartbeat);
+    Subscription.state.status = 'closed';
+    Subscription.state.attempt++;
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      console.log(`Socket: ${event.type}, offline, will re-connect when online.`);
+      return;
+    }
+    const delay = Subscription._reconnectDelay(Subscription.state.attempt);
+    console.log(`Socket: ${event.type}, will re-connect in ${Math.round(delay / 1000)} sec.`);
+    Subscription._timer = setTimeout(() => {
+      Subscription._timer = null;
+      Subscription._open();
+    }, delay);
+  }
+
+  static _open () {
     const WS = Subscription._WebSocketClass || globalThis.WebSocket;
+    if (Subscription._socket) Subscription.state.reconnects++;
+    clearTimeout(Subscription._heartbeat);
     const socket = new WS(Subscription._address);
     Subscription._socket = socket;
-    socket.onopen = () => Subscription._send();
+    Subscription.state.status = 'connecting';
+    socket.onopen = () => {
+      if (socket !== Subscription._socket) return;
+      Subscription.state.status = 'open';
+      Subscription.state.attempt = 0;
+      Subscription._handshake(socket);
+      Subscription._resubscribe();
+      Subscription._watchHeartbeat(socket);
+    };
     socket.onclose = Subscription._connect;
     socket.onerror = (event) => console.error(event.message);
     socket.onmessage = Subscription._receive;
   }
 
+  /** Reconnect at once if the socket is closed, e.g. on 'online' or when the page becomes visible */
+  static _reconnectNow () {
+    if (Subscription.state.status !== 'closed' || !Subscription._socket) return;
+    clearTimeout(Subscription._timer);
+    Subscription._timer = null;
+    Subscription._open();
+  }
+
+  /**
+   * (Re)start waiting for traffic on an open socket: ping when idle, replace it when the ping is not answered.
+   * @param {WebSocket} socket - Current socket
+   */
+  static _watchHeartbeat (socket) {
+    clearTimeout(Subscription._heartbeat);
+    const {interval, timeout, ping} = Subscription.heartbeatPolicy;
+    if (!interval) return;
+    const schedule = (ms, fn) => {
+      Subscription._heartbeat = setTimeout(() => {
+        if (socket === Subscription._socket && socket.readyState === 1) fn();
+      }, ms);
+      // Do not keep Node.js process alive for the timer
+      Subscription._heartbeat.unref?.();
+    };
+    schedule(interval, () => {
+      socket.send(ping);
+      schedule(timeout, () => {
+        console.log(`Socket: no answer in ${timeout} ms, will re-connect.`);
+        Subscription._restart();
+      });
+    });
+  }
+
+  /** Bind the connection to the current session, so the server applies the subscriber's rights */
+  static _handshake (socket) {
+    const ticket = Backend.ticket;
+    if (ticket) socket.send(`ccus=${ticket}`);
+  }
+
+  /** Replace the socket with a new connection, e.g. to handshake with a new ticket */
+  static _restart () {
+    const socket = Subscription._socket;
+    if (!socket) return;
+    clearTimeout(Subscription._timer);
+    Subscription._timer = null;
+    Subscription._open();
+    socket.close();
+  }
+
+  /** Drop all subscriptions of the ended session and reconnect without its ticket */
+  static _logout () {
+    Subscription._generation++;
+    Subscription._subscriptions.clear();
+    Subscription._refCounts.clear();
+    Subscription._buffer.length = 0;
+    Subscription._restart();
+  }
+
+  static _listen () {
+    if (Subscription._listening) return;
+    Subscription._listening = true;
+    // An expired ticket may be recovered by ticketPolicy.reauthenticate, so only logout ends the session
+    Backend.events.on('login ticket-renewed ticket-expired', () => Subscription._restart());
+    Backend.events.on('logout', () => Subscription._logout());
+    if (typeof window !== 'undefined') window.addEventListener('online', Subscription._reconnectNow);
+    if (typeof document !== 'undefined') {
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') Subscription._reconnectNow();
+      });
+    }
+  }
+
+  static _reconnectDelay (attempt, policy = Subscription.reconnectPolicy) {
+    const delay = Math.min(policy.delay * policy.factor ** (attempt - 1), policy.maxDelay);
+    return policy.jitter ? delay * (0.5 + Math.random() / 2) : delay;
+  }
+
+  /**
+   * A new connection has no subscriptions on the server: replace the buffer with all active
+   * subscriptions at their last known update counters. The server then reports individuals
+   * changed while the socket was down, so updates missed meanwhile are caught up.
+   */
+  static _resubscribe () {
+    Subscription._buffer = [...Subscription._subscriptions.values()]
+      .map(([id, updateCounter]) => `+${id}=${updateCounter || 0}`);
+    Subscription._send();
+  }
+
   static async _send (msg) {
     if (msg) Subscription._buffer.push(msg);
     await timeout(500);
@@ -65,7 +224,9 @@ export default class Subscription {
     }
   }
 
-  static _receive ({data: msg}) {
+  static _receive ({data: msg, target}) {
+    Subscription.state.lastMessage = Date.now();
+    if (target === Subscription._socket) Subscription._watchHeartbeat(target);
     if (msg === '') return;
     const ids = (msg.indexOf('=') === 0 ? msg.substr(1) : msg).split(',');
     for (const pairStr of ids) {
@@ -75,8 +236,13 @@ export default class Subscription {
       if (!subscription) {
         Subscription._drop(id);
       } else {
+        const counter = Number(updateCounter);
+        // Unchanged since the last known counter, e.g. reported on resubscription after reconnecting
+        if (counter <= subscription[1]) continue;
+        // Resubscribe after reconnection from the last pushed counter
+        subscription[1] = counter;
         const callback = subscription[2];
-        callback(id, Number(updateCounter));
+        callback(id, counter);
       }
     }
   }
@@ -88,14 +254,16 @@ export default class Subscription {
    */
   static subscribe (ref, subscription) {
     const [id, updateCounter] = subscription;
-    if (Subscription._refEntries.has(ref)) return;
+    const stale = Subscription._refEntries.get(ref);
+    if (stale?.generation === Subscription._generation) return;
+    if (stale) Subscription._registry.unregister(stale.token);
 
     const count = Subscription._refCounts.get(id) || 0;
     Subscription._refCounts.set(id, count + 1);
 
-    const token = {};
-    Subscription._refEntries.set(ref, { id, token });
-    Subscription._registry.register(ref, id, token);
+    const entry = {id, token: {}, generation: Subscription._generation};
+    Subscription._refEntries.set(ref, entry);
+    Subscription._registry.register(ref, entry, entry.token);
 
     if (count === 0) {
       Subscription._subscriptions.set(id, subscription);
@@ -112,7 +280,7 @@ export default class Subscription {
     if (!entry) return;
     Subscription._refEntries.delete(ref);
     Subscription._registry.unregister(entry.token);
-    Subscription._decrement(entry.id);
+    if (entry.generation === Subscription._generation) Subscription._decrement(entry.id);
   }
 
   static _decrement (id) {
@@ -0,0 +1,26 @@
+import Model from './Model.js';
+
+export interface TraversalOptions {
+  /** Max repetitions of `*`, `+` and `{n,}` steps (default: 10) */
+  maxDepth?: number;
+}
+
+export interface TraversalState {
+  models: Model[];
+  nodes: Model[];
+  loading: boolean;
+  error: Error | null;
+}
+
+export default class Traversal {
+  readonly state: TraversalState;
+  readonly models: Model[];
+  readonly nodes: Model[];
+  readonly loading: boolean;
+  readonly error: Error | null;
+
+  constructor(roots: Model | Model[], paths: string | string[], options?: TraversalOptions);
+
+  loaded(): Promise<this>;
+  destroy(): void;
+}
@@ -0,0 +1,188 @@
+import Backend from './Backend.js';
+import Model from './Model.js';
+import VQL from './VQL.js';
+import {reactive} from './Reactive.js';
+import {effect, untrack} from './Effect.js';
+
+/**
+ * Reactive result set of models reachable from root models by property paths.
+ * Paths are `/`-separated steps (`v-s:attachment/v-s:author`). A step is a property,
+ * `^property` for the inverse direction (individuals linking to the model, found with
+ * Backend.query), or alternatives (`v-s:attachment|^v-s:backwardTarget`), optionally
+ * repeated: `?` (0..1), `*` (0..maxDepth), `+` (1..maxDepth), `{n}`, `{n,m}`, `{n,}`.
+ * Every reached model is loaded: loads of one hop are issued together and batched
+ * by Model.loader, so each hop costs one request. The traversal reruns when traversed
+ * properties change, e.g. when an attachment is added. Inverse hops are queried once
+ * per model and property.
+ */
+export default class Traversal {
+  #roots;
+  #steps;
+  #pending = new Set();
+  #failed = new Set();
+  #inverse = new Map();
+  #waiters = [];
+  #version = reactive({value: 0});
+  #stop;
+
+  /**
+   * @param {Model|Model[]} roots - Models to start from
+   * @param {string|string[]} paths - Property paths, results are merged
+   * @param {Object} [options]
+   * @param {number} [options.maxDepth=10] - Max repetitions of `*`, `+` and `{n,}` steps
+   * @throws {SyntaxError} On invalid paths
+   */
+  constructor (roots, paths, {maxDepth = 10} = {}) {
+    this.#roots = [roots].flat();
+    this.#steps = [paths].flat().map((path) => parsePath(path, maxDepth));
+    /** Reactive state: {models, nodes, loading, error} */
+    this.state = reactive({models: [], nodes: [], loading: false, error: null});
+    this.#stop = effect(() => this.#run());
+  }
+
+  /** Models at the ends of the paths */
+  get models () {
+    return this.state.models;
+  }
+
+  /** All reached models, roots included */
+  get nodes () {
+    return this.state.nodes;
+  }
+
+  get loading () {
+    return this.state.loading;
+  }
+
+  get error () {
+    return this.state.error;
+  }
+
+  /**
+   * Wait until all reached models are loaded.
+   * @returns {Promise<Traversal>} this
+   */
+  loaded () {
+    if (!this.state.loading) return Promise.resolve(this);
+    return new Promise((resolve) => this.#waiters.push(resolve));
+  }
+
+  /**
+   * Stop following changes of traversed properties.
+   */
+  destroy () {
+    this.#stop();
+  }
+
+  #run () {
+    void this.#version.value; // Rerun when a load or query settles
+    const nodes = new Set();
+    const models = new Set();
+    for (const steps of this.#steps) {
+      let current = this.#roots.filter((model) => this.#reach(model, nodes));
+      for (const step of steps) current = this.#step(current, step, nodes);
+      current.forEach((model) => models.add(model));
+    }
+    this.state.models = [...models];
+    this.state.nodes = [...nodes];
+    const loading = this.#pending.size > 0;
+    this.state.loading = loading;
+    if (!loading) this.#waiters.splice(0).forEach((resolve) => resolve(this));
+  }
+
+  // Models reached from sources by one step, breadth first
+  #step (sources, {hops, min, max}, nodes) {
+    const result = new Set(min === 0 ? sources : []);
+    const seen = new Set(sources);
+    let level = sources;
+    for (let depth = 1; depth <= max && level.length; depth++) {
+      const next = [];
+      for (const model of level) {
+        for (const target of this.#neighbours(model, hops)) {
+          if (!this.#reach(target, nodes)) continue;
+          if (depth >= min) result.add(target);
+          if (!seen.has(target)) {
+            seen.add(target);
+            next.push(target);
+          }
+        }
+      }
+      level = next;
+    }
+    return [...result];
+  }
+
+  #neighbours (model, hops) {
+    return hops.flatMap(({property, inverse}) => {
+      if (inverse) return this.#linking(model, property);
+      if (!this.#isLoaded(model)) return [];
+      return [model[property] ?? []].flat().filter((value) => value instanceof Model);
+    });
+  }
+
+  // Record a reached model and start loading it; false if it failed to load
+  #reach (model, nodes) {
+    if (this.#failed.has(model)) return false;
+    nodes.add(model);
+    if (!this.#isLoaded(model) && !this.#pending.has(model)) {
+      this.#settle(model, untrack(() => model.load()), (error) => {
+        this.#failed.add(model);
+        this.state.error = error;
+      });
+    }
+    return true;
+  }
+
+  #isLoaded (model) {
+    return model.isNew() || model.isLoaded();
+  }
+
+  // Models linking to the model by the property
+  #linking (model, property) {
+    const key = `${property} ${model.id}`;
+    if (this.#inverse.has(key)) return this.#inverse.get(key) ?? [];
+    this.#inverse.set(key, undefined);
+    const query = Backend.query(VQL.eq(property, model.id).toString()).then(({result = []}) => {
+      this.#inverse.set(key, result.map((uri) => new Model(uri)));
+    });
+    this.#settle(key, query, (error) => {
+      this.#inverse.set(key, []);
+      this.state.error = error;
+    });
+    return [];
+  }
+
+  #settle (key, promise, onError) {
+    this.#pending.add(key);
+    promise.catch(onError).finally(() => {
+      this.#pending.delete(key);
+      this.#version.value++;
+    });
+  }
+}
+
+/**
+ * Parse a property path into steps.
+ * @param {string} path - e.g. 'v-s:attachment/^v-s:parent{1,3}'
+ * @param {number} maxDepth - Upper bound of unbounded repetitions
+ * @returns {Array<{hops: Array<{property: string, inverse: boolean}>, min: number, max: number}>}
+ */
+function parsePath (path, maxDepth) {
+  return String(path).split('/').map((text) => {
+    const match = text.trim().match(/^([^?*+{}]+)(\?|\*|\+|\{(\d+)(,(\d*))?\})?$/);
+    if (!match) throw new SyntaxError(`Traversal: invalid path step '${text}' in '${path}'`);
+    const [, alternatives, quantifier, from, range, to] = match;
+    const hops = alternatives.split('|').map((hop) => {
+      const property = hop.trim().replace(/^\^/, '');
+      if (!property || /[\s^]/.test(property)) throw new SyntaxError(`Traversal: invalid property '${hop}' in '${path}'`);
+      return {property, inverse: hop.trim().startsWith('^')};
+    });
+    let [min, max] = [1, 1];
+    if (quantifier === '?') [min, max] = [0, 1];
+    else if (quantifier === '*') [min, max] = [0, maxDepth];
+    else if (quantifier === '+') [min, max] = [1, maxDepth];
+    else if (from !== undefined) [min, max] = [Number(from), range === undefined ? Number(from) : to === '' ? maxDepth : Number(to)];
+    if (min > max) throw new SyntaxError(`Traversal: invalid repetition '${quantifier}' in '${path}'`);
+    return {hops, min, max};
+  });
+}
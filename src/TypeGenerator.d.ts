@@ -0,0 +1,8 @@
+import { IndividualData } from './Backend.js';
+
+export interface GenerateTypesOptions {
+  /** Module to import Model from (default: 'veda-client') */
+  importFrom?: string;
+}
+
+export function generateTypes(individuals: IndividualData[], options?: GenerateTypesOptions): string;
@@ -0,0 +1,128 @@
+// TypeScript types of Model values by XSD range
+const DATATYPES = {
+  'rdfs:Literal': 'string',
+  'xsd:string': 'string',
+  'xsd:integer': 'number',
+  'xsd:nonNegativeInteger': 'number',
+  // Value.parse keeps round decimals as strings ('5.0')
+  'xsd:decimal': 'number | string',
+  'xsd:boolean': 'boolean',
+  'xsd:dateTime': 'Date',
+};
+
+const CLASSES = new Set(['owl:Class', 'rdfs:Class']);
+const PROPERTIES = new Set(['rdf:Property', 'owl:DatatypeProperty', 'owl:ObjectProperty', 'owl:AnnotationProperty']);
+
+/**
+ * Generate TypeScript declarations from ontology individuals.
+ * Emits one interface per class (owl:Class, rdfs:Class) with the members of Model
+ * but without its index signature, so undeclared properties are type errors, and the
+ * properties of the class and its superclasses: those with the class in rdfs:domain
+ * and those of v-ui:PropertySpecification individuals (v-ui:forClass, v-ui:forProperty).
+ * Values are typed from v-ui:rangeRestriction or rdfs:range; properties with
+ * v-ui:minCardinality >= 1 are required, with v-ui:maxCardinality 1 they are one-tuples
+ * (optional ones too: a model without values has no such property).
+ * An `OntologyClasses` interface maps class URIs to the generated interfaces.
+ * @param {Object[]} individuals - JSON resource data of classes, properties and specifications
+ * @param {Object} [options]
+ * @param {string} [options.importFrom='veda-client'] - Module to import Model from
+ * @returns {string} TypeScript declarations
+ */
+export function generateTypes (individuals, {importFrom = 'veda-client'} = {}) {
+  const byId = new Map(individuals.map((individual) => [individual['@'], individual]));
+  const classes = individuals.filter((individual) => uris(individual['rdf:type']).some((type) => CLASSES.has(type)));
+  const names = interfaceNames(classes.map((individual) => individual['@']));
+
+  // Property declarations by class: domains first, specifications override them
+  const declared = new Map(classes.map((individual) => [individual['@'], new Map()]));
+  for (const property of individuals.filter((individual) => uris(individual['rdf:type']).some((type) => PROPERTIES.has(type)))) {
+    for (const domain of uris(property['rdfs:domain'])) {
+      declared.get(domain)?.set(property['@'], {property: property['@']});
+    }
+  }
+  for (const spec of individuals.filter((individual) => individual['v-ui:forClass'] && individual['v-ui:forProperty'])) {
+    for (const domain of uris(spec['v-ui:forClass'])) {
+      for (const property of uris(spec['v-ui:forProperty'])) {
+        declared.get(domain)?.set(property, {
+          property,
+          min: first(spec['v-ui:minCardinality']),
+          max: first(spec['v-ui:maxCardinality']),
+          range: spec['v-ui:rangeRestriction'] && uris(spec['v-ui:rangeRestriction']),
+        });
+      }
+    }
+  }
+
+  const typeOf = ({property, range = uris(byId.get(property)?.['rdfs:range'])}) => {
+    const types = [...new Set(range.map((uri) => DATATYPES[uri] ?? names.get(uri) ?? 'Model'))];
+    return types.length ? types.join(' | ') : 'ModelValue';
+  };
+
+  const lines = [
+    '// Generated from the Veda ontology. Do not edit.',
+    `import type { Model, ModelMembers, ModelValue } from ${JSON.stringify(importFrom)};`,
+    '',
+  ];
+  for (const individual of classes) {
+    const id = individual['@'];
+    const properties = new Map();
+    for (const uri of [...hierarchy(id, byId)].reverse()) {
+      for (const [property, declaration] of declared.get(uri) ?? []) properties.set(property, declaration);
+    }
+    lines.push(comment(individual, ''), `export interface ${names.get(id)} extends ModelMembers {`);
+    for (const declaration of [...properties.values()].sort((a, b) => a.property.localeCompare(b.property))) {
+      const {property, min = 0, max} = declaration;
+      const type = typeOf(declaration);
+      const values = max === 1 ? `[${type}]` : type.includes(' ') ? `(${type})[]` : `${type}[]`;
+      const cardinality = `${min}..${max ?? '*'}`;
+      lines.push(comment(byId.get(property) ?? {'@': property}, '  ', cardinality));
+      lines.push(`  ${JSON.stringify(property)}${min >= 1 ? '' : '?'}: ${values};`);
+    }
+    lines.push('}', '');
+  }
+  lines.push('export interface OntologyClasses {');
+  for (const individual of classes) lines.push(`  ${JSON.stringify(individual['@'])}: ${names.get(individual['@'])};`);
+  lines.push('}', '');
+  return lines.join('\n');
+}
+
+// URIs of JSON resource data values
+function uris (values = []) {
+  return [values].flat().map((value) => value?.data ?? value).filter((value) => typeof value === 'string');
+}
+
+function first (values) {
+  const value = [values ?? []].flat()[0];
+  return value === undefined ? undefined : Number(value.data ?? value);
+}
+
+// Class and its superclasses, nearest first
+function hierarchy (id, byId, seen = new Set()) {
+  if (seen.has(id)) return seen;
+  seen.add(id);
+  for (const parent of uris(byId.get(id)?.['rdfs:subClassOf'])) hierarchy(parent, byId, seen);
+  return seen;
+}
+
+// v-s:Document -> VSDocument, unique per class
+function interfaceNames (ids) {
+  const names = new Map();
+  const used = new Set();
+  for (const id of ids) {
+    const base = id.replace(/^.*[/#]/, '').split(/[^\p{L}\p{N}]+/u).filter(Boolean)
+      .map((part) => part[0].toUpperCase() + part.slice(1)).join('').replace(/^(?=\d)/, '_') || 'Class';
+    let name = base;
+    for (let i = 2; used.has(name); i++) name = `${base}${i}`;
+    used.add(name);
+    names.set(id, name);
+  }
+  return names;
+}
+
+// Doc comment with the English (or first) rdfs:label and the URI
+function comment (individual, indent, suffix) {
+  const labels = [individual['rdfs:label'] ?? []].flat();
+  const label = labels.find((value) => value.lang === 'EN') ?? labels[0];
+  const text = [label?.data ?? label, `(${individual['@']})`, suffix].filter(Boolean).join(' ');
+  return `${indent}/** ${String(text).replace(/\*\//g, '*\\/')} */`;
+}
@@ -0,0 +1,32 @@
+import Model from './Model.js';
+
+export type VQLValue = string | number | boolean | Date | Model;
+export type VQLBound = number | Date | string;
+export type SortDirection = 'asc' | 'desc';
+
+export interface VQLParams {
+  query: string;
+  sort?: string;
+  databases?: string;
+  [param: string]: any;
+}
+
+export default class VQL {
+  eq(property: string, value: VQLValue): VQL;
+  match(property: string, text: string): VQL;
+  range(property: string, from: VQLBound, to: VQLBound): VQL;
+  and(...queries: VQL[]): VQL;
+  or(...queries: VQL[]): VQL;
+  not(query: VQL): VQL;
+  sort(property: string, direction?: SortDirection): VQL;
+  databases(...names: string[]): VQL;
+  toParams(params?: Record<string, any>): VQLParams;
+  toString(): string;
+
+  static eq(property: string, value: VQLValue): VQL;
+  static match(property: string, text: string): VQL;
+  static range(property: string, from: VQLBound, to: VQLBound): VQL;
+  static and(...queries: VQL[]): VQL;
+  static or(...queries: VQL[]): VQL;
+  static not(query: VQL): VQL;
+}
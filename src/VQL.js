@@ -0,0 +1,210 @@
+const DIRECTIONS = new Set(['asc', 'desc']);
+const DATABASE = /^[\w-]+$/;
+// Unquoted range bounds: numbers and ISO dates
+const DATE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * Immutable builder of VQL queries for Backend.query.
+ * Conditions added by chained calls are joined with `&&`; VQL.or(), VQL.and() and
+ * VQL.not() compose groups. Values and property names are quoted and escaped, so
+ * user input can not change the query structure.
+ *
+ *   new VQL().eq('rdf:type', 'v-s:Todo').eq('v-s:creator', user).sort('v-s:created', 'desc')
+ *   // query: 'rdf:type'==='v-s:Todo' && 'v-s:creator'==='d:user', sort: 'v-s:created' desc
+ */
+export default class VQL {
+  #conditions = [];
+  #sort = [];
+  #databases = [];
+
+  /**
+   * Exact match: `'property'==='value'`.
+   * @param {string} property - Property URI
+   * @param {string|number|boolean|Date|Model} value - Value, models match by URI
+   * @returns {VQL} New builder
+   */
+  eq (property, value) {
+    return this.#add({op: 'eq', property, value});
+  }
+
+  /**
+   * Full-text match: `'property'=='text'`. `*` is a wildcard, e.g. 'repo*';
+   * property '*' searches all properties.
+   * @param {string} property - Property URI or '*'
+   * @param {string} text - Search text
+   * @returns {VQL} New builder
+   */
+  match (property, text) {
+    return this.#add({op: 'match', property, value: text});
+  }
+
+  /**
+   * Inclusive range of numbers or dates: `'property'==[from,to]`.
+   * @param {string} property - Property URI
+   * @param {number|Date|string} from - Lower bound (ISO date strings are accepted)
+   * @param {number|Date|string} to - Upper bound
+   * @returns {VQL} New builder
+   * @throws {TypeError} If a bound is not a finite number or a valid date
+   */
+  range (property, from, to) {
+    return this.#add({op: 'range', property, from: bound(from), to: bound(to)});
+  }
+
+  /**
+   * Add conditions joined with `&&`.
+   * @param {...VQL} queries - Builders whose conditions form the group
+   * @returns {VQL} New builder
+   */
+  and (...queries) {
+    return this.#add({op: 'and', children: queries.map(VQL.#condition)});
+  }
+
+  /**
+   * Add a group of alternatives joined with `||`.
+   * @param {...VQL} queries - Builders whose conditions are the alternatives
+   * @returns {VQL} New builder
+   */
+  or (...queries) {
+    return this.#add({op: 'or', children: queries.map(VQL.#condition)});
+  }
+
+  /**
+   * Add a negated condition. Comparisons are negated with `!=`, groups by De Morgan's laws.
+   * @param {VQL} query - Builder whose conditions are negated
+   * @returns {VQL} New builder
+   * @throws {TypeError} If the conditions contain a range
+   */
+  not (query) {
+    return this.#add(negate(VQL.#condition(query)));
+  }
+
+  /**
+   * Add a sort key.
+   * @param {string} property - Property URI
+   * @param {string} [direction='asc'] - 'asc' or 'desc'
+   * @returns {VQL} New builder
+   * @throws {TypeError} On unknown direction
+   */
+  sort (property, direction = 'asc') {
+    if (!DIRECTIONS.has(direction)) throw new TypeError(`VQL: invalid sort direction '${direction}'`);
+    return this.#copy({sort: [...this.#sort, `${quote(property)} ${direction}`]});
+  }
+
+  /**
+   * Set databases to search, e.g. 'base', 'system', 'deleted'.
+   * @param {...string} names - Database names
+   * @returns {VQL} New builder
+   * @throws {TypeError} On invalid names
+   */
+  databases (...names) {
+    const invalid = names.find((name) => !DATABASE.test(name));
+    if (invalid !== undefined) throw new TypeError(`VQL: invalid database '${invalid}'`);
+    return this.#copy({databases: names});
+  }
+
+  /**
+   * Query params for Backend.query.
+   * @param {Object} [params] - Extra params, e.g. {top: 20, from: 40}
+   * @returns {{query: string, sort?: string, databases?: string}} Params
+   */
+  toParams (params = {}) {
+    return {
+      query: this.toString(),
+      ...(this.#sort.length && {sort: this.#sort.join(', ')}),
+      ...(this.#databases.length && {databases: this.#databases.join(',')}),
+      ...params,
+    };
+  }
+
+  /**
+   * @returns {string} VQL query string
+   */
+  toString () {
+    return render({op: 'and', children: this.#conditions}, true);
+  }
+
+  // Builders of single conditions and groups, e.g. VQL.or(VQL.eq(a, x), VQL.eq(b, y))
+
+  static eq (property, value) {
+    return new VQL().eq(property, value);
+  }
+
+  static match (property, text) {
+    return new VQL().match(property, text);
+  }
+
+  static range (property, from, to) {
+    return new VQL().range(property, from, to);
+  }
+
+  static and (...queries) {
+    return new VQL().and(...queries);
+  }
+
+  static or (...queries) {
+    return new VQL().or(...queries);
+  }
+
+  static not (query) {
+    return new VQL().not(query);
+  }
+
+  #add (condition) {
+    return this.#copy({conditions: [...this.#conditions, condition]});
+  }
+
+  #copy ({conditions = this.#conditions, sort = this.#sort, databases = this.#databases}) {
+    const copy = new VQL();
+    copy.#conditions = conditions;
+    copy.#sort = sort;
+    copy.#databases = databases;
+    return copy;
+  }
+
+  // Conditions of a builder as one node, for composition
+  static #condition (query) {
+    if (!(query instanceof VQL)) throw new TypeError('VQL: expected a VQL builder');
+    const conditions = query.#conditions;
+    return conditions.length === 1 ? conditions[0] : {op: 'and', children: conditions};
+  }
+}
+
+function negate (node) {
+  switch (node.op) {
+  case 'eq':
+  case 'match': return {...node, negated: !node.negated};
+  case 'and': return {op: 'or', children: node.children.map(negate)};
+  case 'or': return {op: 'and', children: node.children.map(negate)};
+  default: throw new TypeError('VQL: range conditions can not be negated');
+  }
+}
+
+function render (node, top = false) {
+  switch (node.op) {
+  case 'eq': return `${quote(node.property)}${node.negated ? '!=' : '==='}${quote(value(node.value))}`;
+  case 'match': return `${quote(node.property)}${node.negated ? '!=' : '=='}${quote(value(node.value))}`;
+  case 'range': return `${quote(node.property)}==[${node.from},${node.to}]`;
+  default: {
+    const parts = node.children.map((child) => render(child)).filter(Boolean);
+    const joined = parts.join(node.op === 'and' ? ' && ' : ' || ');
+    return top || parts.length < 2 ? joined : `(${joined})`;
+  }
+  }
+}
+
+function quote (text) {
+  return `'${String(text).replace(/[\\']/g, '\\$&')}'`;
+}
+
+function value (data) {
+  if (data instanceof Date) return data.toISOString();
+  if (data && typeof data === 'object' && 'id' in data) return data.id;
+  return data;
+}
+
+function bound (data) {
+  if (typeof data === 'number' && Number.isFinite(data)) return String(data);
+  if (data instanceof Date && !isNaN(data)) return data.toISOString();
+  if (typeof data === 'string' && DATE.test(data) && !isNaN(new Date(data))) return data;
+  throw new TypeError(`VQL: invalid range bound '${data}'`);
+}
@@ -0,0 +1,10 @@
+import BackendError from './BackendError.js';
+import Model from './Model.js';
+import { ValidationIssue } from './Validator.js';
+
+export default class ValidationError extends BackendError {
+  model: Model;
+  errors: ValidationIssue[];
+
+  constructor(model: Model, errors: ValidationIssue[]);
+}
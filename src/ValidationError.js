@@ -0,0 +1,14 @@
+import BackendError from './BackendError.js';
+
+/**
+ * Thrown by Model.save() when Model.validator finds the model violating
+ * the property specifications of its classes. Nothing is sent to the server.
+ */
+export default class ValidationError extends BackendError {
+  constructor (model, errors) {
+    super(422);
+    this.name = 'ValidationError';
+    this.model = model;
+    this.errors = errors;
+  }
+}
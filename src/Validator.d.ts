@@ -0,0 +1,22 @@
+import Model from './Model.js';
+
+export interface ValidationIssue {
+  property: string;
+  /** 'minCardinality' | 'maxCardinality' | 'datatype' | 'range' */
+  rule: string;
+  message: string;
+}
+
+export interface ValidationRule {
+  property: string;
+  minCardinality?: number;
+  maxCardinality?: number;
+  range: string[];
+}
+
+export default class Validator {
+  errorsOf(model: Model): Record<string, ValidationIssue[]>;
+  validate(model: Model): Promise<ValidationIssue[]>;
+  rulesFor(classes: string[]): Promise<ValidationRule[]>;
+  clear(): void;
+}
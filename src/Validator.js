@@ -0,0 +1,166 @@
+import Backend from './Backend.js';
+import Model from './Model.js';
+import Value from './Value.js';
+import VQL from './VQL.js';
+import {reactive} from './Reactive.js';
+
+// Value types accepted for datatype ranges
+const DATATYPES = {
+  'rdfs:Literal': ['String'],
+  'xsd:string': ['String'],
+  'xsd:integer': ['Integer'],
+  'xsd:nonNegativeInteger': ['Integer'],
+  'xsd:decimal': ['Decimal', 'Integer'],
+  'xsd:boolean': ['Boolean'],
+  'xsd:dateTime': ['Datetime'],
+};
+
+// Ranges accepting any value
+const ANY = new Set(['rdfs:Resource', 'owl:Thing']);
+
+/**
+ * Validates models against the ontology.
+ * Property specifications (individuals with v-ui:forClass, v-ui:forProperty,
+ * v-ui:minCardinality, v-ui:maxCardinality and v-ui:rangeRestriction) of the
+ * model's rdf:type classes and their superclasses are loaded once and cached.
+ * A specification without range restriction uses the rdfs:range of its property.
+ * Used by Model.save() when assigned to Model.validator.
+ */
+export default class Validator {
+  #rules = new Map();
+  #errors = new WeakMap();
+
+  /**
+   * Get reactive validation errors of a model, updated by validate().
+   * @param {Model} model - Model instance
+   * @returns {Object<string, Array<{property: string, rule: string, message: string}>>} Map of property to its issues
+   */
+  errorsOf (model) {
+    let errors = this.#errors.get(model);
+    if (!errors) {
+      errors = reactive({});
+      this.#errors.set(model, errors);
+    }
+    return errors;
+  }
+
+  /**
+   * Validate a model against the property specifications of its classes.
+   * @param {Model} model - Model instance
+   * @returns {Promise<Array<{property: string, rule: string, message: string}>>} Issues, empty if valid
+   */
+  async validate (model) {
+    const rules = await this.rulesFor(ids(model['rdf:type']));
+    const issues = (await Promise.all(rules.map((rule) => this.#check(model, rule)))).flat();
+    const grouped = {};
+    for (const issue of issues) (grouped[issue.property] ??= []).push(issue);
+    const errors = this.errorsOf(model);
+    for (const property of Object.keys(errors)) {
+      if (!grouped[property]) delete errors[property];
+    }
+    Object.assign(errors, grouped);
+    return issues;
+  }
+
+  /**
+   * Get the rules for instances of the given classes.
+   * A property specified for a class overrides specifications of its superclasses.
+   * @param {string[]} classes - Class URIs
+   * @returns {Promise<Array<{property: string, minCardinality?: number, maxCardinality?: number, range: string[]}>>}
+   */
+  async rulesFor (classes) {
+    const rules = new Map();
+    for (const uri of await hierarchy(classes)) {
+      for (const rule of await this.#rulesOf(uri)) {
+        if (!rules.has(rule.property)) rules.set(rule.property, rule);
+      }
+    }
+    return [...rules.values()];
+  }
+
+  /**
+   * Drop cached specifications, e.g. after the ontology changed.
+   */
+  clear () {
+    this.#rules.clear();
+  }
+
+  // Rules declared for a class, cached; failed loads are retried next time
+  #rulesOf (uri) {
+    if (!this.#rules.has(uri)) {
+      const rules = loadRules(uri);
+      rules.catch(() => this.#rules.delete(uri));
+      this.#rules.set(uri, rules);
+    }
+    return this.#rules.get(uri);
+  }
+
+  async #check (model, {property, minCardinality, maxCardinality, range}) {
+    const values = [model[property] ?? []].flat();
+    const issues = [];
+    const issue = (rule, message) => issues.push({property, rule, message});
+    if (values.length < minCardinality) {
+      issue('minCardinality', `${property} requires at least ${minCardinality} value(s)`);
+    }
+    if (values.length > maxCardinality) {
+      issue('maxCardinality', `${property} allows at most ${maxCardinality} value(s)`);
+    }
+    if (!range.length || range.some((uri) => ANY.has(uri))) return issues;
+
+    const types = range.flatMap((uri) => DATATYPES[uri] ?? []);
+    const classes = range.filter((uri) => !DATATYPES[uri]);
+    for (const value of values) {
+      const type = Value.serialize(value)?.type;
+      if (types.includes(type)) continue;
+      if (type !== 'Uri' || !classes.length) {
+        issue('datatype', `${property} value ${value} is not of type ${range.join(', ')}`);
+      } else if (!await isInstanceOf(value, classes)) {
+        issue('range', `${property} value ${value} is not an instance of ${classes.join(', ')}`);
+      }
+    }
+    return issues;
+  }
+}
+
+// URIs of Uri-valued property values
+function ids (values) {
+  return [values ?? []].flat().map(String);
+}
+
+// Classes and their superclasses, nearest first
+async function hierarchy (classes) {
+  const seen = new Set();
+  let level = classes;
+  while (level.length) {
+    level = level.filter((uri) => !seen.has(uri));
+    level.forEach((uri) => seen.add(uri));
+    const loaded = await Promise.all(level.map((uri) => new Model(uri).load()));
+    level = loaded.flatMap((model) => ids(model['rdfs:subClassOf']));
+  }
+  return [...seen];
+}
+
+// Check the rdf:type classes of a linked individual
+async function isInstanceOf (value, classes) {
+  const model = value instanceof Model ? value : new Model(String(value));
+  try {
+    await model.load();
+  } catch {
+    return true; // Not readable, cannot be checked
+  }
+  return (await hierarchy(ids(model['rdf:type']))).some((uri) => classes.includes(uri));
+}
+
+// Query property specifications of a class
+async function loadRules (uri) {
+  const {result = []} = await Backend.query(VQL.eq('v-ui:forClass', uri).toString());
+  const specs = await Promise.all(result.map((id) => new Model(id).load()));
+  return Promise.all(specs.flatMap((spec) => ids(spec['v-ui:forProperty']).map(async (property) => ({
+    property,
+    minCardinality: spec['v-ui:minCardinality']?.[0],
+    maxCardinality: spec['v-ui:maxCardinality']?.[0],
+    range: spec.hasValue('v-ui:rangeRestriction')
+      ? ids(spec['v-ui:rangeRestriction'])
+      : ids((await new Model(property).load())['rdfs:range']),
+  }))));
+}
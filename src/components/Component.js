@@ -23,7 +23,7 @@ const HTML_ESCAPE_MAP = {
 const HTML_ESCAPE_REGEX = /[&<>"'/\\`]/g;
 const SAFE_EXPR_REGEX = /\{[^}]*\}/g;
 const LAYOUT_TRANSPARENT_TAGS = new Set([
-  'veda-if', 'veda-loop', 'veda-context', 'veda-slot', 'veda-place',
+  'veda-if', 'veda-loop', 'veda-context', 'veda-search', 'veda-slot', 'veda-place',
 ]);
 const componentInstances = new WeakSet();
 
@@ -577,7 +577,7 @@ export default function Component (ElementClass = HTMLElement, ModelClass = Mode
       const tag = el.tagName?.toLowerCase();
       const isAttr = el.getAttribute?.('is');
       return tag === 'veda-if' || tag === 'veda-loop' || tag === 'veda-virtual'
-        || tag === 'veda-context' || tag === 'veda-slot' || tag === 'veda-place'
+        || tag === 'veda-context' || tag === 'veda-search' || tag === 'veda-slot' || tag === 'veda-place'
         || !!isAttr?.endsWith('-loop-component')
         || !!isAttr?.endsWith('-if-component');
     }
@@ -877,7 +877,7 @@ export default function Component (ElementClass = HTMLElement, ModelClass = Mode
       const tag = el.tagName?.toLowerCase();
       const isAttr = el.getAttribute?.('is');
       return tag === 'veda-if' || tag === 'veda-loop'
-        || tag === 'veda-context' || tag === 'veda-slot' || tag === 'veda-place'
+        || tag === 'veda-context' || tag === 'veda-search' || tag === 'veda-slot' || tag === 'veda-place'
         || !!isAttr?.endsWith('-loop-component')
         || !!isAttr?.endsWith('-if-component');
     }
@@ -0,0 +1,56 @@
+import { ComponentInstance, ComponentConstructor } from './Component.js';
+import Model from '../Model.js';
+
+export interface SearchFacetValue {
+  /** URI of model values, string of other values */
+  key: string;
+  value: any;
+  /** Number of matching individuals with the value */
+  count: number;
+  selected: boolean;
+  /** Select or deselect the value */
+  toggle(): Promise<void>;
+}
+
+export interface SearchFacet {
+  property: string;
+  /** Values by descending count */
+  values: SearchFacetValue[];
+}
+
+/** Search state exposed to the template and to descendants as context.search */
+export interface SearchState {
+  /** Search text, debounced */
+  text: string;
+  /** Offset of the current page */
+  from: number;
+  facets: SearchFacet[];
+  readonly results: Model[];
+  readonly count: number;
+  readonly estimated: number;
+  readonly hasMore: boolean;
+  readonly loading: boolean;
+  readonly error: Error | null;
+  next(): Promise<void>;
+  prev(): Promise<void>;
+  refresh(): Promise<void>;
+  toggle(property: string, value: any): Promise<void>;
+}
+
+export interface SearchComponentInstance extends ComponentInstance {
+  /** Run the search now with the current text and facet selection, from the first page */
+  search(): Promise<void>;
+  /** Select or deselect a facet value and rerun the search */
+  toggle(property: string, value: any): Promise<void>;
+}
+
+export interface SearchComponentConstructor extends ComponentConstructor {
+  new (): HTMLElement & SearchComponentInstance;
+  tag: 'veda-search';
+}
+
+export default function SearchComponent(
+  Class?: typeof HTMLElement
+): SearchComponentConstructor;
+
+export const Search: SearchComponentConstructor;
@@ -0,0 +1,188 @@
+import Component from './Component.js';
+import Query from '../Query.js';
+import VQL from '../VQL.js';
+import {reactive, toRaw} from '../Reactive.js';
+
+/**
+ * Full-text and faceted search over Backend.query.
+ *
+ * <veda-search :base="{this.documents}" facets="v-s:hasStatus v-s:creator" top="20">
+ *   <input type="search" bind="{search.text}">
+ *   <span>{search.estimated} found</span>
+ *   <veda-loop items="{search.results}" as="doc" key="id">...</veda-loop>
+ *   <button onclick="{search.next}">More</button>
+ * </veda-search>
+ *
+ * The template is rendered in the host's scope with a `search` variable (renamed with `as`);
+ * descendant components read the same object from `this.context.search`.
+ * Attributes: `base` (VQL string, or a VQL builder via `:base`), `facets` (space-separated
+ * properties), `match` (full-text property, default '*'), `sort`, `top` (default 20),
+ * `debounce` (ms, default 300), `facet-limit` (results counted for facets, default 100).
+ */
+export default function SearchComponent(Class = HTMLElement) {
+  return class SearchComponentClass extends Component(Class) {
+    static tag = 'veda-search';
+
+    #query = new Query('');
+    #facetQuery = new Query('');
+    #timer = null;
+    #facetRun = 0;
+    // Facet values selected with toggle(): property -> Set of keys
+    #selected = new Map();
+
+    async connectedCallback() {
+      this._vedaParentContext = this._findParentComponent();
+      await super.connectedCallback();
+    }
+
+    async populate() {
+      await super.populate();
+      const query = this.#query;
+      const facetQuery = this.#facetQuery;
+      this.state.search ??= {
+        text: '',
+        from: 0,
+        facets: [],
+        get results() { return query.models; },
+        get count() { return query.state.count; },
+        get estimated() { return query.state.estimated; },
+        get hasMore() { return query.hasMore; },
+        get loading() { return query.loading || facetQuery.loading; },
+        get error() { return query.error ?? facetQuery.error; },
+        next: () => this.#page(query.next()),
+        prev: () => this.#page(query.prev()),
+        refresh: () => this.search(),
+        toggle: (property, value) => this.toggle(property, value),
+      };
+      this.watch(() => this.state.search.text, () => this.#schedule());
+      this.watch(() => this.state.base, () => this.search());
+      this.search();
+    }
+
+    removed() {
+      clearTimeout(this.#timer);
+      this.#timer = null;
+      this.#query.destroy();
+      this.#facetQuery.destroy();
+    }
+
+    /**
+     * Run the search now with the current text and facet selection, from the first page.
+     * @returns {Promise<void>}
+     */
+    async search() {
+      clearTimeout(this.#timer);
+      this.#timer = null;
+      const search = this.state.search;
+      if (!search) return;
+      const base = toRaw(this.state.base) ?? this.getAttribute('base') ?? '';
+      const text = String(search.text ?? '').trim();
+      const filter = text ? VQL.match(this.getAttribute('match') || '*', text) : '';
+      const selection = new VQL().and(...[...this.#selected].map(([property, keys]) =>
+        VQL.or(...[...keys].map((key) => VQL.eq(property, key)))));
+      const query = combine(base, filter, selection);
+      if (!query) return;
+      const sort = this.getAttribute('sort') ?? (base instanceof VQL ? base.toParams().sort : undefined);
+      const databases = base instanceof VQL ? base.toParams().databases : undefined;
+      const top = Number(this.getAttribute('top') ?? 20);
+      await Promise.all([
+        this.#page(this.#query.run({query, sort, databases, top, from: 0})),
+        this.#countFacets(combine(base, filter), databases),
+      ]);
+    }
+
+    /**
+     * Select or deselect a facet value and rerun the search.
+     * @param {string} property - Facet property
+     * @param {any} value - Facet value (Model, primitive or its key)
+     * @returns {Promise<void>}
+     */
+    toggle(property, value) {
+      const key = keyOf(value);
+      const keys = this.#selected.get(property) ?? new Set();
+      if (keys.has(key)) keys.delete(key);
+      else keys.add(key);
+      if (keys.size) this.#selected.set(property, keys);
+      else this.#selected.delete(property);
+      for (const entry of this.state.search?.facets.find((facet) => facet.property === property)?.values ?? []) {
+        entry.selected = keys.has(entry.key);
+      }
+      return this.search();
+    }
+
+    _processEvalContext() {
+      const parent = this._vedaEvalContext || this._vedaParentContext?.state || this._vedaParentContext;
+      const context = reactive({[this.getAttribute('as') || 'search']: this.state.search});
+      if (parent) Object.setPrototypeOf(context, parent);
+      return context;
+    }
+
+    render() {
+      return this.template ?? '';
+    }
+
+    async #page(run) {
+      try {
+        await run;
+      } catch {
+        // Exposed as search.error
+      }
+      if (this.state.search) this.state.search.from = this.#query.params.from ?? 0;
+    }
+
+    #schedule() {
+      clearTimeout(this.#timer);
+      this.#timer = setTimeout(() => this.search(), Number(this.getAttribute('debounce') ?? 300));
+    }
+
+    // Value counts of facet properties in the first `facet-limit` results, before facet selection
+    async #countFacets(query, databases) {
+      const properties = (this.getAttribute('facets') ?? '').split(/\s+/).filter(Boolean);
+      if (!properties.length) return;
+      const run = ++this.#facetRun;
+      let models;
+      try {
+        models = await this.#facetQuery.run({query, databases, top: Number(this.getAttribute('facet-limit') ?? 100), from: 0});
+      } catch {
+        return; // Exposed as search.error
+      }
+      if (run !== this.#facetRun || !this.state.search) return;
+      this.state.search.facets = properties.map((property) => {
+        const counts = new Map();
+        for (const model of models) {
+          for (const value of [model[property] ?? []].flat()) {
+            const key = keyOf(value);
+            const entry = counts.get(key) ?? {key, value, count: 0, selected: !!this.#selected.get(property)?.has(key)};
+            entry.count++;
+            counts.set(key, entry);
+          }
+        }
+        const values = [...counts.values()].sort((a, b) => b.count - a.count);
+        values.forEach((entry) => entry.toggle = () => this.toggle(property, entry.key));
+        return {property, values};
+      });
+    }
+  };
+}
+
+// Facet value key: URI of models, string of other values
+function keyOf(value) {
+  return value?.id ?? String(value);
+}
+
+// Join query parts with &&
+function combine(...parts) {
+  const queries = parts.map(String).filter(Boolean);
+  return queries.length > 1 ? queries.map((query) => `(${query})`).join(' && ') : queries[0] ?? '';
+}
+
+const Search = (() => {
+  if (typeof customElements !== 'undefined') {
+    const SearchComponentClass = SearchComponent(HTMLElement);
+    customElements.define(SearchComponentClass.tag, SearchComponentClass);
+    return SearchComponentClass;
+  }
+  return SearchComponent;
+})();
+
+export {Search};
@@ -7,8 +7,10 @@ const INSPECT_KEYS = new Set([
   'then', 'toJSON', 'toString', 'valueOf', 'constructor', 'inspect', '$$typeof',
 ]);
 
+const CONTEXT_TAGS = new Set(['veda-context', 'veda-search']);
+
 export function isContextElement(el) {
-  return el?.tagName?.toLowerCase() === 'veda-context';
+  return CONTEXT_TAGS.has(el?.tagName?.toLowerCase());
 }
 
 function ancestorElement(el) {
@@ -1,8 +1,19 @@
-export { default as Backend } from './Backend.js';
+export { default as Backend, fetchTransport, memoryStorage } from './Backend.js';
 export { default as BackendError } from './BackendError.js';
+export { default as ConflictError, merge } from './ConflictError.js';
+export { default as ValidationError } from './ValidationError.js';
 export { default as Subscription } from './Subscription.js';
 export { default as Emitter } from './Emitter.js';
 export { default as Model } from './Model.js';
+export { default as Outbox, memoryStore, indexedDBStore } from './Outbox.js';
+export { default as PersistentCache, memoryCacheAdapter, indexedDBCacheAdapter } from './PersistentCache.js';
+export { default as History } from './History.js';
+export { default as Validator } from './Validator.js';
+export { default as Traversal } from './Traversal.js';
+export { default as Query } from './Query.js';
+export { default as VQL } from './VQL.js';
+export { PREFIXES, parseTurtle, parseNTriples, parseJSONLD, toTurtle, toNTriples, toJSONLD } from './RDF.js';
+export { generateTypes } from './TypeGenerator.js';
 export { default as Component, html, safe, raw, reactive, effect } from './components/Component.js';
 export { computed } from './Reactive.js';
 export { flushEffects, trigger, untrack, pauseTracking, resumeTracking } from './Effect.js';
@@ -13,6 +24,7 @@ export { Loop } from './components/LoopComponent.js';
 export { If } from './components/IfComponent.js';
 export { Virtual } from './components/VirtualComponent.js';
 export { Context } from './components/ContextComponent.js';
+export { Search } from './components/SearchComponent.js';
 export { Slot } from './components/SlotComponent.js';
 export { Place } from './components/PlaceComponent.js';
 
@@ -30,15 +42,27 @@ export { Place } from './components/PlaceComponent.js';
 export * from './Util.js';
 
 // Re-export types
-export type { IndividualData, AuthResult, QueryResult, QueryParams, UploadFileParams } from './Backend.js';
+export type { IndividualData, AuthResult, QueryResult, QueryParams, UploadFileParams, RetryPolicy, TicketPolicy, RequestOptions, Transport, TransportRequest, TransportResponse, RequestInterceptor, ResponseInterceptor, StorageAdapter, BackendOptions } from './Backend.js';
 export type { ValueData, ValueType, PrimitiveValue } from './Value.js';
 export type { EmitterInstance } from './Emitter.js';
-export type { ModelValue } from './Model.js';
+export type { ReconnectPolicy, HeartbeatPolicy, SubscriptionState } from './Subscription.js';
+export type { ModelValue, ModelMembers, PropertyChange, PropertyAccessors, Transaction } from './Model.js';
+export type { PropertyConflict, MergeResult } from './ConflictError.js';
+export type { OutboxMethod, OutboxEntry, OutboxStore, OutboxState, OutboxOptions } from './Outbox.js';
+export type { PersistentCacheEntry, PersistentCacheAdapter, PersistentCacheOptions } from './PersistentCache.js';
+export type { HistoryOptions, HistoryState } from './History.js';
+export type { ValidationIssue, ValidationRule } from './Validator.js';
+export type { TraversalOptions, TraversalState } from './Traversal.js';
+export type { QueryOptions, QueryState } from './Query.js';
+export type { VQLValue, VQLBound, VQLParams, SortDirection } from './VQL.js';
+export type { GenerateTypesOptions } from './TypeGenerator.js';
+export type { Prefixes, RDFOptions, JSONLDDocument } from './RDF.js';
 export type { ComponentInstance } from './components/Component.js';
 export type { LoopComponentInstance } from './components/LoopComponent.js';
 export type { IfComponentInstance } from './components/IfComponent.js';
 export type { VirtualComponentInstance } from './components/VirtualComponent.js';
 export type { ContextComponentInstance } from './components/ContextComponent.js';
+export type { SearchComponentInstance, SearchState, SearchFacet, SearchFacetValue } from './components/SearchComponent.js';
 export type { SlotComponentInstance } from './components/SlotComponent.js';
 export type { PlaceComponentInstance } from './components/PlaceComponent.js';
 export type { Reactive, ReactiveOptions } from './Reactive.js';
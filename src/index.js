@@ -1,13 +1,25 @@
-export {default as Backend} from './Backend.js';
+export {default as Backend, fetchTransport, memoryStorage} from './Backend.js';
 export {default as BackendError} from './BackendError.js';
+export {default as ConflictError, merge} from './ConflictError.js';
+export {default as ValidationError} from './ValidationError.js';
 export {default as Subscription} from './Subscription.js';
 export {default as Emitter} from './Emitter.js';
 export {default as Model} from './Model.js';
+export {default as Outbox, memoryStore, indexedDBStore} from './Outbox.js';
+export {default as PersistentCache, memoryCacheAdapter, indexedDBCacheAdapter} from './PersistentCache.js';
+export {default as History} from './History.js';
+export {default as Validator} from './Validator.js';
+export {default as Traversal} from './Traversal.js';
+export {default as Query} from './Query.js';
+export {default as VQL} from './VQL.js';
+export {PREFIXES, parseTurtle, parseNTriples, parseJSONLD, toTurtle, toNTriples, toJSONLD} from './RDF.js';
+export {generateTypes} from './TypeGenerator.js';
 export {default as Component, html, safe, raw, reactive, effect} from './components/Component.js';
 export {Loop} from './components/LoopComponent.js';
 export {If} from './components/IfComponent.js';
 export {Virtual} from './components/VirtualComponent.js';
 export {Context} from './components/ContextComponent.js';
+export {Search} from './components/SearchComponent.js';
 export {Slot} from './components/SlotComponent.js';
 export {Place} from './components/PlaceComponent.js';
 export {computed, toRaw} from './Reactive.js';
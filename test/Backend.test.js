@@ -0,0 +1,686 @@
+/**
+ * Backend unit tests
+ * Uses an in-memory transport instead of a real server
+ */
+
+import Backend, { fetchTransport, memoryStorage } from '../src/Backend.js';
+import BackendError from '../src/BackendError.js';
+import { MockTransport } from './mocks/Transport.mock.js';
+
+export default ({ test, assert }) => {
+
+  // Other suites replace Backend methods with mocks, keep the real ones for these tests
+  const methodNames = Object.getOwnPropertyNames(Backend).filter((name) => typeof Backend[name] === 'function');
+  const realMethods = Object.fromEntries(methodNames.map((name) => [name, Backend[name]]));
+
+  const withTransport = async (fn) => {
+    const transport = new MockTransport();
+    const originalTransport = Backend.transport;
+    const originalRetryPolicy = { ...Backend.retryPolicy };
+    const originalTimeout = Backend.requestTimeout;
+    const originalTicketPolicy = { ...Backend.ticketPolicy };
+    const { user_uri, expires, storage } = Backend;
+    const currentMethods = Object.fromEntries(methodNames.map((name) => [name, Backend[name]]));
+    Object.assign(Backend, realMethods);
+    Backend.transport = transport;
+    try {
+      await fn(transport);
+    } finally {
+      Backend.requestInterceptors.clear();
+      Backend.responseInterceptors.clear();
+      // Drop the test session and its ticket timers
+      Backend.transport = new MockTransport().on('logout', () => ({}));
+      await Backend.logout();
+      Backend.user_uri = user_uri;
+      Backend.expires = expires;
+      Backend.storage = storage;
+      Backend.ticketPolicy = originalTicketPolicy;
+      Backend.events.off('ticket-expired ticket-renewed');
+      Object.assign(Backend, currentMethods);
+      Backend.transport = originalTransport;
+      Backend.retryPolicy = originalRetryPolicy;
+      Backend.requestTimeout = originalTimeout;
+    }
+  };
+
+  test('Backend - uses fetch transport by default', () => {
+    assert(Backend.transport === fetchTransport, 'Default transport should be fetchTransport');
+  });
+
+  test('Backend - sends requests through custom transport', async () => {
+    await withTransport(async (transport) => {
+      transport.on('get_individual', ({ data }) => ({ '@': data.uri }));
+      transport.on('put_individual', () => ({ op_id: 1 }));
+
+      const individual = await Backend.get_individual('d:Transport1');
+      assert(individual['@'] === 'd:Transport1', 'Should return transport response');
+
+      await Backend.put_individual({ '@': 'd:Transport1' });
+      const [put] = transport.getRequests('put_individual');
+      assert(put.method === 'PUT', 'Should pass method');
+      assert(put.headers['Content-Type'] === 'application/json', 'Should pass JSON headers');
+      assert(put.data.individual['@'] === 'd:Transport1', 'Should pass JSON body');
+    });
+  });
+
+  test('Backend - request interceptors can modify and replace requests', async () => {
+    await withTransport(async (transport) => {
+      transport.on('get_individual', ({ headers }) => ({ '@': 'd:x', signature: headers['X-Signature'], trace: headers['X-Trace'] }));
+
+      const offSign = Backend.onRequest((request) => {
+        request.headers['X-Signature'] = `signed:${request.method}`;
+      });
+      const offTrace = Backend.onRequest(async (request) => ({
+        ...request,
+        headers: { ...request.headers, 'X-Trace': 'trace-1' },
+      }));
+
+      const result = await Backend.get_individual('d:x');
+      assert(result.signature === 'signed:GET', 'First interceptor should mutate request');
+      assert(result.trace === 'trace-1', 'Second interceptor should replace request');
+
+      offSign();
+      offTrace();
+      assert(Backend.requestInterceptors.size === 0, 'Unsubscribe should remove interceptors');
+    });
+  });
+
+  test('Backend - response interceptors see and replace responses', async () => {
+    await withTransport(async (transport) => {
+      transport.on('get_individual', () => MockTransport.respond(503));
+
+      const seen = [];
+      Backend.onResponse((response, request) => {
+        seen.push([response.status, request.url.pathname]);
+        if (response.status === 503) return MockTransport.respond(200, { '@': 'd:fallback' });
+      });
+
+      const result = await Backend.get_individual('d:x');
+      assert(result['@'] === 'd:fallback', 'Interceptor response should be used');
+      assert(seen[0][0] === 503 && seen[0][1] === '/get_individual', 'Interceptor should receive response and request');
+    });
+  });
+
+  test('Backend - transport errors are wrapped in BackendError', async () => {
+    await withTransport(async (transport) => {
+      transport.on('get_individual', () => MockTransport.respond(404));
+
+      const errors = [];
+      const offError = Backend.onError((error) => errors.push(error));
+      try {
+        await Backend.get_individual('d:missing');
+        assert(false, 'Should throw');
+      } catch (error) {
+        assert(error instanceof BackendError, 'Should be BackendError');
+        assert(error.code === 404, 'Should carry status code');
+        assert(error.response.status === 404, 'Should carry response');
+      }
+
+      Backend.transport = { request: () => Promise.reject(new Error('Network down')) };
+      try {
+        await Backend.get_individual('d:missing');
+        assert(false, 'Should throw');
+      } catch (error) {
+        assert(error instanceof BackendError && error.code === 0, 'Network error should have code 0');
+      }
+      offError();
+      assert(errors.length === 2, 'Error listeners should be notified');
+    });
+  });
+
+  test('Backend - failing request interceptor is wrapped in BackendError', async () => {
+    await withTransport(async () => {
+      Backend.onRequest(() => {
+        throw new Error('Signing failed');
+      });
+      try {
+        await Backend.get_individual('d:x');
+        assert(false, 'Should throw');
+      } catch (error) {
+        assert(error instanceof BackendError && error.code === 0, 'Should wrap interceptor error');
+        assert(error.response.message === 'Signing failed', 'Should keep original error');
+      }
+    });
+  });
+
+  test('Backend - abort errors pass through unwrapped', async () => {
+    await withTransport(async (transport) => {
+      transport.on('get_individual', () => ({}));
+      const controller = new AbortController();
+      controller.abort();
+      try {
+        await Backend.get_individual('d:x', true, controller.signal);
+        assert(false, 'Should throw');
+      } catch (error) {
+        assert(error.name === 'AbortError', 'Should be AbortError');
+      }
+    });
+  });
+
+  test('Backend - uploadFile uses transport and interceptors', async () => {
+    await withTransport(async (transport) => {
+      const requests = [];
+      transport.request = async (request) => {
+        requests.push(request);
+        return MockTransport.respond(200);
+      };
+      Backend.onRequest((request) => {
+        request.headers['X-Correlation-Id'] = 'abc';
+      });
+
+      await Backend.uploadFile({ path: 'test.txt', uri: 'd:file', file: 'dGVzdA==' });
+
+      assert(requests.length === 1, 'Should call transport once');
+      assert(requests[0].url.pathname === '/files', 'Should post to files');
+      assert(requests[0].body instanceof FormData, 'Should send form data');
+      assert(requests[0].headers['X-Correlation-Id'] === 'abc', 'Should apply interceptors');
+
+      transport.request = async () => MockTransport.respond(500);
+      try {
+        await Backend.uploadFile({ path: 'test.txt', uri: 'd:file', file: 'dGVzdA==' });
+        assert(false, 'Should throw');
+      } catch (error) {
+        assert(error instanceof BackendError && error.code === 500, 'Should reject with status');
+      }
+    });
+  });
+
+  // Ticket end_time is in .NET ticks
+  const endTime = (ms) => ms * 10000 + 621355968000000000;
+  const ticket = (ms, cookie = 'ticket=abc123') => () => MockTransport.respond(200, {
+    user_uri: 'cfg:Guest',
+    end_time: endTime(ms),
+  }, { 'Set-Cookie': `${cookie}; Path=/` });
+
+  test('Backend - ticket cookie from transport response is reused', async () => {
+    await withTransport(async (transport) => {
+      transport.on('authenticate', ticket(Date.now() + 3_600_000));
+      transport.on('is_ticket_valid', () => true);
+
+      await Backend.authenticate('guest', 'hash');
+      await Backend.is_ticket_valid();
+      const [check] = transport.getRequests('is_ticket_valid');
+      assert(check.headers['Cookie'] === 'ticket=abc123', 'Should send ticket cookie');
+    });
+  });
+
+  test('Backend - login and logout events and ticket id', async () => {
+    await withTransport(async (transport) => {
+      transport.on('authenticate', ticket(Date.now() + 3_600_000));
+      transport.on('get_ticket_trusted', () => ({ id: 'trusted-id', user_uri: 'cfg:Admin', end_time: endTime(Date.now() + 3_600_000) }));
+      transport.on('logout', () => ({}));
+      const events = [];
+      const record = (name) => (session) => events.push(`${name}:${session.user_uri}`);
+      Backend.events.once('login', record('login'));
+      await Backend.authenticate('guest', 'hash');
+      assert(Backend.ticket === 'abc123', 'Should take the ticket from the cookie');
+
+      Backend.events.once('login', record('login'));
+      await Backend.get_ticket_trusted('admin');
+      assert(Backend.ticket === 'trusted-id', 'Should prefer the ticket id of the response');
+
+      Backend.events.once('logout', record('logout'));
+      await Backend.logout();
+      assert(events.join() === 'login:cfg:Guest,login:cfg:Admin,logout:cfg:Admin', `Unexpected events: ${events}`);
+      assert(Backend.ticket === undefined, 'Should drop the ticket on logout');
+    });
+  });
+
+  const failTimes = (count, status) => {
+    let calls = 0;
+    return () => (++calls <= count ? MockTransport.respond(status) : { '@': 'd:ok' });
+  };
+
+  test('Backend - does not retry by default', async () => {
+    await withTransport(async (transport) => {
+      transport.on('get_individual', failTimes(1, 503));
+      try {
+        await Backend.get_individual('d:x');
+        assert(false, 'Should throw');
+      } catch (error) {
+        assert(error.code === 503 && error.attempts === 1, 'Should fail after one attempt');
+      }
+    });
+  });
+
+  test('Backend - global retry policy retries idempotent calls', async () => {
+    await withTransport(async (transport) => {
+      Backend.retryPolicy = { ...Backend.retryPolicy, attempts: 3, delay: 1, jitter: false };
+      transport.on('get_individual', failTimes(2, 503));
+      transport.on('get_individuals', failTimes(1, 0));
+
+      const errors = [];
+      const offError = Backend.onError((error) => errors.push(error));
+      const result = await Backend.get_individual('d:x');
+      assert(result['@'] === 'd:ok', 'Should succeed after retries');
+      assert(transport.getRequests('get_individual').length === 3, 'Should make 3 attempts');
+
+      await Backend.get_individuals(['d:x']);
+      assert(transport.getRequests('get_individuals').length === 2, 'Read-only POST should be retried');
+      offError();
+      assert(errors.length === 0, 'Intermediate failures should not be emitted');
+    });
+  });
+
+  test('Backend - exhausted retries report attempt count', async () => {
+    await withTransport(async (transport) => {
+      Backend.retryPolicy = { ...Backend.retryPolicy, attempts: 3, delay: 1 };
+      transport.on('get_individual', () => MockTransport.respond(429));
+
+      const errors = [];
+      const offError = Backend.onError((error) => errors.push(error));
+      try {
+        await Backend.get_individual('d:x');
+        assert(false, 'Should throw');
+      } catch (error) {
+        assert(error instanceof BackendError && error.code === 429, 'Should be last error');
+        assert(error.attempts === 3, 'Should report 3 attempts');
+      }
+      offError();
+      assert(errors.length === 1, 'Final failure should be emitted once');
+    });
+  });
+
+  test('Backend - non-retryable statuses fail immediately', async () => {
+    await withTransport(async (transport) => {
+      Backend.retryPolicy = { ...Backend.retryPolicy, attempts: 3, delay: 1 };
+      transport.on('get_individual', () => MockTransport.respond(404));
+      try {
+        await Backend.get_individual('d:x');
+        assert(false, 'Should throw');
+      } catch (error) {
+        assert(error.code === 404 && error.attempts === 1, 'Should not retry 404');
+      }
+    });
+  });
+
+  test('Backend - writes are not retried unless retryUnsafe', async () => {
+    await withTransport(async (transport) => {
+      Backend.retryPolicy = { ...Backend.retryPolicy, attempts: 3, delay: 1 };
+      transport.on('put_individual', failTimes(1, 503));
+      try {
+        await Backend.put_individual({ '@': 'd:x' });
+        assert(false, 'Should throw');
+      } catch (error) {
+        assert(error.code === 503 && error.attempts === 1, 'PUT should not be retried');
+      }
+
+      transport.on('put_individual', failTimes(1, 503));
+      await Backend.put_individual({ '@': 'd:x' }, { retry: { retryUnsafe: true } });
+      assert(transport.getRequests('put_individual').length === 3, 'Per-call retryUnsafe should retry PUT');
+    });
+  });
+
+  test('Backend - per-call retry policy overrides global one', async () => {
+    await withTransport(async (transport) => {
+      transport.on('get_individual', failTimes(1, 503));
+      const result = await Backend.get_individual('d:x', true, { retry: { attempts: 2, delay: 1 } });
+      assert(result['@'] === 'd:ok', 'Per-call policy should enable retry');
+
+      transport.on('get_individual', failTimes(1, 503));
+      Backend.retryPolicy = { ...Backend.retryPolicy, attempts: 5, delay: 1 };
+      try {
+        await Backend.get_individual('d:x', true, { retry: { attempts: 1 } });
+        assert(false, 'Should throw');
+      } catch (error) {
+        assert(error.attempts === 1, 'Per-call policy should disable retry');
+      }
+    });
+  });
+
+  test('Backend - retry is cancelled by abort signal', async () => {
+    await withTransport(async (transport) => {
+      const controller = new AbortController();
+      transport.on('get_individual', () => {
+        controller.abort();
+        return MockTransport.respond(503);
+      });
+      try {
+        await Backend.get_individual('d:x', true, { signal: controller.signal, retry: { attempts: 3, delay: 1 } });
+        assert(false, 'Should throw');
+      } catch (error) {
+        assert(error.name === 'AbortError', 'Should abort instead of retrying');
+      }
+      assert(transport.getRequests('get_individual').length === 1, 'Should stop after abort');
+    });
+  });
+
+  test('Backend - query retries busy database (999) with tries limit', async () => {
+    await withTransport(async (transport) => {
+      transport.on('query', failTimes(2, 999));
+      const result = await Backend.query({ query: "'rdf:type' === 'owl:Class'" }, undefined, undefined, undefined, undefined, undefined, undefined, { retry: { delay: 1 } });
+      assert(result['@'] === 'd:ok', 'Should succeed after 999 retries');
+      assert(transport.getRequests('query').length === 3, 'Should retry 999');
+
+      transport.on('query', failTimes(5, 999));
+      try {
+        await Backend.query('q', undefined, undefined, undefined, undefined, undefined, undefined, { retry: { delay: 1 } }, 2);
+        assert(false, 'Should throw');
+      } catch (error) {
+        assert(error.code === 999 && error.attempts === 2, 'Should stop after tries');
+      }
+    });
+  });
+
+  test('Backend - query follows the global retry policy for other statuses', async () => {
+    await withTransport(async (transport) => {
+      transport.on('query', failTimes(1, 503));
+      try {
+        await Backend.query('q');
+        assert(false, 'Should throw');
+      } catch (error) {
+        assert(error.code === 503 && error.attempts === 1, 'Should not retry 503 with the default single attempt');
+      }
+
+      Backend.retryPolicy = { ...Backend.retryPolicy, attempts: 3, delay: 1 };
+      transport.on('query', failTimes(2, 503));
+      const result = await Backend.query('q');
+      assert(result['@'] === 'd:ok', 'Should retry 503 when enabled globally');
+
+      transport.on('query', failTimes(5, 429));
+      try {
+        await Backend.query('q', undefined, undefined, undefined, undefined, undefined, undefined, undefined, 10);
+        assert(false, 'Should throw');
+      } catch (error) {
+        assert(error.code === 429 && error.attempts === 3, 'Global attempts should limit other statuses, not tries');
+      }
+    });
+  });
+
+  const hang = () => new Promise(() => {});
+
+  test('Backend - request timeout rejects with BackendError 408', async () => {
+    await withTransport(async (transport) => {
+      transport.on('get_individual', hang);
+      const errors = [];
+      const offError = Backend.onError((error) => errors.push(error));
+
+      Backend.requestTimeout = 20;
+      try {
+        await Backend.get_individual('d:x');
+        assert(false, 'Should time out');
+      } catch (error) {
+        assert(error instanceof BackendError && error.code === 408, 'Should reject with 408');
+        assert(error.message === 'Request timeout', 'Should have timeout message');
+      }
+      assert(transport.requests[0].signal.aborted, 'Transport signal should be aborted');
+
+      Backend.requestTimeout = 0;
+      try {
+        await Backend.get_individual('d:x', true, { timeout: 10 });
+        assert(false, 'Should time out');
+      } catch (error) {
+        assert(error.code === 408, 'Per-call timeout should apply');
+      }
+      offError();
+      assert(errors.length === 2, 'Timeouts should be emitted as errors');
+    });
+  });
+
+  test('Backend - timed out attempts can be retried', async () => {
+    await withTransport(async (transport) => {
+      let calls = 0;
+      transport.on('get_individual', () => (++calls === 1 ? hang() : { '@': 'd:ok' }));
+      const result = await Backend.get_individual('d:x', true, {
+        timeout: 10,
+        retry: { attempts: 2, delay: 1, statuses: [408] },
+      });
+      assert(result['@'] === 'd:ok', 'Second attempt should succeed');
+    });
+  });
+
+  test('Backend - cancel aborts all in-flight requests of a scope', async () => {
+    await withTransport(async (transport) => {
+      transport.on('get_individual', hang);
+      transport.on('get_individuals', hang);
+      const scope = {};
+      const other = {};
+
+      const pending = [
+        Backend.get_individual('d:a', true, { scope }),
+        Backend.get_individuals(['d:b'], { scope }),
+      ].map((promise) => promise.catch((error) => error));
+      const unrelated = Backend.get_individual('d:c', true, { scope: other, timeout: 50 }).catch((error) => error);
+
+      Backend.cancel(scope);
+      const errors = await Promise.all(pending);
+      assert(errors.every((error) => error.name === 'AbortError'), 'Scoped requests should be aborted');
+      assert((await unrelated).code === 408, 'Other scopes should not be cancelled');
+
+      transport.on('get_individual', () => ({ '@': 'd:after' }));
+      const after = await Backend.get_individual('d:after', true, { scope });
+      assert(after['@'] === 'd:after', 'Scope should be reusable after cancel');
+      Backend.cancel({}); // Unknown scope is ignored
+    });
+  });
+
+  test('Backend - cancel interrupts retry backoff', async () => {
+    await withTransport(async (transport) => {
+      transport.on('get_individual', () => MockTransport.respond(503));
+      const scope = {};
+      const pending = Backend.get_individual('d:x', true, { scope, retry: { attempts: 3, delay: 10_000, jitter: false } })
+        .catch((error) => error);
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      Backend.cancel(scope);
+      const error = await pending;
+      assert(error.name === 'AbortError', 'Backoff should be interrupted');
+      assert(transport.getRequests('get_individual').length === 1, 'Should not retry after cancel');
+    });
+  });
+
+  test('Backend - uploadFile supports timeout and scope', async () => {
+    await withTransport(async (transport) => {
+      transport.request = hang;
+      try {
+        await Backend.uploadFile({ path: 'a', uri: 'd:file', file: 'dGVzdA==', timeout: 10 });
+        assert(false, 'Should time out');
+      } catch (error) {
+        assert(error.code === 408, 'Upload should time out');
+      }
+      const scope = {};
+      const pending = Backend.uploadFile({ path: 'a', uri: 'd:file', file: 'dGVzdA==', scope }).catch((error) => error);
+      Backend.cancel(scope);
+      assert((await pending).name === 'AbortError', 'Upload should be cancelled');
+    });
+  });
+
+  const nextEvent = (name) => new Promise((resolve) => Backend.events.once(name, resolve));
+
+  test('Backend - renews ticket before expiry', async () => {
+    await withTransport(async (transport) => {
+      const renew = () => Backend.authenticate('guest', 'hash');
+      Backend.ticketPolicy = { ...Backend.ticketPolicy, renew, renewBefore: 60_000 };
+      transport.on('authenticate', ticket(Date.now() + 60_020));
+      transport.on('is_ticket_valid', () => true);
+
+      const renewed = nextEvent('ticket-renewed');
+      const auth = await Backend.authenticate('guest', 'hash');
+      let logins = 0;
+      const countLogin = () => logins++;
+      Backend.events.on('login', countLogin);
+      transport.on('authenticate', ticket(Date.now() + 3_600_000, 'ticket=renewed'));
+      const result = await renewed;
+      Backend.events.off('login', countLogin);
+
+      assert(result.user_uri === 'cfg:Guest', 'Should emit renewed session');
+      assert(result.expires > auth.expires, 'Renewed ticket should expire later');
+      assert(Backend.expires === result.expires, 'Backend should store new expiry');
+      assert(logins === 0, 'Renewal should not emit login');
+      await Backend.is_ticket_valid();
+      const [check] = transport.getRequests('is_ticket_valid');
+      assert(check.headers['Cookie'] === 'ticket=renewed', 'Should use renewed cookie');
+    });
+  });
+
+  test('Backend - expires session when renewal fails', async () => {
+    await withTransport(async (transport) => {
+      let attempts = 0;
+      const renew = async () => {
+        attempts++;
+        throw new Error('No credentials');
+      };
+      Backend.ticketPolicy = { ...Backend.ticketPolicy, renew, renewBefore: 60_000 };
+      transport.on('authenticate', ticket(Date.now() + 30));
+
+      const expired = nextEvent('ticket-expired');
+      await Backend.authenticate('guest', 'hash');
+      const session = await expired;
+
+      assert(session.user_uri === 'cfg:Guest', 'Should report expired user');
+      assert(attempts === 1, 'Should try to renew');
+      assert(Backend.user_uri === undefined, 'Session should be cleared');
+    });
+  });
+
+  test('Backend - expires session without renewal by default', async () => {
+    await withTransport(async (transport) => {
+      assert(Backend.ticketPolicy.renew === null, 'Renewal should need a callback');
+      transport.on('authenticate', ticket(Date.now() + 20));
+
+      const expired = nextEvent('ticket-expired');
+      await Backend.authenticate('guest', 'hash');
+      await expired;
+      assert(transport.getRequests('get_ticket_trusted').length === 0, 'Should not renew');
+
+      for (const renew of [null, async () => {}]) {
+        Backend.ticketPolicy = { ...Backend.ticketPolicy, renew };
+        try {
+          await Backend.renewTicket();
+          assert(false, 'Should throw');
+        } catch (error) {
+          assert(/ticketPolicy\.renew/.test(error.message), 'Should reject without a new ticket');
+        }
+      }
+    });
+  });
+
+  test('Backend - 470/471 responses expire the session once', async () => {
+    await withTransport(async (transport) => {
+      transport.on('authenticate', ticket(Date.now() + 3_600_000));
+      transport.on('get_individual', () => MockTransport.respond(471));
+      await Backend.authenticate('guest', 'hash');
+
+      let expiredCount = 0;
+      Backend.events.on('ticket-expired', () => expiredCount++);
+      for (const uri of ['d:a', 'd:b']) {
+        try {
+          await Backend.get_individual(uri);
+          assert(false, 'Should throw');
+        } catch (error) {
+          assert(error.code === 471, 'Should reject with 471 without reauthenticate hook');
+        }
+      }
+      assert(expiredCount === 1, 'Should emit ticket-expired once per ticket');
+      assert(Backend.user_uri === undefined, 'Session should be cleared');
+    });
+  });
+
+  test('Backend - replays requests once after re-authentication', async () => {
+    await withTransport(async (transport) => {
+      transport.on('authenticate', ticket(Date.now() + 3_600_000, 'ticket=fresh'));
+      transport.on('get_individual', ({ headers, data }) => (
+        headers['Cookie'] === 'ticket=fresh' ? { '@': data.uri } : MockTransport.respond(470)
+      ));
+
+      let hookCalls = 0;
+      Backend.ticketPolicy = {
+        ...Backend.ticketPolicy,
+        reauthenticate: async () => {
+          hookCalls++;
+          await Backend.authenticate('guest', 'hash');
+        },
+      };
+
+      const results = await Promise.all([Backend.get_individual('d:a'), Backend.get_individual('d:b')]);
+      assert(results[0]['@'] === 'd:a' && results[1]['@'] === 'd:b', 'Requests should be replayed');
+      assert(hookCalls === 1, 'Concurrent failures should share one re-authentication');
+      assert(transport.getRequests('get_individual').length === 4, 'Each request should be replayed once');
+    });
+  });
+
+  test('Backend - failed re-authentication rejects with original error', async () => {
+    await withTransport(async (transport) => {
+      transport.on('get_individual', () => MockTransport.respond(471));
+
+      let hookCalls = 0;
+      Backend.ticketPolicy = { ...Backend.ticketPolicy, reauthenticate: async () => { hookCalls++; } };
+      try {
+        await Backend.get_individual('d:a');
+        assert(false, 'Should throw');
+      } catch (error) {
+        assert(error.code === 471, 'Replayed request should fail with 471');
+      }
+      assert(hookCalls === 1 && transport.getRequests('get_individual').length === 2, 'Should replay only once');
+
+      Backend.ticketPolicy.reauthenticate = async () => { throw new Error('Login cancelled'); };
+      try {
+        await Backend.get_individual('d:a');
+        assert(false, 'Should throw');
+      } catch (error) {
+        assert(error.code === 471, 'Should reject with original error');
+      }
+    });
+  });
+
+  test('Backend - memoryStorage implements the Web Storage interface', () => {
+    const storage = memoryStorage();
+    assert(storage.getItem('key') === null, 'Missing key should be null');
+    storage.setItem('key', 42);
+    assert(storage.getItem('key') === '42', 'Values should be stored as strings');
+    storage.removeItem('key');
+    assert(storage.getItem('key') === null, 'Key should be removed');
+  });
+
+  test('Backend - session is kept in the configured storage', async () => {
+    await withTransport(async (transport) => {
+      const writes = [];
+      const items = memoryStorage();
+      const storage = { ...items, setItem: (key, value) => { writes.push(key); items.setItem(key, value); } };
+      Backend.init(Backend.base, { storage });
+      assert(Backend.storage === storage, 'Should use custom storage');
+      assert(Backend.user_uri === undefined, 'Empty storage should have no session');
+
+      transport.on('authenticate', ticket(Date.now() + 3_600_000));
+      const auth = await Backend.authenticate('guest', 'hash');
+      assert(writes.join() === 'user_uri,expires', 'Should write session to storage');
+      assert(storage.getItem('user_uri') === 'cfg:Guest', 'Should store user');
+
+      Backend.user_uri = Backend.expires = undefined;
+      Backend.init(Backend.base, { storage });
+      assert(Backend.user_uri === 'cfg:Guest' && Backend.expires === auth.expires, 'init should restore session');
+
+      transport.on('logout', () => ({}));
+      await Backend.logout();
+      assert(storage.getItem('user_uri') === null && storage.getItem('expires') === null, 'Logout should clear storage');
+    });
+  });
+
+  test('Backend - created backends have independent sessions', async () => {
+    const transports = ['ticket=a', 'ticket=b'].map((cookie) => new MockTransport()
+      .on('authenticate', ({ data }) => MockTransport.respond(200, {
+        user_uri: data.login,
+        end_time: endTime(Date.now() + 3_600_000),
+      }, { 'Set-Cookie': cookie }))
+      .on('is_ticket_valid', () => true)
+      .on('logout', () => ({})));
+    const [a, b] = transports.map((transport) => Backend.create({ base: 'http://server', transport }));
+
+    assert(a !== Backend && a !== b, 'Each call should create a new backend');
+    assert(a.storage !== b.storage && a.storage !== Backend.storage, 'Each backend should get own storage');
+    assert(a.base === 'http://server', 'Should use given base');
+
+    await a.authenticate('cfg:Alice', 'hash');
+    await b.authenticate('cfg:Bob', 'hash');
+    assert(a.user_uri === 'cfg:Alice' && b.user_uri === 'cfg:Bob', 'Sessions should not mix');
+    assert(Backend.user_uri !== 'cfg:Alice' && Backend.user_uri !== 'cfg:Bob', 'Default backend should be untouched');
+
+    await a.is_ticket_valid();
+    await b.is_ticket_valid();
+    const cookies = transports.map((transport) => transport.getRequests('is_ticket_valid')[0].headers['Cookie']);
+    assert(cookies.join() === 'ticket=a,ticket=b', 'Each backend should send own ticket cookie');
+
+    await a.logout();
+    assert(a.user_uri === undefined && b.user_uri === 'cfg:Bob', 'Logout should affect one backend only');
+    await b.logout();
+  });
+};
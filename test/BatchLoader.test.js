@@ -0,0 +1,85 @@
+import BatchLoader from '../src/BatchLoader.js';
+import Model from '../src/Model.js';
+import { generateTestId } from './helpers.js';
+import { MockTransport, withMockTransport } from './mocks/Transport.mock.js';
+
+export default ({ test, assert }) => {
+
+  // Any URI loads except missing ones, calls lists URIs of single and batch requests
+  const withBackend = (fn) => withMockTransport(async (transport) => {
+    transport.serve((uri) => uri.includes('missing') ? undefined : { '@': uri });
+    const calls = {
+      get single() { return transport.getRequests('get_individual').map(({ data }) => data.uri); },
+      get batch() { return transport.getRequests('get_individuals').map(({ data }) => data.uris); },
+    };
+    await fn(calls, transport);
+  });
+
+  test('BatchLoader - coalesces loads issued in the same tick', async () => {
+    await withBackend(async (calls) => {
+      const loader = new BatchLoader();
+      const results = await Promise.all(['d:a', 'd:b', 'd:c'].map((uri) => loader.load(uri)));
+
+      assert(calls.batch.length === 1, 'Should send one batch request');
+      assert(calls.batch[0].length === 3, 'Batch should contain all URIs');
+      assert(calls.single.length === 0, 'Should not send single requests');
+      assert(results.map((r) => r['@']).join() === 'd:a,d:b,d:c', 'Each caller should get own individual');
+    });
+  });
+
+  test('BatchLoader - single load uses get_individual', async () => {
+    await withBackend(async (calls) => {
+      const loader = new BatchLoader();
+      const result = await loader.load('d:single');
+      assert(result['@'] === 'd:single');
+      assert(calls.batch.length === 0 && calls.single.length === 1, 'Should use get_individual');
+    });
+  });
+
+  test('BatchLoader - deduplicates URIs and respects maxBatchSize', async () => {
+    await withBackend(async (calls) => {
+      const loader = new BatchLoader({ maxBatchSize: 2 });
+      const first = loader.load('d:1');
+      const duplicate = loader.load('d:1');
+      assert(first === duplicate, 'Same URI should share promise');
+      await Promise.all([first, loader.load('d:2'), loader.load('d:3'), loader.load('d:4'), loader.load('d:5')]);
+
+      assert(calls.batch.length === 2, 'Should split into batches of 2');
+      assert(calls.batch.every((uris) => uris.length === 2), 'Batches should be limited');
+      assert(calls.single.length === 1 && calls.single[0] === 'd:5', 'Remainder of one should load singly');
+    });
+  });
+
+  test('BatchLoader - falls back to single loads when batch fails', async () => {
+    await withBackend(async (calls, transport) => {
+      transport.on('get_individuals', () => MockTransport.respond(500));
+      const loader = new BatchLoader();
+      const results = await Promise.all([loader.load('d:x'), loader.load('d:y')]);
+      assert(results[0]['@'] === 'd:x' && results[1]['@'] === 'd:y', 'Should resolve via fallback');
+      assert(calls.single.length === 2, 'Should retry each URI singly');
+    });
+  });
+
+  test('BatchLoader - missing individuals reject only their callers', async () => {
+    await withBackend(async (calls) => {
+      const loader = new BatchLoader();
+      const [found, missing] = await Promise.allSettled([loader.load('d:found'), loader.load('d:missing')]);
+      assert(found.status === 'fulfilled', 'Found individual should resolve');
+      assert(missing.status === 'rejected' && missing.reason.code === 404, 'Missing individual should reject with 404');
+      assert(calls.single.length === 1 && calls.single[0] === 'd:missing', 'Only missing URI should be reloaded');
+    });
+  });
+
+  test('BatchLoader - Model.load batches related models', async () => {
+    await withBackend(async (calls) => {
+      const models = [1, 2, 3].map(() => new Model(generateTestId('d:batched')));
+      await Promise.all(models.map((model) => model.load()));
+
+      assert(calls.batch.length === 1, 'Models should load in one request');
+      assert(models.every((model) => model.isLoaded()), 'All models should be loaded');
+
+      await models[0].reset();
+      assert(calls.single.length === 1, 'reset() should bypass batching');
+    });
+  });
+};
@@ -0,0 +1,45 @@
+import ConflictError, { merge } from '../src/ConflictError.js';
+import BackendError from '../src/BackendError.js';
+
+export default ({ test, assert }) => {
+
+  const str = (data) => ({ data, type: 'String' });
+  const counter = (data) => [{ data, type: 'Integer' }];
+
+  test('ConflictError - is a BackendError with code 409', () => {
+    const base = { '@': 'd:a' };
+    const error = new ConflictError(null, base, base, base);
+    assert(error instanceof BackendError, 'Should extend BackendError');
+    assert(error.name === 'ConflictError' && error.code === 409, 'Should have conflict code');
+    assert(error.toString() === 'ConflictError 409: Conflict', 'Should format message');
+  });
+
+  test('ConflictError - merge takes one-sided changes', () => {
+    const base = { '@': 'd:a', 'rdfs:label': [str('A')], 'v-s:tag': [str('t')], 'v-s:updateCounter': counter(1) };
+    const local = { '@': 'd:a', 'rdfs:label': [str('Local')], 'v-s:tag': [str('t')], 'v-s:updateCounter': counter(1) };
+    const remote = { '@': 'd:a', 'rdfs:label': [str('A')], 'v-s:updateCounter': counter(2), 'v-s:new': [str('n')] };
+
+    const { merged, conflicts } = merge(base, local, remote);
+    assert(conflicts.length === 0, 'Should have no conflicts');
+    assert(merged['@'] === 'd:a', 'Should keep URI');
+    assert(merged['rdfs:label'][0].data === 'Local', 'Should take local change');
+    assert(!('v-s:tag' in merged), 'Should take remote removal');
+    assert(merged['v-s:new'][0].data === 'n', 'Should take remote addition');
+    assert(merged['v-s:updateCounter'][0].data === 2, 'Should take remote counter');
+  });
+
+  test('ConflictError - merge reports properties changed on both sides', () => {
+    const base = { '@': 'd:a', 'rdfs:label': [str('A')], 'v-s:title': [str('T')] };
+    const local = { '@': 'd:a', 'rdfs:label': [str('Local')], 'v-s:title': [str('Same')] };
+    const remote = { '@': 'd:a', 'rdfs:label': [str('Remote')], 'v-s:title': [str('Same')] };
+
+    const error = new ConflictError(null, base, local, remote);
+    const { merged, conflicts } = error.merge();
+    assert(conflicts.length === 1, 'Equal changes should not conflict');
+    const [conflict] = conflicts;
+    assert(conflict.property === 'rdfs:label', 'Should name conflicting property');
+    assert(conflict.base[0].data === 'A' && conflict.local[0].data === 'Local' && conflict.remote[0].data === 'Remote', 'Should give all three versions');
+    assert(merged['rdfs:label'][0].data === 'Local', 'Conflicts should keep local values');
+    assert(merged['v-s:title'][0].data === 'Same', 'Same change on both sides should merge');
+  });
+};
@@ -1,4 +1,5 @@
 import Emitter from '../src/Emitter.js';
+import {reactive} from '../src/Reactive.js';
 
 export default ({test, assert}) => {
   // ==================== BASIC EMITTER FUNCTIONALITY ====================
@@ -326,5 +327,18 @@ export default ({test, assert}) => {
     assert.equal(event1Count, 1, 'Event1 handler should be called once');
     assert.equal(event2Count, 1, 'Event2 handler should be called once');
   });
-};
 
+  test('Emitter - off() through a reactive proxy', () => {
+    const EmitterClass = Emitter();
+    const emitter = reactive(new EmitterClass());
+
+    let count = 0;
+    const handler = () => { count++; };
+    emitter.on('test', handler);
+    emitter.emit('test');
+    emitter.off('test', handler);
+    emitter.emit('test');
+
+    assert.equal(count, 1, 'Handler should be removed');
+  });
+};
@@ -0,0 +1,140 @@
+import History from '../src/History.js';
+import Model from '../src/Model.js';
+import { effect, flushEffects } from '../src/Effect.js';
+import { clearModelCache, generateTestId } from './helpers.js';
+import { withMockTransport } from './mocks/Transport.mock.js';
+
+export default ({ test, assert }) => {
+
+  const createModel = () => {
+    const model = new Model({ '@': generateTestId('d:history'), 'rdfs:label': [{ data: 'Initial', type: 'String' }] });
+    return model;
+  };
+
+  test('History - undo and redo property changes', () => {
+    clearModelCache();
+    const model = createModel();
+    const history = new History({ coalesce: 0 }).track(model);
+
+    model['rdfs:label'] = ['First'];
+    model['v-s:comment'] = ['Added'];
+    assert(history.canUndo && !history.canRedo, 'Should be able to undo');
+
+    assert(history.undo() === true, 'Should undo');
+    assert(!('v-s:comment' in model), 'Added property should be removed');
+    assert(model['rdfs:label'][0] === 'First', 'Earlier step should stay');
+    history.undo();
+    assert(model['rdfs:label'][0] === 'Initial', 'Should restore initial value');
+    assert(!history.canUndo && history.canRedo, 'Should be able to redo');
+    assert(history.undo() === false, 'Nothing more to undo');
+
+    history.redo();
+    history.redo();
+    assert(model['rdfs:label'][0] === 'First' && model['v-s:comment'][0] === 'Added', 'Should redo both steps');
+    assert(history.redo() === false, 'Nothing more to redo');
+
+    history.undo();
+    model['rdfs:label'] = ['Branch'];
+    assert(!history.canRedo, 'New change should clear redo');
+    clearModelCache();
+  });
+
+  test('History - coalesces rapid changes of the same property', () => {
+    clearModelCache();
+    const model = createModel();
+    const history = new History({ coalesce: 10_000 }).track(model);
+
+    for (const text of ['H', 'He', 'Hel', 'Hello']) model['rdfs:label'] = [text];
+    model['v-s:comment'] = ['Other field'];
+
+    history.undo();
+    assert(model['rdfs:label'][0] === 'Hello', 'Change of another property should be its own step');
+    history.undo();
+    assert(model['rdfs:label'][0] === 'Initial', 'Typing should undo in one step');
+    assert(!history.canUndo, 'No more steps');
+
+    history.redo();
+    model['rdfs:label'] = ['Hello!'];
+    history.checkpoint();
+    model['rdfs:label'] = ['Hello!!'];
+    history.undo();
+    assert(model['rdfs:label'][0] === 'Hello!', 'checkpoint() should close coalescing step');
+    clearModelCache();
+  });
+
+  test('History - manual grouping across models with checkpoint()', () => {
+    clearModelCache();
+    const [doc, item] = [createModel(), createModel()];
+    const history = new History({ auto: false }).track(doc, item);
+
+    doc['rdfs:label'] = ['Doc'];
+    item['rdfs:label'] = ['Item'];
+    doc['rdfs:label'] = ['Doc 2'];
+    history.checkpoint();
+    item['v-s:comment'] = ['Later'];
+
+    history.undo();
+    assert(!('v-s:comment' in item) && item['rdfs:label'][0] === 'Item', 'Should undo the open step only');
+    history.undo();
+    assert(doc['rdfs:label'][0] === 'Initial' && item['rdfs:label'][0] === 'Initial', 'Should undo whole group');
+
+    history.untrack(doc, item);
+    doc['rdfs:label'] = ['Untracked'];
+    assert(!history.canUndo && !history.canRedo, 'Untracked models should drop history');
+    clearModelCache();
+  });
+
+  test('History - canUndo and canRedo are reactive', async () => {
+    clearModelCache();
+    const model = createModel();
+    const history = new History({ coalesce: 0 }).track(model);
+    const states = [];
+    const stop = effect(() => states.push(`${history.canUndo}/${history.canRedo}`));
+
+    model['rdfs:label'] = ['Changed'];
+    await flushEffects();
+    history.undo();
+    await flushEffects();
+    stop();
+    assert(states.join() === 'false/false,true/false,false/true', `Effect should follow state, got ${states.join()}`);
+    clearModelCache();
+  });
+
+  test('History - Model.reset() clears history of the model', async () => {
+    clearModelCache();
+    const model = createModel();
+    const other = createModel();
+    const history = new History({ coalesce: 0 }).track(model, other);
+    await withMockTransport(async (transport) => {
+      transport.serve((uri) => ({ '@': uri, 'rdfs:label': [{ data: 'Server', type: 'String' }] }));
+      model['rdfs:label'] = ['Local'];
+      other['rdfs:label'] = ['Other'];
+      await model.reset();
+    });
+
+    assert(model['rdfs:label'][0] === 'Server', 'Model should be reset');
+    history.undo();
+    assert(other['rdfs:label'][0] === 'Initial', 'Other model history should remain');
+    assert(model['rdfs:label'][0] === 'Server', 'Reset model should not be reverted');
+    assert(!history.canUndo, 'Reset model steps should be dropped');
+    clearModelCache();
+  });
+
+  test('History - data loaded from the server is not recorded', async () => {
+    await withMockTransport(async (transport) => {
+      transport.serve((uri) => ({ '@': uri, 'rdfs:label': [{ data: 'Server', type: 'String' }] }));
+      const model = new Model(generateTestId('d:history'));
+      const history = new History({ coalesce: 0 }).track(model);
+      await model.load();
+      assert(!history.canUndo, 'Loaded values should not be undoable');
+      assert(history.undo() === false && model['rdfs:label'][0] === 'Server', 'Undo should keep loaded values');
+
+      model['rdfs:label'] = ['Local'];
+      model.apply({ '@': model.id, 'rdfs:label': [{ data: 'Applied', type: 'String' }] });
+      assert(!history.canUndo, 'Applied data should drop the history of the model');
+      model['rdfs:label'] = ['Edited'];
+      history.undo();
+      assert(model['rdfs:label'][0] === 'Applied', 'Later edits should be recorded');
+    });
+  });
+};
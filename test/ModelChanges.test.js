@@ -0,0 +1,113 @@
+import Backend from '../src/Backend.js';
+import Model from '../src/Model.js';
+import { effect, flushEffects } from '../src/Effect.js';
+import { clearModelCache, generateTestId } from './helpers.js';
+
+export default ({ test, assert }) => {
+
+  const str = (data) => ({ data, type: 'String' });
+
+  // Applied as loaded from the server
+  const createModel = () => {
+    const id = generateTestId('d:changes');
+    return new Model(id).reset({
+      '@': id,
+      'rdfs:label': [str('Label')],
+      'v-s:tag': [str('a'), str('b')],
+      'v-s:updateCounter': [{ data: 1, type: 'Integer' }],
+    });
+  };
+
+  test('Model changes - getChanges reports changed properties', async () => {
+    clearModelCache();
+    const model = await createModel();
+    assert(!model.isDirty() && Object.keys(model.getChanges()).length === 0, 'Loaded model should be clean');
+
+    model['rdfs:label'] = ['New label'];
+    model.addValue('v-s:tag', 'c');
+    model['v-s:comment'] = ['Added'];
+    model['v-s:updateCounter'] = [5];
+    const changes = model.getChanges();
+
+    assert(Object.keys(changes).sort().join() === 'rdfs:label,v-s:comment,v-s:tag', 'Should list changed properties only');
+    assert(changes['rdfs:label'].before[0] === 'Label' && changes['rdfs:label'].after[0] === 'New label', 'Should hold old and new values');
+    assert(changes['v-s:comment'].before.length === 0, 'Added property should have no old values');
+    assert(model.isDirty('v-s:tag') && model.isDirty(), 'Changed property should be dirty');
+
+    model['rdfs:label'] = ['Label'];
+    assert(!model.isDirty('rdfs:label'), 'Property set back to server value should be clean');
+    clearModelCache();
+  });
+
+  test('Model changes - revert and revertAll restore server state', async () => {
+    clearModelCache();
+    const model = await createModel();
+    model['rdfs:label'] = ['Changed'];
+    delete model['v-s:tag'];
+    model['v-s:comment'] = ['Added'];
+
+    model.revert('v-s:tag');
+    assert(model['v-s:tag'].join() === 'a,b', 'Deleted property should be restored');
+    assert(!model.isSync(), 'Model with remaining changes should stay modified');
+
+    model.revert('v-s:comment');
+    assert(!('v-s:comment' in model), 'Added property should be removed');
+
+    model.revertAll();
+    assert(model['rdfs:label'][0] === 'Label' && !model.isDirty(), 'All properties should be restored');
+    assert(model.isSync(), 'Reverted model should be in sync');
+    clearModelCache();
+  });
+
+  test('Model changes - new models compare with empty state', () => {
+    clearModelCache();
+    const model = new Model();
+    model['rdfs:label'] = ['New'];
+    assert(model.isDirty('rdfs:label'), 'Property of new model should be dirty');
+
+    model.revertAll();
+    assert(!model.hasValue('rdfs:label'), 'Revert should clear new model');
+    assert(!model.isSync(), 'New model should not become synced');
+    clearModelCache();
+  });
+
+  test('Model changes - save makes the model clean', async () => {
+    const originalSetIn = Backend.set_in_individual;
+    Backend.set_in_individual = async () => {};
+    clearModelCache();
+    try {
+      const model = await createModel();
+      model['rdfs:label'] = ['Saved'];
+      await model.save();
+      assert(!model.isDirty(), 'Saved model should be clean');
+      model.revertAll();
+      assert(model['rdfs:label'][0] === 'Saved', 'Revert should restore saved state');
+    } finally {
+      Backend.set_in_individual = originalSetIn;
+      clearModelCache();
+    }
+  });
+
+  test('Model changes - dirty state is reactive', async () => {
+    clearModelCache();
+    const model = await createModel();
+    const seen = [];
+    const stop = effect(() => {
+      seen.push([model.isDirty('rdfs:label'), Object.keys(model.getChanges()).join()]);
+    });
+
+    model['rdfs:label'] = ['Changed'];
+    await flushEffects();
+    model['v-s:comment'] = ['Added'];
+    await flushEffects();
+    model.revertAll();
+    await flushEffects();
+    stop();
+
+    assert(seen.length === 4, 'Effect should rerun on each change');
+    assert(seen[1][0] === true && seen[1][1] === 'rdfs:label', 'Should see changed property');
+    assert(seen[2][1] === 'rdfs:label,v-s:comment', 'Should see added property');
+    assert(seen[3][0] === false && seen[3][1] === '', 'Should see reverted state');
+    clearModelCache();
+  });
+};
@@ -0,0 +1,232 @@
+import Model from '../src/Model.js';
+import ConflictError from '../src/ConflictError.js';
+import { generateTestId } from './helpers.js';
+import { withMockTransport } from './mocks/Transport.mock.js';
+
+export default ({ test, assert }) => {
+
+  const WRITES = ['put_individual', 'set_in_individual', 'add_to_individual', 'remove_from_individual'];
+
+  // Records writes, serves loads from `server`
+  const withBackend = (fn) => withMockTransport(async (transport) => {
+    const writes = [];
+    const server = new Map();
+    transport.serve((uri) => server.get(uri));
+    for (const method of WRITES) {
+      transport.on(method, ({ data: { individual } }) => {
+        writes.push([method, individual]);
+        // Server bumps the update counter on every write
+        const stored = server.get(individual['@']);
+        if (stored?.['v-s:updateCounter']) stored['v-s:updateCounter'][0].data++;
+        return {};
+      });
+    }
+    await fn({ writes, server, transport });
+  });
+
+  const str = (data) => ({ data, type: 'String' });
+
+  const loaded = async (server, props) => {
+    const uri = generateTestId('d:delta');
+    server.set(uri, { '@': uri, ...props });
+    return new Model(uri).load();
+  };
+
+  test('Model save - new models are sent whole', async () => {
+    await withBackend(async ({ writes }) => {
+      const model = new Model();
+      model['rdfs:label'] = ['New'];
+      await model.save();
+      assert(writes.length === 1 && writes[0][0] === 'put_individual', 'Should use put_individual');
+      assert(writes[0][1]['rdfs:label'][0].data === 'New', 'Should send all properties');
+    });
+  });
+
+  test('Model save - sends only changed properties', async () => {
+    await withBackend(async ({ writes, server }) => {
+      const model = await loaded(server, {
+        'rdfs:label': [str('Old')],
+        'v-s:title': [str('Title')],
+      });
+      model['rdfs:label'] = ['New'];
+      await model.save();
+
+      assert(writes.length === 1, 'Should send one request');
+      const [method, individual] = writes[0];
+      assert(method === 'set_in_individual', 'Should use set_in_individual for replaced values');
+      assert(individual['@'] === model.id, 'Should address the individual');
+      assert(Object.keys(individual).join() === '@,rdfs:label', 'Should not send unchanged properties');
+      assert(individual['rdfs:label'][0].data === 'New', 'Should send new values');
+    });
+  });
+
+  test('Model save - appended values use add_to_individual', async () => {
+    await withBackend(async ({ writes, server }) => {
+      const model = await loaded(server, { 'v-s:tag': [str('a')] });
+      model.addValue('v-s:tag', 'b');
+      model['v-s:new'] = ['x'];
+      await model.save();
+
+      assert(writes.length === 1 && writes[0][0] === 'add_to_individual', 'Should use add_to_individual');
+      const individual = writes[0][1];
+      assert(individual['v-s:tag'].length === 1 && individual['v-s:tag'][0].data === 'b', 'Should send appended value only');
+      assert(individual['v-s:new'][0].data === 'x', 'New properties should be added');
+    });
+  });
+
+  test('Model save - removed values use remove_from_individual', async () => {
+    await withBackend(async ({ writes, server }) => {
+      const model = await loaded(server, {
+        'v-s:tag': [str('a'), str('b'), str('c')],
+        'v-s:comment': [str('gone')],
+      });
+      model.removeValue('v-s:tag', 'b');
+      delete model['v-s:comment'];
+      await model.save();
+
+      assert(writes.length === 1 && writes[0][0] === 'remove_from_individual', 'Should use remove_from_individual');
+      const individual = writes[0][1];
+      assert(individual['v-s:tag'].map((value) => value.data).join() === 'b', 'Should send removed value');
+      assert(individual['v-s:comment'][0].data === 'gone', 'Cleared property should remove old values');
+    });
+  });
+
+  test('Model save - mixed changes are split by method', async () => {
+    await withBackend(async ({ writes, server }) => {
+      const model = await loaded(server, {
+        'rdfs:label': [str('Old')],
+        'v-s:tag': [str('a')],
+        'v-s:comment': [str('gone')],
+      });
+      model['rdfs:label'] = ['New'];
+      model.addValue('v-s:tag', 'b');
+      delete model['v-s:comment'];
+      await model.save();
+
+      assert(writes.map(([method]) => method).join() === 'remove_from_individual,set_in_individual,add_to_individual', 'Should send one request per method');
+
+      writes.length = 0;
+      await model.save();
+      assert(writes.length === 0, 'Saved model should not be resent');
+      model['rdfs:label'] = ['Newer'];
+      await model.save();
+      assert(writes.length === 1 && writes[0][1]['rdfs:label'][0].data === 'Newer', 'Should diff against last save');
+    });
+  });
+
+  test('Model save - unchanged values produce no requests', async () => {
+    await withBackend(async ({ writes, server }) => {
+      const model = await loaded(server, { 'rdfs:label': [str('Same')] });
+      model['rdfs:label'] = ['Same'];
+      assert(!model.isSync(), 'Assignment marks model modified');
+      await model.save();
+      assert(writes.length === 0, 'Should not send equal values');
+      assert(model.isSync(), 'Model should be in sync');
+    });
+  });
+
+  test('Model save - models never loaded are sent whole', async () => {
+    await withBackend(async ({ writes }) => {
+      const model = new Model(generateTestId('d:unloaded'));
+      model['rdfs:label'] = ['Blind write'];
+      await model.save();
+      assert(writes.length === 1 && writes[0][0] === 'put_individual', 'Should fall back to put_individual');
+    });
+  });
+
+  test('Model save - models created from data are sent whole', async () => {
+    await withBackend(async ({ writes }) => {
+      const model = new Model({
+        '@': generateTestId('d:fromData'),
+        'rdfs:label': [str('Label')],
+        'v-s:title': [str('Title')],
+      });
+      assert(model.isDirty('v-s:title'), 'Data is not the server state');
+      model['rdfs:label'] = ['Edited'];
+      await model.save();
+      assert(writes.length === 1 && writes[0][0] === 'put_individual', 'Should use put_individual');
+      assert(writes[0][1]['v-s:title'][0].data === 'Title', 'Should send unchanged properties too');
+
+      const other = new Model({ '@': generateTestId('d:fromData'), 'rdfs:label': [str('Fixture')] });
+      other.isSync(false);
+      await other.save();
+      assert(writes.length === 2 && writes[1][1]['rdfs:label'][0].data === 'Fixture', 'Should send data as is');
+    });
+  });
+
+  const withConflictCheck = (fn) => withBackend(async (context) => {
+    Model.checkConflicts = true;
+    try {
+      await fn(context);
+    } finally {
+      Model.checkConflicts = false;
+    }
+  });
+
+  const counter = (data) => [{ data, type: 'Integer' }];
+
+  test('Model save - conflict check passes when server copy is unchanged', async () => {
+    await withConflictCheck(async ({ writes, server }) => {
+      const model = await loaded(server, { 'rdfs:label': [str('A')], 'v-s:updateCounter': counter(1) });
+      model['rdfs:label'] = ['B'];
+      await model.save();
+      assert(writes.length === 1, 'Should save');
+      assert(!('v-s:updateCounter' in writes[0][1]), 'Should not send update counter');
+      assert(model['v-s:updateCounter'][0] === 2, 'Should take counter of own write');
+
+      model['rdfs:label'] = ['C'];
+      await model.save();
+      assert(writes.length === 2, 'Own write should not cause a conflict');
+    });
+  });
+
+  test('Model save - rejects with ConflictError when server copy changed', async () => {
+    await withConflictCheck(async ({ writes, server }) => {
+      const model = await loaded(server, {
+        'rdfs:label': [str('A')],
+        'v-s:title': [str('T')],
+        'v-s:updateCounter': counter(1),
+      });
+      const stored = server.get(model.id);
+      stored['v-s:title'] = [str('Remote title')];
+      stored['rdfs:label'] = [str('Remote label')];
+      stored['v-s:updateCounter'] = counter(2);
+
+      model['rdfs:label'] = ['Local label'];
+      let error;
+      try {
+        await model.save();
+      } catch (e) {
+        error = e;
+      }
+      assert(error instanceof ConflictError && error.code === 409, 'Should reject with ConflictError');
+      assert(error.model === model, 'Should reference the model');
+      assert(writes.length === 0, 'Should not write');
+      assert(!model.isSync(), 'Model should stay modified');
+
+      const { merged, conflicts } = error.merge();
+      assert(conflicts.length === 1 && conflicts[0].property === 'rdfs:label', 'Should report conflicting property');
+      assert(merged['v-s:title'][0].data === 'Remote title', 'Should merge remote change');
+
+      merged['rdfs:label'] = conflicts[0].remote;
+      model.apply(merged);
+      model.rebase(error.remote);
+      await model.save();
+      assert(writes.length === 0, 'Taking remote values leaves nothing to write');
+
+      model['rdfs:label'] = ['Resolved'];
+      await model.save();
+      assert(writes.length === 1 && writes[0][1]['rdfs:label'][0].data === 'Resolved', 'Rebased model should save');
+    });
+  });
+
+  test('Model save - new models skip the conflict check', async () => {
+    await withConflictCheck(async ({ writes, transport }) => {
+      const model = new Model();
+      model['rdfs:label'] = ['New'];
+      await model.save();
+      assert(transport.getRequests('get_individual').length === 0, 'Should not load');
+      assert(writes.length === 1 && writes[0][0] === 'put_individual', 'Should put without check');
+    });
+  });
+};
@@ -0,0 +1,179 @@
+import Outbox, { memoryStore } from '../src/Outbox.js';
+import Model from '../src/Model.js';
+import BackendError from '../src/BackendError.js';
+import { effect, flushEffects } from '../src/Effect.js';
+import { clearModelCache, generateTestId, waitForCondition } from './helpers.js';
+
+export default ({ test, assert }) => {
+
+  // Backend stub: records calls, fails while offline
+  const createBackend = () => {
+    const backend = { calls: [], offline: false, reject: new Set() };
+    for (const method of ['put_individual', 'set_in_individual', 'add_to_individual', 'remove_individual']) {
+      backend[method] = async (data) => {
+        if (backend.offline) throw new BackendError(0);
+        const uri = typeof data === 'string' ? data : data['@'];
+        backend.calls.push(`${method} ${uri}`);
+        if (backend.reject.has(uri)) throw new BackendError(472);
+      };
+    }
+    return backend;
+  };
+
+  const withOutbox = async (options, fn) => {
+    const backend = createBackend();
+    const outbox = new Outbox({ store: memoryStore(), backend, retryDelay: 0, ...options });
+    try {
+      await fn(outbox, backend);
+    } finally {
+      outbox.destroy();
+    }
+  };
+
+  test('Outbox - sends immediately while queue is empty', async () => {
+    await withOutbox({}, async (outbox, backend) => {
+      const queued = await outbox.send('put_individual', { '@': 'd:a' });
+      assert(queued === false, 'Should report sent');
+      assert(backend.calls.join() === 'put_individual d:a', 'Should call backend');
+      assert(outbox.state.size === 0, 'Queue should stay empty');
+    });
+  });
+
+  test('Outbox - queues on transient failure and replays in order', async () => {
+    await withOutbox({}, async (outbox, backend) => {
+      backend.offline = true;
+      assert(await outbox.send('put_individual', { '@': 'd:a' }) === true, 'Should report queued');
+      backend.offline = false;
+      await outbox.send('set_in_individual', { '@': 'd:a', 'v-s:title': [] });
+      await outbox.send('remove_individual', 'd:b');
+
+      assert(backend.calls.length === 0, 'Later operations should wait behind queued ones');
+      assert(outbox.state.size === 3, 'Should queue all operations');
+      assert(outbox.has('d:a') && outbox.has('d:b') && !outbox.has('d:c'), 'has() should check queued URIs');
+      assert(outbox.state.error.code === 0, 'Should expose last error');
+
+      await outbox.flush();
+      assert(backend.calls.join() === 'put_individual d:a,set_in_individual d:a,remove_individual d:b', 'Should replay in order');
+      assert(outbox.state.size === 0 && outbox.state.error === null, 'Queue should be drained');
+    });
+  });
+
+  test('Outbox - permanent errors are not queued', async () => {
+    await withOutbox({}, async (outbox, backend) => {
+      backend.reject.add('d:bad');
+      try {
+        await outbox.send('put_individual', { '@': 'd:bad' });
+        assert(false, 'Should throw');
+      } catch (error) {
+        assert(error.code === 472, 'Should reject with server error');
+      }
+      assert(outbox.state.size === 0, 'Should not queue rejected operation');
+
+      try {
+        await outbox.send('get_individual', 'd:a');
+        assert(false, 'Should throw');
+      } catch (error) {
+        assert(error instanceof TypeError, 'Should reject unsupported methods');
+      }
+    });
+  });
+
+  test('Outbox - flush stops at transient failure and drops rejected operations', async () => {
+    await withOutbox({}, async (outbox, backend) => {
+      backend.offline = true;
+      await outbox.send('put_individual', { '@': 'd:bad' });
+      await outbox.send('put_individual', { '@': 'd:ok' });
+
+      await outbox.flush();
+      assert(outbox.state.size === 2, 'Should keep queue while offline');
+
+      const failed = [];
+      outbox.on('failed', (entry, error) => failed.push([entry.uris[0], error.code]));
+      backend.offline = false;
+      backend.reject.add('d:bad');
+      await outbox.flush();
+
+      assert(failed.length === 1 && failed[0].join() === 'd:bad,472', 'Should report rejected operation');
+      assert(backend.calls.join() === 'put_individual d:bad,put_individual d:ok', 'Should continue after rejection');
+      assert(outbox.state.size === 0, 'Queue should be drained');
+    });
+  });
+
+  test('Outbox - retries flush after retryDelay', async () => {
+    await withOutbox({ retryDelay: 20 }, async (outbox, backend) => {
+      backend.offline = true;
+      await outbox.send('add_to_individual', { '@': 'd:a' });
+      backend.offline = false;
+      await waitForCondition(() => outbox.state.size === 0, { timeout: 1000 });
+      assert(backend.calls.join() === 'add_to_individual d:a', 'Should replay on retry');
+    });
+  });
+
+  test('Outbox - flushes when browser goes online', async () => {
+    await withOutbox({}, async (outbox, backend) => {
+      backend.offline = true;
+      await outbox.send('put_individual', { '@': 'd:a' });
+      backend.offline = false;
+      window.dispatchEvent(new window.Event('online'));
+      await waitForCondition(() => outbox.state.size === 0, { timeout: 1000 });
+      assert(backend.calls.length === 1, 'Should replay on online event');
+    });
+  });
+
+  test('Outbox - restores persisted queue from store', async () => {
+    const store = memoryStore();
+    await withOutbox({ store }, async (outbox, backend) => {
+      backend.offline = true;
+      await outbox.send('put_individual', { '@': 'd:a' });
+      await outbox.send('remove_individual', 'd:b');
+    });
+    assert((await store.load()).length === 2, 'Store should keep queued operations');
+
+    await withOutbox({ store }, async (outbox, backend) => {
+      await outbox.ready;
+      await outbox.flush();
+      assert(backend.calls.join() === 'put_individual d:a,remove_individual d:b', 'Should replay restored operations');
+      assert((await store.load()).length === 0, 'Store should be emptied');
+    });
+  });
+
+  test('Outbox - queue state is reactive', async () => {
+    await withOutbox({}, async (outbox, backend) => {
+      const sizes = [];
+      const stop = effect(() => sizes.push(outbox.state.size));
+      backend.offline = true;
+      await outbox.send('put_individual', { '@': 'd:a' });
+      await flushEffects();
+      backend.offline = false;
+      await outbox.flush();
+      await flushEffects();
+      stop();
+      assert(sizes.join() === '0,1,0', 'Effect should follow queue size');
+    });
+  });
+
+  test('Outbox - Model.save and remove go through Model.outbox', async () => {
+    clearModelCache();
+    await withOutbox({}, async (outbox, backend) => {
+      Model.outbox = outbox;
+      try {
+        backend.offline = true;
+        const model = new Model(generateTestId('d:outbox'));
+        model['rdfs:label'] = ['Offline'];
+        await model.save();
+        assert(model.isSync() && !model.isNew(), 'Model should be saved locally');
+        assert(outbox.has(model.id), 'Save should be pending');
+
+        await model.remove();
+        assert(outbox.state.entries.map((entry) => entry.method).join() === 'put_individual,remove_individual', 'Remove should queue behind save');
+
+        backend.offline = false;
+        await outbox.flush();
+        assert(backend.calls.length === 2 && !outbox.has(model.id), 'Model operations should be replayed');
+      } finally {
+        Model.outbox = null;
+      }
+    });
+    clearModelCache();
+  });
+};
@@ -0,0 +1,146 @@
+import PersistentCache, { memoryCacheAdapter, updateCounterOf } from '../src/PersistentCache.js';
+import Model from '../src/Model.js';
+import Subscription from '../src/Subscription.js';
+import { captureConsole, generateTestId, waitForCondition } from './helpers.js';
+import { MockTransport, withMockTransport } from './mocks/Transport.mock.js';
+
+export default ({ test, assert }) => {
+
+  const individual = (uri, label, counter) => ({
+    '@': uri,
+    'rdfs:label': [{ data: label, type: 'String' }],
+    'v-s:updateCounter': [{ data: counter, type: 'Integer' }],
+  });
+
+  // Server loads recorded in `calls`, persistent cache installed on Model
+  const withCache = (fn) => withMockTransport(async (transport) => {
+    const server = new Map();
+    const calls = [];
+    const load = (uri) => {
+      calls.push(uri);
+      return structuredClone(server.get(uri));
+    };
+    transport.on('get_individual', ({ data }) => load(data.uri) ?? MockTransport.respond(404));
+    transport.on('get_individuals', ({ data }) => data.uris.map(load).filter(Boolean));
+    const cache = new PersistentCache({ adapter: memoryCacheAdapter() });
+    Model.persistentCache = cache;
+    try {
+      await fn({ cache, server, calls, transport });
+    } finally {
+      Model.persistentCache = null;
+    }
+  });
+
+  test('PersistentCache - stores entries by URI and update counter', async () => {
+    const cache = new PersistentCache({ adapter: memoryCacheAdapter() });
+    const data = individual('d:a', 'A', 3);
+    await cache.set(data);
+    const stored = await cache.get('d:a');
+
+    assert(stored['rdfs:label'][0].data === 'A', 'Should return stored data');
+    assert(stored !== data, 'Should store a copy');
+    assert(await cache.get('d:missing') === undefined, 'Missing entry should be undefined');
+    assert(updateCounterOf(data) === 3 && updateCounterOf({ '@': 'd:x' }) === 0, 'Should read update counter');
+  });
+
+  test('PersistentCache - invalidate drops only older entries', async () => {
+    const cache = new PersistentCache({ adapter: memoryCacheAdapter() });
+    await cache.set(individual('d:a', 'A', 3));
+
+    assert(await cache.invalidate('d:a', 3) === false, 'Same counter should keep entry');
+    assert(await cache.get('d:a'), 'Entry should remain');
+    assert(await cache.invalidate('d:a', 4) === true, 'Newer counter should drop entry');
+    assert(await cache.get('d:a') === undefined, 'Entry should be gone');
+
+    await cache.set(individual('d:b', 'B', 1));
+    assert(await cache.invalidate('d:b') === true, 'No counter should drop unconditionally');
+    assert(await cache.invalidate('d:b') === false, 'Missing entry should not be dropped');
+  });
+
+  test('PersistentCache - adapter failures are cache misses', async () => {
+    const failing = () => Promise.reject(new Error('Quota exceeded'));
+    const cache = new PersistentCache({ adapter: { get: failing, set: failing, delete: failing, clear: failing } });
+    const warnings = await captureConsole(async () => {
+      assert(await cache.get('d:a') === undefined, 'Failed read should be a miss');
+      await cache.set(individual('d:a', 'A', 1));
+      assert(await cache.invalidate('d:a') === false, 'Failed invalidate should report false');
+      await cache.clear();
+    }, 'warn');
+    assert(warnings.length === 4, 'Failures should be logged');
+  });
+
+  test('PersistentCache - Model.load stores fetched data', async () => {
+    await withCache(async ({ cache, server, calls }) => {
+      const uri = generateTestId('d:cached');
+      server.set(uri, individual(uri, 'Fresh', 1));
+      await new Model(uri).load();
+
+      assert(calls.length === 1, 'First load should fetch');
+      await waitForCondition(async () => (await cache.get(uri)) !== undefined, { timeout: 1000 });
+    });
+  });
+
+  test('PersistentCache - Model.load serves cached data and revalidates', async () => {
+    await withCache(async ({ cache, server, calls }) => {
+      const uri = generateTestId('d:stale');
+      await cache.set(individual(uri, 'Stale', 1));
+      server.set(uri, individual(uri, 'Fresh', 2));
+
+      const model = await new Model(uri).load();
+      assert(model['rdfs:label'][0] === 'Stale', 'Should apply cached data at once');
+      assert(model.isLoaded() && model.isSync(), 'Cached model should be loaded');
+
+      await waitForCondition(() => model['rdfs:label'][0] === 'Fresh', { timeout: 1000 });
+      assert(calls.length === 1 && model.isSync(), 'Should revalidate in background');
+      assert((await cache.get(uri))['rdfs:label'][0].data === 'Fresh', 'Should store fresh data');
+    });
+  });
+
+  test('PersistentCache - revalidation keeps unchanged and locally edited models', async () => {
+    await withCache(async ({ cache, server, calls }) => {
+      const same = generateTestId('d:same');
+      const edited = generateTestId('d:edited');
+      for (const uri of [same, edited]) {
+        await cache.set(individual(uri, 'Cached', 1));
+        server.set(uri, individual(uri, 'Server', uri === same ? 1 : 2));
+      }
+
+      const [sameModel, editedModel] = await Promise.all([new Model(same).load(), new Model(edited).load()]);
+      editedModel['rdfs:label'] = ['Local'];
+      await waitForCondition(() => calls.length === 2, { timeout: 1000 });
+      await new Promise((resolve) => setTimeout(resolve, 10));
+
+      assert(sameModel['rdfs:label'][0] === 'Cached', 'Same counter should not re-apply');
+      assert(editedModel['rdfs:label'][0] === 'Local', 'Local edits should not be overwritten');
+    });
+  });
+
+  test('PersistentCache - reset, save and subscription updates bypass stale entries', async () => {
+    await withCache(async ({ cache, server, calls, transport }) => {
+      const uri = generateTestId('d:pushed');
+      await cache.set(individual(uri, 'Stale', 1));
+      server.set(uri, individual(uri, 'Fresh', 2));
+      const model = new Model(uri);
+
+      await model.reset();
+      assert(model['rdfs:label'][0] === 'Fresh' && calls.length === 1, 'reset() should fetch from server');
+
+      transport.on('set_in_individual', () => ({}));
+      model['rdfs:label'] = ['Saved'];
+      await model.save();
+      await waitForCondition(async () => (await cache.get(uri)) === undefined, { timeout: 1000 });
+
+      await cache.set(individual(uri, 'Stale', 2));
+      server.set(uri, individual(uri, 'Pushed', 3));
+      model.subscribe();
+      try {
+        const [, , updater] = Subscription._subscriptions.get(uri);
+        updater(uri, 3);
+        await waitForCondition(() => model['rdfs:label'][0] === 'Pushed', { timeout: 1000 });
+        assert(updateCounterOf(await cache.get(uri)) === 3, 'Pushed counter should replace stale entry');
+      } finally {
+        model.unsubscribe();
+      }
+    });
+  });
+};
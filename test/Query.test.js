@@ -0,0 +1,141 @@
+import Backend from '../src/Backend.js';
+import BackendError from '../src/BackendError.js';
+import Model from '../src/Model.js';
+import Query from '../src/Query.js';
+import Subscription from '../src/Subscription.js';
+import { effect, flushEffects } from '../src/Effect.js';
+import { waitForCondition } from './helpers.js';
+import { withMockTransport } from './mocks/Transport.mock.js';
+
+export default ({ test, assert }) => {
+
+  const task = (n, counter = 1) => ({
+    '@': `d:task${n}`,
+    'rdf:type': [{ data: 'v-s:Task', type: 'Uri' }],
+    'v-s:updateCounter': [{ data: counter, type: 'Integer' }],
+  });
+
+  // Queries return URIs from `index`, loads are recorded and served from `server` through the transport
+  const withBackend = (fn) => withMockTransport(async (transport) => {
+    const server = new Map([1, 2, 3, 4, 5].map((n) => [`d:task${n}`, task(n)]));
+    const index = [...server.keys()];
+    const queries = [];
+    const loads = [];
+    const backend = {
+      query: async (params) => {
+        queries.push(params);
+        const from = params.from ?? 0;
+        const result = index.slice(from, params.top ? from + params.top : undefined);
+        return { result, count: result.length, estimated: index.length, cursor: from + result.length };
+      },
+      stored_query: async (data) => {
+        queries.push(data);
+        return { result: index.slice(0, 1) };
+      },
+      get_individual: (uri, ...args) => {
+        loads.push(uri);
+        return Backend.get_individual(uri, ...args);
+      },
+      get_individuals: (uris, ...args) => {
+        loads.push(...uris);
+        return Backend.get_individuals(uris, ...args);
+      },
+    };
+    transport.serve((uri) => server.get(uri));
+    await fn({ server, queries, loads, backend });
+  });
+
+  const ids = (models) => models.map((model) => model.id).join();
+
+  test('Query - results as reactive array of loaded models', async () => {
+    await withBackend(async ({ backend, queries, loads }) => {
+      const query = new Query("'rdf:type'==='v-s:Task'", { backend });
+      const seen = [];
+      const stop = effect(() => seen.push(`${query.loading}:${ids(query.models)}`));
+
+      const promise = query.run();
+      await flushEffects();
+      const models = await promise;
+      await flushEffects();
+      stop();
+
+      assert(queries[0].query === "'rdf:type'==='v-s:Task'", 'Should pass the query string');
+      assert(ids(models) === 'd:task1,d:task2,d:task3,d:task4,d:task5', 'Should resolve result models');
+      assert(models[0] === new Model('d:task1') && models.every((model) => model.isLoaded()), 'Should load cached models');
+      assert(loads.join() === ids(models), 'Should load through the query backend');
+      assert(query.models[0] === models[0], 'Reactive array should keep model identity');
+      assert(seen.join('|') === 'false:|true:|false:d:task1,d:task2,d:task3,d:task4,d:task5', 'Effects should follow loading and results');
+      assert(query.state.estimated === 5 && query.error === null, 'Should expose response counters');
+    });
+  });
+
+  test('Query - pagination, stored queries and failed loads', async () => {
+    await withBackend(async ({ backend, queries, server }) => {
+      const query = new Query({ query: "'rdf:type'==='v-s:Task'", top: 2 }, { backend, load: false });
+      await query.run();
+      assert(ids(query.models) === 'd:task1,d:task2' && query.hasMore, 'Should return the first page');
+      await query.next();
+      assert(ids(query.models) === 'd:task3,d:task4' && queries.at(-1).from === 2, 'next() should advance by top');
+      await query.next();
+      assert(ids(query.models) === 'd:task5' && !query.hasMore, 'Last page should have no more');
+      await query.prev();
+      assert(ids(query.models) === 'd:task3,d:task4', 'prev() should go back by top');
+      assert(!query.models[0].isLoaded(), 'load: false should not load models');
+
+      const stored = new Query({ 'v-s:storedQuery': 'v-s:TaskQuery' }, { backend, stored: true });
+      await stored.run();
+      assert(queries.at(-1)['v-s:storedQuery'] === 'v-s:TaskQuery' && ids(stored.models) === 'd:task1', 'Should use stored_query');
+
+      server.delete('d:task2');
+      const loaded = new Query("'rdf:type'==='v-s:Task'", { backend });
+      await loaded.run({ top: 3 });
+      assert(ids(loaded.models) === 'd:task1,d:task3', 'Should leave out individuals that failed to load');
+    });
+  });
+
+  test('Query - errors and superseded runs', async () => {
+    await withBackend(async ({ backend }) => {
+      const failing = new Query('bad', { backend: { query: async () => { throw new BackendError(422); } } });
+      try {
+        await failing.run();
+        assert(false, 'Should reject');
+      } catch (error) {
+        assert(error.code === 422 && failing.error instanceof BackendError && !failing.loading, 'Should expose the error');
+      }
+
+      const slow = { ...backend, query: async (params) => {
+        await new Promise((resolve) => setTimeout(resolve, params.top === 1 ? 30 : 0));
+        return backend.query(params);
+      } };
+      const query = new Query('q', { backend: slow, load: false });
+      const first = query.run({ top: 1 });
+      await query.run({ top: 2 });
+      await first;
+      assert(ids(query.models) === 'd:task1,d:task2', 'Superseded response should be dropped');
+    });
+  });
+
+  test('Query - re-executes on server updates of watched individuals and results', async () => {
+    await withBackend(async ({ backend, queries, server }) => {
+      const query = new Query('q', { backend, watch: ['d:task1'], watchResults: true, delay: 10 });
+      await query.run({ top: 2 });
+      await waitForCondition(() => Subscription._subscriptions.has('d:task2'), { timeout: 1000 });
+      assert(Subscription._subscriptions.has('d:task1'), 'Should subscribe watched individuals');
+
+      // A pushed update resets the model, which re-executes the query
+      server.set('d:task2', task(2, 2));
+      const runs = queries.length;
+      const [, , updater] = Subscription._subscriptions.get('d:task2');
+      updater('d:task2', 2);
+      await waitForCondition(() => queries.length > runs && !query.loading, { timeout: 1000 });
+      assert(queries.length === runs + 1 && ids(query.models) === 'd:task1,d:task2', 'Should re-execute once');
+      assert(query.models[1]['v-s:updateCounter'][0] === 2, 'Should have the updated model');
+
+      await query.run({ top: 1 });
+      assert(!Subscription._subscriptions.has('d:task2') && Subscription._subscriptions.has('d:task1'), 'Should release dropped results but keep watched');
+
+      query.destroy();
+      assert(!Subscription._subscriptions.has('d:task1'), 'destroy() should release subscriptions');
+    });
+  });
+};
@@ -0,0 +1,136 @@
+import Model from '../src/Model.js';
+import { parseTurtle, parseNTriples, parseJSONLD, toTurtle, toNTriples, toJSONLD } from '../src/RDF.js';
+import { clearModelCache } from './helpers.js';
+
+export default ({ test, assert }) => {
+
+  const find = (individuals, id) => individuals.find((individual) => individual['@'] === id);
+
+  test('parseTurtle - prefixes, predicate and object lists', () => {
+    const individuals = parseTurtle(`
+      @prefix rdfs: <http://www.w3.org/2000/01/rdf-schema#> .
+      PREFIX v-s: <http://semantic-machines.com/veda/veda-schema/>
+      # Comment
+      v-s:Document a rdfs:Class ;
+        rdfs:label "Документ"@ru, "Document"@en ;
+        rdfs:subClassOf <http://semantic-machines.com/veda/veda-schema/Thing> ;
+      .
+    `);
+    const document = find(individuals, 'v-s:Document');
+
+    assert(individuals.length === 1, 'Should produce one individual per subject');
+    assert(document['rdf:type'][0].data === 'rdfs:Class' && document['rdf:type'][0].type === 'Uri', "'a' should map to rdf:type");
+    assert(document['rdfs:label'].map((value) => value.lang).join() === 'RU,EN', 'Should keep language tags');
+    assert(document['rdfs:subClassOf'][0].data === 'v-s:Thing', 'Full IRIs should be shortened with prefixes');
+  });
+
+  test('parseTurtle - literals', () => {
+    const [individual] = parseTurtle(`
+      @prefix xsd: <http://www.w3.org/2001/XMLSchema#> .
+      <d:x> <d:int> 42, "7"^^xsd:integer ;
+        <d:dec> 1.5, "2.0"^^<http://www.w3.org/2001/XMLSchema#decimal> ;
+        <d:bool> true, "false"^^xsd:boolean ;
+        <d:date> "2024-01-02T03:04:05Z"^^xsd:dateTime ;
+        <d:text> "line\\n\\"quoted\\" \\u0041", """multi
+line""" .
+    `);
+
+    assert(individual['d:int'].map((value) => `${value.type}:${value.data}`).join() === 'Integer:42,Integer:7', 'Should parse integers');
+    assert(individual['d:dec'].every((value) => value.type === 'Decimal'), 'Should parse decimals');
+    assert(individual['d:bool'][0].data === true && individual['d:bool'][1].data === false, 'Should parse booleans');
+    assert(individual['d:date'][0].type === 'Datetime', 'Should parse dates');
+    assert(individual['d:text'][0].data === 'line\n"quoted" A', 'Should unescape strings');
+    assert(individual['d:text'][1].data === 'multi\nline', 'Should parse long strings');
+  });
+
+  test('parseTurtle - blank nodes and errors', () => {
+    const individuals = parseTurtle('<d:x> <d:p> [ <d:q> "inner" ] .');
+    const blank = individuals.find((individual) => individual['@'].startsWith('_:'));
+    assert(find(individuals, 'd:x')['d:p'][0].data === blank['@'], 'Should link blank node');
+    assert(blank['d:q'][0].data === 'inner', 'Should parse blank node properties');
+
+    for (const invalid of ['<d:x> <d:p> "unterminated .', '<d:x> <d:p> <d:o>', '<d:x> <d:p> ( <d:o> ) .']) {
+      try {
+        parseTurtle(invalid);
+        assert(false, `Should reject: ${invalid}`);
+      } catch (error) {
+        assert(error instanceof SyntaxError, 'Should throw SyntaxError');
+      }
+    }
+  });
+
+  const individuals = [
+    {
+      '@': 'v-s:Report',
+      'rdf:type': [{ data: 'v-s:Document', type: 'Uri' }],
+      'rdfs:label': [{ data: 'Отчёт', type: 'String', lang: 'RU' }, { data: 'Report', type: 'String', lang: 'EN' }],
+      'v-s:description': [{ data: 'Line 1\n"Line 2"', type: 'String' }],
+      'v-s:count': [{ data: 3, type: 'Integer' }],
+      'v-s:amount': [{ data: '7', type: 'Decimal' }, { data: '1.5', type: 'Decimal' }],
+      'v-s:valid': [{ data: false, type: 'Boolean' }],
+      'v-s:created': [{ data: '2024-01-02T03:04:05.000Z', type: 'Datetime' }],
+      'v-s:attachment': [{ data: 'd:file_1', type: 'Uri' }, { data: 'http://example.com/a b', type: 'Uri' }],
+    },
+  ];
+  const json = (data) => JSON.stringify(data.map(({ '@': id, ...rest }) => ({ '@': id, ...Object.fromEntries(Object.entries(rest).sort()) })));
+
+  test('toTurtle, toNTriples, toJSONLD - round trip', () => {
+    const turtle = toTurtle(individuals);
+    assert(turtle.includes('@prefix v-s: <http://semantic-machines.com/veda/veda-schema/> .'), 'Should declare used prefixes');
+    assert(!turtle.includes('@prefix owl:'), 'Should not declare unused prefixes');
+    assert(turtle.includes('  a v-s:Document ;') && turtle.includes('v-s:count 3 ;'), 'Should write rdf:type and bare integers');
+
+    assert(json(parseTurtle(turtle)) === json(individuals), 'Turtle should round trip');
+    assert(json(parseNTriples(toNTriples(individuals))) === json(individuals), 'N-Triples should round trip');
+    assert(json(parseJSONLD(toJSONLD(individuals))) === json(individuals), 'JSON-LD should round trip');
+    assert(json(parseJSONLD(JSON.stringify(toJSONLD(individuals)))) === json(individuals), 'JSON-LD text should parse');
+  });
+
+  test('toTurtle, toNTriples - prefixes and models', () => {
+    clearModelCache();
+    const model = new Model({ '@': 'd:rdf_model', 'rdfs:label': [{ data: 'Model', type: 'String' }] });
+
+    const turtle = toTurtle([model], { prefixes: { rdfs: 'http://www.w3.org/2000/01/rdf-schema#' } });
+    assert(turtle.startsWith('@prefix rdfs:') && turtle.includes('<d:rdf_model>\n'), 'Unknown prefixes should be written as IRIs');
+    assert(toTurtle([model]).includes('@prefix d: <http://semantic-machines.com/veda/veda-data/> .'), 'Known prefixes should be declared');
+
+    const triples = toNTriples([model]);
+    assert(triples === '<http://semantic-machines.com/veda/veda-data/rdf_model> <http://www.w3.org/2000/01/rdf-schema#label> "Model" .\n', 'Should expand prefixed names');
+    clearModelCache();
+  });
+
+  test('parseJSONLD - contexts, embedded nodes and values', () => {
+    const parsed = parseJSONLD({
+      '@context': {
+        '@vocab': 'http://semantic-machines.com/veda/veda-schema/',
+        ex: 'http://example.com/',
+        author: { '@id': 'ex:author', '@type': '@id' },
+        created: { '@id': 'ex:created', '@type': 'xsd:dateTime' },
+        xsd: 'http://www.w3.org/2001/XMLSchema#',
+      },
+      '@id': 'ex:doc',
+      '@type': 'Document',
+      title: { '@value': 'Title', '@language': 'en' },
+      author: 'ex:person',
+      created: '2024-01-02T03:04:05Z',
+      rating: 4.5,
+      attachment: { '@id': 'ex:file', name: 'file.txt' },
+    });
+    const doc = find(parsed, 'ex:doc');
+
+    assert(doc, 'Context prefixes should shorten IRIs');
+    assert(doc['rdf:type'][0].data === 'v-s:Document', '@vocab should expand and known prefixes shorten');
+    assert(doc['v-s:title'][0].lang === 'EN', 'Should keep language');
+    assert(doc['ex:author'][0].type === 'Uri', "Terms with '@type': '@id' should be links");
+    assert(doc['ex:created'][0].type === 'Datetime', 'Terms with datatypes should be typed');
+    assert(doc['v-s:rating'][0].type === 'Decimal', 'Fractional numbers should be decimals');
+    assert(find(parsed, 'ex:file')['v-s:name'][0].data === 'file.txt', 'Embedded nodes should become individuals');
+
+    try {
+      parseJSONLD({ '@id': 'd:x', 'v-s:list': { '@list': [1] } });
+      assert(false, 'Should reject lists');
+    } catch (error) {
+      assert(error instanceof SyntaxError, 'Should throw SyntaxError');
+    }
+  });
+};
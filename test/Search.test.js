@@ -0,0 +1,138 @@
+import './setup-dom.js';
+import Component, {html} from '../src/components/Component.js';
+import {Search} from '../src/components/SearchComponent.js';
+import {Loop} from '../src/components/LoopComponent.js';
+import VQL from '../src/VQL.js';
+import {flushEffects} from '../src/Effect.js';
+import {createTestComponent, waitForCondition} from './helpers.js';
+import {withMockTransport} from './mocks/Transport.mock.js';
+
+export default ({test, assert}) => {
+
+  const doc = (n, status) => ({
+    '@': `d:doc${n}`,
+    'rdf:type': [{data: 'v-s:Document', type: 'Uri'}],
+    'rdfs:label': [{data: `Doc ${n}`, type: 'String'}],
+    'v-s:hasStatus': [{data: status, type: 'Uri'}],
+  });
+
+  // Queries match documents by status selection, loads are served from `server`
+  const withBackend = (fn) => withMockTransport(async (transport) => {
+    const server = new Map([
+      doc(1, 'd:open'), doc(2, 'd:open'), doc(3, 'd:closed'), doc(4, 'd:open'), doc(5, 'd:closed'),
+    ].map((individual) => [individual['@'], individual]));
+    const queries = [];
+    transport.on('query', ({data: params}) => {
+      queries.push(params);
+      const statuses = [...params.query.matchAll(/'v-s:hasStatus'==='([^']+)'/g)].map((match) => match[1]);
+      const index = [...server.values()]
+        .filter((individual) => !statuses.length || statuses.includes(individual['v-s:hasStatus'][0].data))
+        .map((individual) => individual['@']);
+      const from = params.from ?? 0;
+      const result = index.slice(from, params.top ? from + params.top : undefined);
+      return {result, count: result.length, estimated: index.length, cursor: from + result.length};
+    });
+    transport.serve((uri) => server.get(uri));
+    await fn({queries});
+  });
+
+  const searchOf = (component) => component.querySelector('veda-search');
+
+  test('Search - results, counts and facets in the template and context', async () => {
+    await withBackend(async ({queries}) => {
+      class SearchSummary extends Component(HTMLElement) {
+        static tag = `test-search-summary-${Math.random().toString(36).slice(2, 8)}`;
+        render() {
+          return html`<span class="found">{this.context.search.estimated}</span>`;
+        }
+      }
+      customElements.define(SearchSummary.tag, SearchSummary);
+
+      class SearchApp extends Component(HTMLElement) {
+        constructor() {
+          super();
+          this.state.base = VQL.eq('rdf:type', 'v-s:Document').sort('rdfs:label');
+        }
+        render() {
+          return html`
+            <${Search} :base="{this.state.base}" facets="v-s:hasStatus" top="2" as="found">
+              <${Loop} items="{found.results}" as="doc" key="id">
+                <li>{doc.id}</li>
+              </${Loop}>
+              <span class="count">{found.count}/{found.estimated}</span>
+              <${SearchSummary}></${SearchSummary}>
+            </${Search}>
+          `;
+        }
+      }
+
+      const {component, cleanup} = await createTestComponent(SearchApp);
+      const search = searchOf(component);
+      await waitForCondition(() => search.state.search.facets.length && !search.state.search.loading, {timeout: 1000});
+      await flushEffects();
+
+      assert(queries[0].query === "'rdf:type'==='v-s:Document'" && queries[0].sort === "'rdfs:label' asc" && queries[0].top === 2,
+        'Should run the base query with its sort and top');
+      const items = [...component.querySelectorAll('li')].map((li) => li.textContent);
+      assert(items.join() === 'd:doc1,d:doc2', `Should render the first page, got ${items}`);
+      assert(component.querySelector('.count').textContent === '2/5', 'Should render count and estimated');
+      const summary = component.querySelector(SearchSummary.tag);
+      await summary.rendered;
+      assert(summary.querySelector('.found').textContent === '5', 'Descendants should read search from context');
+
+      const [status] = search.state.search.facets;
+      assert(status.property === 'v-s:hasStatus', 'Should list facet properties');
+      assert(status.values.map((entry) => `${entry.key}:${entry.count}`).join() === 'd:open:3,d:closed:2', 'Should count values by descending count');
+
+      await search.state.search.next();
+      await flushEffects();
+      assert(search.state.search.from === 2 && queries.at(-1).from === 2, 'next() should advance by top');
+      assert([...component.querySelectorAll('li')].map((li) => li.textContent).join() === 'd:doc3,d:doc4', 'Should render the next page');
+      cleanup();
+    });
+  });
+
+  test('Search - debounced text and facet selection', async () => {
+    await withBackend(async ({queries}) => {
+      class SearchInputApp extends Component(HTMLElement) {
+        render() {
+          return html`
+            <${Search} base="'rdf:type'==='v-s:Document'" facets="v-s:hasStatus" debounce="20" match="rdfs:label">
+              <input bind="{search.text}">
+            </${Search}>
+          `;
+        }
+      }
+
+      const {component, cleanup} = await createTestComponent(SearchInputApp);
+      const search = searchOf(component);
+      await waitForCondition(() => search.state.search.facets.length, {timeout: 1000});
+      const runs = queries.length;
+
+      search.state.search.text = 'Do';
+      await flushEffects();
+      search.state.search.text = "Doc' || 'x'=='y";
+      await flushEffects();
+      assert(queries.length === runs, 'Should wait for the debounce delay');
+      await waitForCondition(() => queries.length > runs && !search.state.search.loading, {timeout: 1000});
+      assert(queries.length === runs + 2, 'Should run the results and facet queries once');
+      assert(queries.at(-1).query === "('rdf:type'==='v-s:Document') && ('rdfs:label'=='Doc\\' || \\'x\\'==\\'y')",
+        `Should add the escaped text condition, got ${queries.at(-1).query}`);
+
+      search.state.search.text = '';
+      await flushEffects();
+      await search.search();
+      const facetValue = (key) => search.state.search.facets[0].values.find((entry) => entry.key === key);
+      await facetValue('d:closed').toggle();
+      assert(facetValue('d:closed').selected && facetValue('d:closed').count === 2, 'Should mark the selected value and keep counts');
+      assert(search.state.search.results.map((model) => model.id).join() === 'd:doc3,d:doc5', 'Should filter results by selection');
+
+      await search.toggle('v-s:hasStatus', 'd:open');
+      assert(search.state.search.estimated === 5, 'Selected values of a property should be alternatives');
+      await search.toggle('v-s:hasStatus', 'd:closed');
+      await search.toggle('v-s:hasStatus', 'd:open');
+      assert(queries.at(-2).query === "'rdf:type'==='v-s:Document'" && !facetValue('d:closed').selected, 'Should drop deselected conditions');
+      cleanup();
+    });
+  });
+};
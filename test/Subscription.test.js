@@ -3,9 +3,12 @@
  * Now uses injectable WebSocket for full isolation
  */
 
+import './setup-dom.js';
 import Subscription from '../src/Subscription.js';
+import Backend from '../src/Backend.js';
 import Model from '../src/Model.js';
 import { MockWebSocket } from './mocks/WebSocket.mock.js';
+import { MockTransport, withMockTransport } from './mocks/Transport.mock.js';
 import { waitForCondition, clearModelCache, generateTestId } from './helpers.js';
 
 export default ({ test, assert }) => {
@@ -462,5 +465,244 @@ export default ({ test, assert }) => {
 
     clearModelCache();
   });
+
+  test('Subscription - reconnects with backoff and resubscribes at last counters', async () => {
+    clearModelCache();
+    const policy = Subscription.reconnectPolicy;
+    Subscription.reconnectPolicy = { delay: 20, factor: 2, maxDelay: 50, jitter: false };
+    const originalLog = console.log;
+    console.log = () => {};
+    const first = generateTestId('test:reconnect');
+    const second = generateTestId('test:reconnect');
+    const holders = [{}, {}];
+
+    try {
+      assert([1, 2, 3].map((attempt) => Subscription._reconnectDelay(attempt)).join() === '20,40,50', 'Delays should grow and be capped');
+
+      Subscription.init('ws://test-reconnect:8088', MockWebSocket);
+      Subscription.subscribe(holders[0], [first, 1, () => {}]);
+      Subscription.subscribe(holders[1], [second, 0, () => {}]);
+      await waitForCondition(() => Subscription._socket.getSubscriptions().size === 2, { timeout: 2000 });
+      assert(Subscription.state.status === 'open' && Subscription.state.attempt === 0, 'Should be open');
+      Subscription._socket.simulateUpdate(first, 3);
+
+      const closed = Subscription._socket;
+      closed.simulateClose();
+      assert(Subscription.state.status === 'closed' && Subscription.state.attempt === 1, 'Should count the failed attempt');
+      await waitForCondition(() => Subscription._socket !== closed, { timeout: 1000, message: 'Should reconnect after the delay' });
+
+      await waitForCondition(() => Subscription._socket.getSubscriptions().size === 2, { timeout: 2000, message: 'Should resubscribe' });
+      const subscriptions = Subscription._socket.getSubscriptions();
+      assert(subscriptions.get(first) === 3 && subscriptions.get(second) === 0, 'Should resubscribe from the last pushed counters');
+      assert(Subscription.state.status === 'open' && Subscription.state.attempt === 0, 'Should reset attempts on open');
+
+      closed.simulateClose();
+      assert(Subscription.state.status === 'open', 'Close of a replaced socket should be ignored');
+    } finally {
+      holders.forEach((holder) => Subscription.release(holder));
+      Subscription.reconnectPolicy = policy;
+      console.log = originalLog;
+      clearModelCache();
+    }
+  });
+
+  test('Subscription - reconnects at once when the browser goes online', async () => {
+    const policy = Subscription.reconnectPolicy;
+    Subscription.reconnectPolicy = { ...policy, delay: 60_000 };
+    const originalLog = console.log;
+    console.log = () => {};
+
+    try {
+      Subscription.init('ws://test-online:8088', MockWebSocket);
+      await waitForCondition(() => Subscription.state.status === 'open', { timeout: 1000 });
+      const closed = Subscription._socket;
+      closed.simulateClose();
+      assert(Subscription.state.status === 'closed' && Subscription._socket === closed, 'Should wait for the backoff delay');
+
+      window.dispatchEvent(new window.Event('online'));
+      assert(Subscription.state.status === 'connecting' && Subscription._socket !== closed, 'Should reconnect on online');
+      await waitForCondition(() => Subscription.state.status === 'open', { timeout: 1000 });
+      assert(Subscription._timer === null, 'Should cancel the scheduled attempt');
+    } finally {
+      Subscription.reconnectPolicy = policy;
+      console.log = originalLog;
+    }
+  });
+
+  test('Subscription - catches up updates missed while reconnecting with one batched reload', async () => {
+    clearModelCache();
+    const policy = Subscription.reconnectPolicy;
+    Subscription.reconnectPolicy = { delay: 10, factor: 2, maxDelay: 10, jitter: false };
+    const originalLog = console.log;
+    console.log = () => {};
+    const original = { get_individual: Backend.get_individual, get_individuals: Backend.get_individuals };
+    const ids = [1, 2, 3].map(() => generateTestId('test:catchup'));
+    const server = new Map(ids.map((id) => [id, { '@': id, 'v-s:updateCounter': [{ data: 1, type: 'Integer' }] }]));
+    const requests = [];
+    Backend.get_individual = async (uri) => {
+      requests.push(['get_individual', uri]);
+      return structuredClone(server.get(uri));
+    };
+    Backend.get_individuals = async (uris) => {
+      requests.push(['get_individuals', ...uris]);
+      return uris.map((uri) => structuredClone(server.get(uri)));
+    };
+
+    try {
+      Subscription.init('ws://test-catchup:8088', MockWebSocket);
+      const models = ids.map((id) => new Model(id));
+      await Promise.all(models.map((model) => model.load()));
+      models.forEach((model) => model.subscribe());
+      await waitForCondition(() => Subscription._socket.getSubscriptions().size === 3, { timeout: 2000 });
+
+      // Changed on the server while the socket is down
+      const closed = Subscription._socket;
+      closed.simulateClose();
+      server.get(ids[0])['v-s:updateCounter'][0].data = 2;
+      server.get(ids[2])['v-s:updateCounter'][0].data = 4;
+      await waitForCondition(() => Subscription._socket !== closed && Subscription._socket.getSubscriptions().size === 3, { timeout: 2000 });
+      const subscriptions = Subscription._socket.getSubscriptions();
+      assert(ids.every((id) => subscriptions.get(id) === 1), 'Should resubscribe at the known counters');
+
+      requests.length = 0;
+      Subscription._socket.simulateMessage(`=${ids[0]}=2,${ids[1]}=1,${ids[2]}=4`);
+      await waitForCondition(() => models[2]['v-s:updateCounter'][0] === 4, { timeout: 1000, message: 'Should reload changed models' });
+      assert(models[0]['v-s:updateCounter'][0] === 2 && models[0].isSync(), 'Should apply reloaded data');
+      assert(requests.length === 1 && requests[0].join() === ['get_individuals', ids[0], ids[2]].join(), 'Should reload only changed models in one request');
+
+      Subscription._socket.simulateMessage(`${ids[0]}=2`);
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      assert(requests.length === 1, 'Should not reload for a known counter');
+    } finally {
+      ids.forEach((id) => Subscription.unsubscribe(id));
+      Object.assign(Backend, original);
+      Subscription.reconnectPolicy = policy;
+      console.log = originalLog;
+      clearModelCache();
+    }
+  });
+
+  test('Subscription - sends the ticket on connect, reconnects on login and drops subscriptions on logout', async () => {
+    clearModelCache();
+    const { transport, user_uri, expires } = Backend;
+    const originalLog = console.log;
+    console.log = () => {};
+    const endTime = (ms) => ms * 10000 + 621355968000000000;
+    let issued = 0;
+    Backend.transport = new MockTransport()
+      .on('authenticate', () => ({ id: `ticket-${++issued}`, user_uri: 'cfg:Guest', end_time: endTime(Date.now() + 3_600_000) }))
+      .on('logout', () => ({}));
+    const holder = {};
+    const id = generateTestId('test:auth');
+
+    try {
+      await Backend.authenticate('guest', 'hash');
+      Subscription.init('ws://test-auth:8088', MockWebSocket);
+      Subscription.subscribe(holder, [id, 0, () => {}]);
+      await waitForCondition(() => Subscription._socket.getSubscriptions().has(id), { timeout: 2000 });
+      assert(Subscription._socket.getSentMessages()[0] === 'ccus=ticket-1', 'Should send the ticket first');
+
+      const anonymous = Subscription._socket;
+      await Backend.authenticate('guest', 'hash');
+      assert(Subscription._socket !== anonymous && anonymous.readyState === MockWebSocket.CLOSING, 'Login should replace the socket');
+      await waitForCondition(() => Subscription._socket.getSubscriptions().has(id), { timeout: 2000 });
+      assert(Subscription._socket.getSentMessages()[0] === 'ccus=ticket-2', 'Should handshake with the new ticket');
+
+      const session = Subscription._socket;
+      await Backend.logout();
+      assert(Subscription._getSubscriptionCount() === 0 && Subscription._getRefCount(id) === 0, 'Logout should drop subscriptions');
+      await waitForCondition(() => Subscription.state.status === 'open' && Subscription._socket !== session, { timeout: 1000 });
+      await new Promise((resolve) => setTimeout(resolve, 600));
+      assert(Subscription._socket.getSentMessages().length === 0, 'Should reconnect without ticket and subscriptions');
+
+      Subscription.release(holder);
+      assert(Subscription._getRefCount(id) === 0, 'Releasing a holder of the ended session should not count');
+      Subscription.subscribe(holder, [id, 0, () => {}]);
+      assert(Subscription._getRefCount(id) === 1, 'Holder should subscribe again in the new session');
+    } finally {
+      Subscription.release(holder);
+      Backend.transport = transport;
+      Backend.user_uri = user_uri;
+      Backend.expires = expires;
+      console.log = originalLog;
+      clearModelCache();
+    }
+  });
+
+  test('Subscription - keeps subscriptions when an expired ticket is re-authenticated', async () => {
+    const { user_uri, expires, ticketPolicy } = Backend;
+    const originalLog = console.log;
+    console.log = () => {};
+    const endTime = (ms) => ms * 10000 + 621355968000000000;
+    const holder = {};
+    const id = generateTestId('test:reauth');
+
+    try {
+      await withMockTransport(async (transport) => {
+        let issued = 0;
+        let reads = 0;
+        transport
+          .on('authenticate', () => ({ id: `ticket-${++issued}`, user_uri: 'cfg:Guest', end_time: endTime(Date.now() + 3_600_000) }))
+          .on('get_individual', ({ data }) => ++reads === 1 ? MockTransport.respond(471) : { '@': data.uri })
+          .on('logout', () => ({}));
+        Backend.ticketPolicy = { ...ticketPolicy, reauthenticate: () => Backend.authenticate('guest', 'hash') };
+
+        await Backend.authenticate('guest', 'hash');
+        Subscription.init('ws://test-reauth:8088', MockWebSocket);
+        Subscription.subscribe(holder, [id, 0, () => {}]);
+        await waitForCondition(() => Subscription._socket.getSubscriptions().has(id), { timeout: 2000 });
+
+        const individual = await Backend.get_individual(id);
+        assert(individual['@'] === id && issued === 2, 'Request should be replayed after re-authentication');
+        assert(Subscription._getSubscriptionCount() === 1 && Subscription._getRefCount(id) === 1, 'Should keep subscriptions');
+        await waitForCondition(() => Subscription._socket.getSubscriptions().has(id), { timeout: 2000 });
+        assert(Subscription._socket.getSentMessages()[0] === 'ccus=ticket-2', 'Should resubscribe with the new ticket');
+
+        await Backend.logout();
+        assert(Subscription._getSubscriptionCount() === 0, 'Logout should still drop subscriptions');
+      });
+    } finally {
+      Subscription.release(holder);
+      Backend.ticketPolicy = ticketPolicy;
+      Backend.user_uri = user_uri;
+      Backend.expires = expires;
+      console.log = originalLog;
+    }
+  });
+
+  test('Subscription - heartbeat replaces a stale connection and keeps an answering one', async () => {
+    const policy = Subscription.heartbeatPolicy;
+    Subscription.heartbeatPolicy = { interval: 20, timeout: 20, ping: '' };
+    const originalLog = console.log;
+    console.log = () => {};
+
+    try {
+      Subscription.init('ws://test-heartbeat:8088', MockWebSocket);
+      await waitForCondition(() => Subscription.state.status === 'open', { timeout: 1000 });
+      const stale = Subscription._socket;
+      const reconnects = Subscription.state.reconnects;
+      await waitForCondition(() => Subscription._socket !== stale, { timeout: 1000, message: 'Should replace the silent socket' });
+      assert(stale.getSentMessages()[0] === '' && stale.readyState !== MockWebSocket.OPEN, 'Should ping, then close the stale socket');
+      assert(Subscription.state.reconnects === reconnects + 1, 'Should count the reconnection');
+
+      class AnsweringWebSocket extends MockWebSocket {
+        send(data) {
+          super.send(data);
+          if (data === '') setTimeout(() => this.simulateMessage(''), 5);
+        }
+      }
+      Subscription.init('ws://test-heartbeat:8088', AnsweringWebSocket);
+      await waitForCondition(() => Subscription.state.status === 'open', { timeout: 1000 });
+      const live = Subscription._socket;
+      const before = Date.now();
+      await new Promise((resolve) => setTimeout(resolve, 150));
+      assert(Subscription._socket === live && live.getSentMessages().includes(''), 'Should keep the answering socket');
+      assert(Subscription.state.lastMessage >= before, 'Should record the last message time');
+    } finally {
+      Subscription.heartbeatPolicy = policy;
+      Subscription._watchHeartbeat(Subscription._socket);
+      console.log = originalLog;
+    }
+  });
 };
 
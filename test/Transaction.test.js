@@ -0,0 +1,230 @@
+import Model from '../src/Model.js';
+import ConflictError from '../src/ConflictError.js';
+import { generateTestId } from './helpers.js';
+import { MockTransport, withMockTransport } from './mocks/Transport.mock.js';
+
+export default ({ test, assert }) => {
+
+  // Records put_individuals batches, fails when `fail` is set
+  const withBackend = (fn) => withMockTransport(async (transport) => {
+    const batches = [];
+    const state = { fail: false };
+    transport.on('put_individuals', ({ data }) => {
+      if (state.fail) return MockTransport.respond(500);
+      batches.push(data.individuals);
+      return {};
+    });
+    transport.serve((uri) => ({ '@': uri, 'rdfs:label': [{ data: 'Loaded', type: 'String' }] }));
+    await fn({ batches, state, transport });
+  });
+
+  test('Model.transaction - saves new graph with one put_individuals', async () => {
+    await withBackend(async ({ batches }) => {
+      let doc;
+      const saved = await Model.transaction(() => {
+        doc = new Model();
+        const items = [new Model(), new Model()];
+        items.forEach((item, i) => { item['rdfs:label'] = [`Item ${i}`]; });
+        doc['rdfs:label'] = ['Document'];
+        doc['v-s:hasItem'] = items;
+      });
+
+      assert(batches.length === 1, 'Should send one request');
+      assert(batches[0].length === 3 && saved.length === 3, 'Should save document and reachable items');
+      assert(batches[0].some((individual) => individual['@'] === doc.id && individual['v-s:hasItem'].length === 2), 'Should send document with links');
+      assert(saved.every((model) => !model.isNew() && model.isSync()), 'Saved models should be in sync');
+    });
+  });
+
+  test('Model.transaction - collects only changed models', async () => {
+    await withBackend(async ({ batches }) => {
+      const changed = await new Model(generateTestId('d:tx')).load();
+      const untouched = await new Model(generateTestId('d:tx')).load();
+      const saved = await Model.transaction(async (tx) => {
+        await untouched.reset();
+        await Model.transaction(() => { changed['rdfs:label'] = ['Changed']; }, tx);
+      });
+
+      assert(saved.length === 1 && saved[0] === changed, 'Should save only modified model');
+      assert(batches[0][0]['rdfs:label'][0].data === 'Changed', 'Should send current values');
+
+      assert((await Model.transaction(() => {})).length === 0, 'Empty transaction should save nothing');
+      assert(batches.length === 1, 'Empty transaction should send nothing');
+    });
+  });
+
+  test('Model.transaction - rolls back local state when batch fails', async () => {
+    await withBackend(async ({ batches, state }) => {
+      const existing = await new Model(generateTestId('d:tx')).load();
+      const item = new Model();
+      state.fail = true;
+
+      try {
+        await Model.transaction(() => {
+          existing['rdfs:label'] = ['Changed'];
+          existing['v-s:hasItem'] = [item];
+          item['rdfs:label'] = ['Item'];
+        });
+        assert(false, 'Should throw');
+      } catch (error) {
+        assert(error.code === 500, 'Should reject with backend error');
+      }
+
+      assert(batches.length === 0, 'Nothing should be written');
+      assert(existing['rdfs:label'][0] === 'Loaded', 'Changed property should be restored');
+      assert(!('v-s:hasItem' in existing), 'Added property should be removed');
+      assert(existing.isSync(), 'Restored model should be in sync');
+      assert(item.isNew() && !item.hasValue('rdfs:label'), 'New model should be restored');
+    });
+  });
+
+  test('Model.transaction - rolls back when callback throws', async () => {
+    await withBackend(async ({ batches }) => {
+      const existing = await new Model(generateTestId('d:tx')).load();
+      try {
+        await Model.transaction(async () => {
+          delete existing['rdfs:label'];
+          throw new Error('Validation failed');
+        });
+        assert(false, 'Should throw');
+      } catch (error) {
+        assert(error.message === 'Validation failed', 'Should rethrow callback error');
+      }
+      assert(existing['rdfs:label'][0] === 'Loaded', 'Deleted property should be restored');
+      assert(batches.length === 0, 'Nothing should be written');
+    });
+  });
+
+  test('Model.transaction - in-place array changes are not recorded', async () => {
+    await withBackend(async ({ batches }) => {
+      const existing = await new Model(generateTestId('d:tx')).load();
+      const saved = await Model.transaction(() => {
+        existing['rdfs:label'][0] = 'In place';
+      });
+      assert(saved.length === 0 && batches.length === 0, 'Index writes should not be collected');
+
+      await Model.transaction(() => {
+        existing['rdfs:label'] = [...existing['rdfs:label'], 'Added'];
+      });
+      assert(batches.length === 1 && batches[0][0]['@'] === existing.id, 'Assigned property should be collected');
+    });
+  });
+
+  test('Model.transaction - nested transactions join the outer one', async () => {
+    await withBackend(async ({ batches }) => {
+      let handle;
+      const saved = await Model.transaction(async (tx) => {
+        handle = tx;
+        new Model()['rdfs:label'] = ['Outer'];
+        const inner = await Model.transaction((joined) => {
+          assert(joined === tx, 'Joined callback should receive the outer handle');
+          new Model()['rdfs:label'] = ['Inner'];
+        }, tx);
+        assert(inner.length === 0, 'Nested call should not save');
+      });
+      assert(batches.length === 1 && saved.length === 2, 'Outer transaction should save both');
+
+      try {
+        await Model.transaction(() => {}, handle);
+        assert(false, 'Should throw');
+      } catch (error) {
+        assert(/not running/.test(error.message), 'Should not join a finished transaction');
+      }
+
+      let nested;
+      await Model.transaction(() => {
+        nested = Model.transaction(() => {});
+      });
+      try {
+        await nested;
+        assert(false, 'Should throw');
+      } catch (error) {
+        assert(/within/.test(error.message), 'Nested call without the handle should reject');
+      }
+    });
+  });
+
+  test('Model.transaction - saves and rolls back only its own changes', async () => {
+    await withBackend(async ({ batches, state }) => {
+      const existing = await new Model(generateTestId('d:tx')).load();
+      const unrelated = await new Model(generateTestId('d:tx')).load();
+      let release;
+      const first = Model.transaction(async () => {
+        existing['rdfs:label'] = ['First'];
+        await new Promise((resolve) => { release = resolve; });
+      });
+      // Edited elsewhere while the first callback is pending
+      unrelated['rdfs:label'] = ['User input'];
+      const second = await Model.transaction(() => {
+        new Model()['rdfs:label'] = ['Second'];
+      });
+      assert(second.length === 1 && batches.length === 1, 'Second transaction should not wait for the first');
+
+      state.fail = true;
+      release();
+      try {
+        await first;
+        assert(false, 'First should throw');
+      } catch (error) {
+        assert(error.code === 500, 'First should reject with backend error');
+      }
+      assert(existing['rdfs:label'][0] === 'Loaded', 'First should roll back its own change');
+      assert(unrelated['rdfs:label'][0] === 'User input' && !unrelated.isSync(), 'Unrelated edit should be kept');
+
+      state.fail = false;
+      const saved = await Model.transaction(() => {
+        existing['rdfs:label'] = ['Again'];
+      });
+      assert(saved.length === 1 && saved[0] === existing, 'Unrelated model should not be collected');
+    });
+  });
+
+  test('Model.transaction - checks loaded models for conflicts', async () => {
+    await withBackend(async ({ batches, transport }) => {
+      const counter = (data) => [{ data, type: 'Integer' }];
+      const server = new Map();
+      transport.serve((uri) => server.get(uri));
+      const load = (label) => {
+        const uri = generateTestId('d:tx');
+        server.set(uri, { '@': uri, 'rdfs:label': [{ data: label, type: 'String' }], 'v-s:updateCounter': counter(1) });
+        return new Model(uri).load();
+      };
+      const [changed, stale] = await Promise.all([load('A'), load('B')]);
+      Model.checkConflicts = true;
+      try {
+        server.get(stale.id)['v-s:updateCounter'] = counter(2);
+        let error;
+        try {
+          await Model.transaction(() => {
+            changed['rdfs:label'] = ['A2'];
+            stale['rdfs:label'] = ['B2'];
+          });
+        } catch (e) {
+          error = e;
+        }
+        assert(error instanceof ConflictError && error.model === stale, 'Should reject with ConflictError of the stale model');
+        assert(batches.length === 0, 'Nothing should be written');
+        assert(changed['rdfs:label'][0] === 'A' && stale['rdfs:label'][0] === 'B', 'Changes should be rolled back');
+
+        // Server bumps the update counter on every write
+        transport.on('put_individuals', ({ data }) => {
+          batches.push(data.individuals);
+          data.individuals.forEach((individual) => server.get(individual['@'])['v-s:updateCounter'][0].data++);
+          return {};
+        });
+        await Model.transaction(() => {
+          changed['rdfs:label'] = ['A3'];
+        });
+        assert(batches.length === 1, 'Unchanged server copy should be written');
+        assert(changed['v-s:updateCounter'][0] === 2 && changed.isSync(), 'Should take the counter of own write');
+
+        await Model.transaction(() => {
+          changed['rdfs:label'] = ['A4'];
+        });
+        assert(batches.length === 2, 'Own write should not cause a conflict');
+      } finally {
+        Model.checkConflicts = false;
+      }
+    });
+  });
+};
@@ -0,0 +1,134 @@
+import BackendError from '../src/BackendError.js';
+import Model from '../src/Model.js';
+import Traversal from '../src/Traversal.js';
+import { effect, flushEffects } from '../src/Effect.js';
+import { withMockTransport } from './mocks/Transport.mock.js';
+
+export default ({ test, assert }) => {
+
+  const uri = (data) => ({ data, type: 'Uri' });
+
+  // document → attachments → authors, document ← comments, part chain
+  const graph = () => new Map([
+    ['d:doc', { '@': 'd:doc', 'v-s:attachment': [uri('d:file1'), uri('d:file2')], 'v-s:hasPart': [uri('d:part1')] }],
+    ['d:file1', { '@': 'd:file1', 'v-s:author': [uri('d:alice')] }],
+    ['d:file2', { '@': 'd:file2', 'v-s:author': [uri('d:alice'), uri('d:bob')] }],
+    ['d:alice', { '@': 'd:alice' }],
+    ['d:bob', { '@': 'd:bob' }],
+    ['d:comment', { '@': 'd:comment', 'v-s:backwardTarget': [uri('d:doc')] }],
+    ['d:part1', { '@': 'd:part1', 'v-s:hasPart': [uri('d:part2')] }],
+    ['d:part2', { '@': 'd:part2', 'v-s:hasPart': [uri('d:part3')] }],
+    ['d:part3', { '@': 'd:part3', 'v-s:hasPart': [uri('d:part1')] }],
+  ]);
+
+  // requests() lists loaded URIs of each load request and query strings, in order
+  const withBackend = (fn) => withMockTransport(async (transport) => {
+    const server = graph();
+    transport.serve((id) => server.get(id));
+    transport.on('query', ({ data }) => {
+      const [, property, target] = data.query.match(/^'(.+)'==='(.+)'$/);
+      const result = [...server.values()].filter((individual) => individual[property]?.some((value) => value.data === target));
+      return { result: result.map((individual) => individual['@']) };
+    });
+    const requests = () => transport.requests.map(({ endpoint, data }) =>
+      ({ get_individual: [data.uri], get_individuals: data.uris, query: data.query })[endpoint]);
+    await fn({ server, requests });
+  });
+
+  const ids = (models) => models.map((model) => model.id).sort().join();
+
+  test('Traversal - loads multi-valued hops with one request per hop', async () => {
+    await withBackend(async ({ requests }) => {
+      const traversal = await new Model('d:doc').traverse('v-s:attachment/v-s:author').loaded();
+
+      assert(ids(traversal.models) === 'd:alice,d:bob', 'Should return the ends of the path, deduplicated');
+      assert(ids(traversal.nodes) === 'd:alice,d:bob,d:doc,d:file1,d:file2', 'Should collect the subgraph');
+      assert(traversal.nodes.every((model) => model.isLoaded()), 'Should load every reached model');
+      assert(requests().length === 3, `Should send one request per hop, got ${requests().length}`);
+      assert(ids(requests()[1].map((id) => ({ id }))) === 'd:file1,d:file2', 'Should batch a hop');
+      assert(!traversal.loading && traversal.error === null, 'Should finish without error');
+      traversal.destroy();
+    });
+  });
+
+  test('Traversal - inverse properties, alternatives and merged paths', async () => {
+    await withBackend(async ({ requests }) => {
+      const doc = new Model('d:doc');
+      const inverse = await doc.traverse('^v-s:backwardTarget').loaded();
+      assert(ids(inverse.models) === 'd:comment', 'Should find linking individuals');
+      assert(requests().includes("'v-s:backwardTarget'==='d:doc'"), 'Should query the inverse property');
+      const quoted = await new Model("d:it's").traverse('^v-s:backwardTarget').loaded();
+      assert(requests().includes("'v-s:backwardTarget'==='d:it\\'s'"), 'Should escape the URI in the query');
+      quoted.destroy();
+
+      const merged = await new Traversal([doc], ['v-s:attachment|^v-s:backwardTarget', 'v-s:hasPart']).loaded();
+      assert(ids(merged.models) === 'd:comment,d:file1,d:file2,d:part1', 'Should merge alternatives and paths');
+      inverse.destroy();
+      merged.destroy();
+    });
+  });
+
+  test('Traversal - repetition and depth limits', async () => {
+    await withBackend(async () => {
+      const doc = new Model('d:doc');
+      const expect = async (path, expected, options) => {
+        const traversal = await doc.traverse(path, options).loaded();
+        assert(ids(traversal.models) === expected, `${path}: expected ${expected}, got ${ids(traversal.models)}`);
+        traversal.destroy();
+      };
+
+      await expect('v-s:hasPart+', 'd:part1,d:part2,d:part3');
+      await expect('v-s:hasPart*', 'd:doc,d:part1,d:part2,d:part3');
+      await expect('v-s:hasPart{2}', 'd:part2');
+      await expect('v-s:hasPart{2,3}', 'd:part2,d:part3');
+      await expect('v-s:hasPart?', 'd:doc,d:part1');
+      await expect('v-s:hasPart+', 'd:part1,d:part2', { maxDepth: 2 });
+
+      for (const invalid of ['', 'v-s:a//v-s:b', 'v-s:a{3,1}', 'v-s:a{x}', '^^v-s:a']) {
+        try {
+          doc.traverse(invalid);
+          assert(false, `Should reject: ${invalid}`);
+        } catch (error) {
+          assert(error instanceof SyntaxError, 'Should throw SyntaxError');
+        }
+      }
+    });
+  });
+
+  test('Traversal - reactive result set follows changes', async () => {
+    await withBackend(async ({ server }) => {
+      const doc = new Model('d:doc');
+      const traversal = await doc.traverse('v-s:attachment/v-s:author').loaded();
+      const seen = [];
+      const stop = effect(() => seen.push(ids(traversal.models)));
+
+      server.set('d:file3', { '@': 'd:file3', 'v-s:author': [uri('d:carol')] });
+      server.set('d:carol', { '@': 'd:carol' });
+      doc.addValue('v-s:attachment', new Model('d:file3'));
+      await flushEffects();
+      assert(traversal.loading, 'Should load new models');
+      await traversal.loaded();
+      await flushEffects();
+
+      assert(ids(traversal.models) === 'd:alice,d:bob,d:carol', 'Should include models reached after the change');
+      assert(seen.at(-1) === 'd:alice,d:bob,d:carol', 'Effects should see the new result');
+
+      traversal.destroy();
+      doc['v-s:attachment'] = [new Model('d:file1')];
+      await flushEffects();
+      assert(ids(traversal.models) === 'd:alice,d:bob,d:carol', 'Destroyed traversal should not update');
+      stop();
+    });
+  });
+
+  test('Traversal - failed loads are skipped and reported', async () => {
+    await withBackend(async ({ server }) => {
+      server.get('d:file1')['v-s:author'].push(uri('d:missing'));
+      const traversal = await new Model('d:doc').traverse('v-s:attachment/v-s:author').loaded();
+
+      assert(ids(traversal.models) === 'd:alice,d:bob', 'Should skip models that failed to load');
+      assert(traversal.error instanceof BackendError && traversal.error.code === 404, 'Should expose the error');
+      traversal.destroy();
+    });
+  });
+};
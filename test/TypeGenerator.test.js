@@ -0,0 +1,77 @@
+import { generateTypes } from '../src/TypeGenerator.js';
+import { parseTurtle } from '../src/RDF.js';
+
+export default ({ test, assert }) => {
+
+  const ontology = parseTurtle(`
+    @prefix xsd: <http://www.w3.org/2001/XMLSchema#> .
+    v-s:Thing a owl:Class ; rdfs:label "Вещь"@ru, "Thing"@en .
+    v-s:Document a owl:Class ; rdfs:subClassOf v-s:Thing .
+    v-s:Person a owl:Class .
+    v-s:title a owl:DatatypeProperty ; rdfs:domain v-s:Thing ; rdfs:range xsd:string ; rdfs:label "Title"@en .
+    v-s:created a owl:DatatypeProperty ; rdfs:domain v-s:Document ; rdfs:range xsd:dateTime .
+    v-s:author a owl:ObjectProperty ; rdfs:domain v-s:Document ; rdfs:range v-s:Person .
+    v-s:hasItem a owl:ObjectProperty ; rdfs:domain v-s:Document .
+    v-s:description a owl:DatatypeProperty ; rdfs:domain v-s:Document ; rdfs:range xsd:string .
+    v-s:PsDocumentTitle a v-ui:DatatypePropertySpecification ;
+      v-ui:forClass v-s:Document ; v-ui:forProperty v-s:title ;
+      v-ui:minCardinality 1 ; v-ui:maxCardinality 1 .
+    v-s:PsDocumentAuthor a v-ui:ObjectPropertySpecification ;
+      v-ui:forClass v-s:Document ; v-ui:forProperty v-s:author ;
+      v-ui:minCardinality 1 .
+    v-s:PsDocumentDescription a v-ui:DatatypePropertySpecification ;
+      v-ui:forClass v-s:Document ; v-ui:forProperty v-s:description ;
+      v-ui:minCardinality 0 ; v-ui:maxCardinality 1 .
+  `);
+
+  // Lines of an interface body
+  const body = (types, name) => {
+    const start = types.indexOf(`export interface ${name} extends ModelMembers {`);
+    return types.slice(start, types.indexOf('}', start)).split('\n').slice(1).map((line) => line.trim());
+  };
+
+  test('generateTypes - interfaces per class with typed properties', () => {
+    const types = generateTypes(ontology);
+
+    assert(types.includes('import type { Model, ModelMembers, ModelValue } from "veda-client";'), 'Should import Model');
+    assert(types.includes('/** Thing (v-s:Thing) */\nexport interface VSThing extends ModelMembers {'), 'Should name and document classes');
+    assert(body(types, 'VSThing').includes('"v-s:title"?: string[];'), 'Domain properties should be optional arrays');
+
+    const document = body(types, 'VSDocument');
+    assert(document.includes('"v-s:title": [string];'), 'Specification should override inherited property');
+    assert(document.includes('"v-s:description"?: [string];'), 'Optional single-valued properties should be optional one-tuples');
+    assert(document.includes('"v-s:author": VSPerson[];'), 'Object properties should use class interfaces');
+    assert(document.includes('"v-s:created"?: Date[];'), 'Datatypes should map to value types');
+    assert(document.includes('"v-s:hasItem"?: ModelValue[];'), 'Properties without range should accept any value');
+    assert(document.includes('/** Title (v-s:title) 1..1 */'), 'Should document label and cardinality');
+  });
+
+  test('generateTypes - class map, names and import option', () => {
+    const types = generateTypes([
+      ...ontology,
+      { '@': 'v-s:document', 'rdf:type': [{ data: 'owl:Class', type: 'Uri' }] },
+      { '@': 'http://example.com/ns#2d-shape', 'rdf:type': [{ data: 'rdfs:Class', type: 'Uri' }] },
+    ], { importFrom: '../src/index.js' });
+
+    assert(types.includes('from "../src/index.js";'), 'Should use import option');
+    assert(types.includes('  "v-s:Document": VSDocument;') && types.includes('  "v-s:Person": VSPerson;'), 'Should map URIs to interfaces');
+    assert(types.includes('  "v-s:document": VSDocument2;'), 'Should make names unique');
+    assert(types.includes('  "http://example.com/ns#2d-shape": _2dShape;'), 'Should derive valid names from full IRIs');
+  });
+
+  test('generateTypes - URIs with quotes', () => {
+    const types = generateTypes([
+      { '@': "d:Owner's", 'rdf:type': [{ data: 'owl:Class', type: 'Uri' }], 'rdfs:label': [{ data: "Owner's", type: 'String' }] },
+      {
+        '@': "d:owner's",
+        'rdf:type': [{ data: 'owl:DatatypeProperty', type: 'Uri' }],
+        'rdfs:domain': [{ data: "d:Owner's", type: 'Uri' }],
+        'rdfs:range': [{ data: 'xsd:string', type: 'Uri' }],
+      },
+    ], { importFrom: "./it's.js" });
+
+    assert(types.includes('from "./it\'s.js";'), 'Should quote the import');
+    assert(body(types, 'DOwnerS').includes('"d:owner\'s"?: string[];'), 'Should quote property keys');
+    assert(types.includes('  "d:Owner\'s": DOwnerS;'), 'Should quote class keys');
+  });
+};
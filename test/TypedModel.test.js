@@ -0,0 +1,100 @@
+import Model from '../src/Model.js';
+import Value from '../src/Value.js';
+import { effect, flushEffects } from '../src/Effect.js';
+import { generateTestId } from './helpers.js';
+import { withMockTransport } from './mocks/Transport.mock.js';
+
+export default ({ test, assert }) => {
+
+  class Document extends Model {
+    static type = 'v-s:TypedDocument';
+    static properties = {
+      title: 'v-s:title',
+      tags: ['v-s:tag'],
+    };
+
+    get heading () {
+      return `Document: ${this.title}`;
+    }
+  }
+
+  const str = (data) => ({ data, type: 'String' });
+
+  // Registers Document, serves loads from `server` through the transport
+  const withTypes = (fn) => withMockTransport(async (transport) => {
+    const server = new Map();
+    transport.serve((uri) => server.get(uri));
+    Model.register(Document);
+    try {
+      await fn({ server });
+    } finally {
+      Model.types.delete(Document.type);
+    }
+  });
+
+  test('Typed models - loaded models switch to the registered subclass', async () => {
+    await withTypes(async ({ server }) => {
+      const uri = generateTestId('d:typed');
+      server.set(uri, { '@': uri, 'rdf:type': [{ data: Document.type, type: 'Uri' }], 'v-s:title': [str('Report')] });
+
+      const model = new Model(uri);
+      assert(!(model instanceof Document), 'Unloaded model should be plain');
+      await model.load();
+
+      assert(model instanceof Document && model instanceof Model, 'Loaded model should be a Document');
+      assert(model === new Model(uri), 'Should keep the cached instance');
+      assert(Value.parse({ data: uri, type: 'Uri' }) === model, 'Value.parse should return the typed instance');
+      assert(model.heading === 'Document: Report', 'Subclass members should work');
+    });
+  });
+
+  test('Typed models - data constructor and subclass constructor', async () => {
+    await withTypes(async () => {
+      const typed = new Model({ '@': generateTestId('d:typed'), 'rdf:type': [{ data: Document.type, type: 'Uri' }] });
+      assert(typed instanceof Document, 'Data with registered type should create a Document');
+
+      const plain = new Model(generateTestId('d:typed'));
+      assert(new Document(plain.id) === plain && plain instanceof Document, 'Subclass constructor should switch cached model');
+
+      const created = new Document();
+      assert(created.isNew() && String(created['rdf:type'][0]) === Document.type, 'New instance should get its type');
+    });
+  });
+
+  test('Typed models - accessors read and write underlying properties', async () => {
+    await withTypes(async () => {
+      const doc = new Document();
+      const modified = [];
+      doc.on('modified', (key) => modified.push(key));
+
+      doc.title = 'Draft';
+      doc.tags = ['a', 'b'];
+      assert(doc['v-s:title'][0] === 'Draft' && doc['v-s:tag'].length === 2, 'Setters should write property values');
+      assert(doc.title === 'Draft' && doc.tags.join() === 'a,b', 'Getters should read first or all values');
+      assert(modified.join() === 'v-s:title,v-s:tag', 'Only underlying properties should be modified');
+
+      const json = doc.toJSON();
+      assert(!('title' in json) && json['v-s:title'][0].data === 'Draft', 'Accessors should not be serialized');
+
+      doc.title = undefined;
+      assert(!('v-s:title' in doc) && doc.title === undefined, 'Setting undefined should delete the property');
+      assert(new Model().title === undefined, 'Plain models should not get accessors');
+    });
+  });
+
+  test('Typed models - accessors are reactive', async () => {
+    await withTypes(async () => {
+      const doc = new Document();
+      const seen = [];
+      const stop = effect(() => seen.push(doc.title));
+
+      doc['v-s:title'] = ['First'];
+      await flushEffects();
+      doc.title = 'Second';
+      await flushEffects();
+      stop();
+
+      assert(seen.join() === ',First,Second', 'Effect should rerun on property and accessor writes');
+    });
+  });
+};
@@ -0,0 +1,76 @@
+import Model from '../src/Model.js';
+import Query from '../src/Query.js';
+import VQL from '../src/VQL.js';
+
+export default ({ test, assert }) => {
+
+  const throws = (fn, message) => {
+    try {
+      fn();
+      assert(false, message);
+    } catch (error) {
+      assert(error instanceof TypeError, `${message}: should throw TypeError`);
+    }
+  };
+
+  test('VQL - conditions, sort and databases', () => {
+    const user = new Model('d:user_1');
+    const query = new VQL()
+      .eq('rdf:type', 'v-s:Todo')
+      .eq('v-s:creator', user)
+      .eq('v-s:completed', false)
+      .match('rdfs:label', 'report*')
+      .range('v-s:created', new Date('2024-01-01T00:00:00Z'), '2024-12-31T23:59:59Z')
+      .range('v-s:priority', 1, 5)
+      .sort('v-s:created', 'desc')
+      .sort('rdfs:label')
+      .databases('base', 'deleted');
+
+    assert(String(query) === [
+      "'rdf:type'==='v-s:Todo'",
+      "'v-s:creator'==='d:user_1'",
+      "'v-s:completed'==='false'",
+      "'rdfs:label'=='report*'",
+      "'v-s:created'==[2024-01-01T00:00:00.000Z,2024-12-31T23:59:59Z]",
+      "'v-s:priority'==[1,5]",
+    ].join(' && '), `Unexpected query: ${query}`);
+
+    const params = query.toParams({ top: 20 });
+    assert(params.sort === "'v-s:created' desc, 'rdfs:label' asc", 'Should join sort keys');
+    assert(params.databases === 'base,deleted' && params.top === 20, 'Should add databases and extra params');
+    assert(!('sort' in VQL.eq('rdf:type', 'v-s:Todo').toParams()), 'Should omit empty sort');
+  });
+
+  test('VQL - OR, AND, NOT groups', () => {
+    const query = VQL.eq('rdf:type', 'v-s:Todo')
+      .or(VQL.eq('v-s:creator', 'd:a'), VQL.eq('v-s:creator', 'd:b').eq('v-s:shared', true))
+      .not(VQL.or(VQL.match('*', 'draft'), VQL.eq('v-s:deleted', true)));
+
+    assert(String(query) === "'rdf:type'==='v-s:Todo' && ('v-s:creator'==='d:a' || ('v-s:creator'==='d:b' && 'v-s:shared'==='true')) && ('*'!='draft' && 'v-s:deleted'!='true')",
+      `Unexpected query: ${query}`);
+    assert(String(VQL.not(VQL.not(VQL.eq('a', 'b')))) === "'a'==='b'", 'Double negation should cancel');
+    throws(() => VQL.not(VQL.range('v-s:created', 1, 2)), 'Should reject negated ranges');
+  });
+
+  test('VQL - escaping and validation', () => {
+    const injected = "x' || 'rdf:type'==='v-s:Secret";
+    assert(String(VQL.eq('rdfs:label', injected)) === "'rdfs:label'==='x\\' || \\'rdf:type\\'===\\'v-s:Secret'", 'Should escape quotes');
+    assert(String(VQL.match("v-s:a'b", 'back\\slash')) === "'v-s:a\\'b'=='back\\\\slash'", 'Should escape properties and backslashes');
+
+    throws(() => VQL.range('v-s:created', "2024-01-01] || 'x'=='y", 1), 'Should reject string bounds that are not dates');
+    throws(() => VQL.range('v-s:count', NaN, 1), 'Should reject NaN bounds');
+    throws(() => VQL.eq('a', 'b').sort('a', 'sideways'), 'Should reject sort directions');
+    throws(() => VQL.eq('a', 'b').databases('base,system'), 'Should reject database names');
+    throws(() => VQL.or('raw string'), 'Should reject non-builders');
+  });
+
+  test('VQL - builders are immutable and usable in Query', () => {
+    const base = VQL.eq('rdf:type', 'v-s:Todo');
+    const mine = base.eq('v-s:creator', 'd:me');
+    assert(String(base) === "'rdf:type'==='v-s:Todo'" && String(mine).endsWith("'v-s:creator'==='d:me'"), 'Should not change the base');
+
+    const query = new Query(mine.sort('v-s:created', 'desc'), { load: false });
+    assert(query.params.query === String(mine) && query.params.sort === "'v-s:created' desc", 'Query should take builder params');
+    assert(String(new VQL()) === '', 'Empty builder should give an empty query');
+  });
+};
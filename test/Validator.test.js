@@ -0,0 +1,178 @@
+import Validator from '../src/Validator.js';
+import ValidationError from '../src/ValidationError.js';
+import Model from '../src/Model.js';
+import { effect, flushEffects } from '../src/Effect.js';
+import { generateTestId } from './helpers.js';
+import { MockTransport, withMockTransport } from './mocks/Transport.mock.js';
+
+export default ({ test, assert }) => {
+
+  const uri = (data) => ({ data, type: 'Uri' });
+  const int = (data) => ({ data, type: 'Integer' });
+
+  const ontology = [
+    { '@': 'v-s:Thing', 'rdf:type': [uri('owl:Class')] },
+    { '@': 'v-s:Document', 'rdf:type': [uri('owl:Class')], 'rdfs:subClassOf': [uri('v-s:Thing')] },
+    { '@': 'v-s:Note', 'rdf:type': [uri('owl:Class')], 'rdfs:subClassOf': [uri('v-s:Thing')] },
+    { '@': 'v-s:Person', 'rdf:type': [uri('owl:Class')] },
+    { '@': 'v-s:created', 'rdf:type': [uri('owl:DatatypeProperty')], 'rdfs:range': [uri('xsd:dateTime')] },
+    { '@': 'rdfs:label', 'rdf:type': [uri('owl:DatatypeProperty')], 'rdfs:range': [uri('rdfs:Literal')] },
+    {
+      '@': 'v-s:PsThingLabel', 'rdf:type': [uri('v-ui:DatatypePropertySpecification')],
+      'v-ui:forClass': [uri('v-s:Thing')], 'v-ui:forProperty': [uri('rdfs:label')], 'v-ui:minCardinality': [int(1)],
+    },
+    {
+      '@': 'v-s:PsDocumentCreated', 'rdf:type': [uri('v-ui:DatatypePropertySpecification')],
+      'v-ui:forClass': [uri('v-s:Document')], 'v-ui:forProperty': [uri('v-s:created')], 'v-ui:maxCardinality': [int(1)],
+    },
+    {
+      '@': 'v-s:PsDocumentAuthor', 'rdf:type': [uri('v-ui:ObjectPropertySpecification')],
+      'v-ui:forClass': [uri('v-s:Document')], 'v-ui:forProperty': [uri('v-s:author')], 'v-ui:rangeRestriction': [uri('v-s:Person')],
+    },
+    {
+      '@': 'v-s:PsNoteLabel', 'rdf:type': [uri('v-ui:DatatypePropertySpecification')],
+      'v-ui:forClass': [uri('v-s:Note')], 'v-ui:forProperty': [uri('rdfs:label')], 'v-ui:minCardinality': [int(0)],
+    },
+    { '@': 'd:Person1', 'rdf:type': [uri('v-s:Person')] },
+    { '@': 'd:Document1', 'rdf:type': [uri('v-s:Document')] },
+  ];
+
+  // Serves the ontology and answers v-ui:forClass queries, validator installed on Model
+  const withOntology = (fn) => withMockTransport(async (transport) => {
+    const server = new Map(ontology.map((individual) => [individual['@'], individual]));
+    const queries = [];
+    const writes = [];
+    transport.serve((id) => server.get(id));
+    transport.on('query', ({ data: { query } }) => {
+      queries.push(query);
+      const forClass = query.match(/'v-ui:forClass'==='(.+)'/)[1];
+      const result = ontology.filter((individual) => individual['v-ui:forClass']?.[0].data === forClass).map((individual) => individual['@']);
+      return { result };
+    });
+    transport.on('put_individual', ({ data }) => {
+      writes.push(data.individual);
+      return {};
+    });
+    transport.on('put_individuals', ({ data }) => {
+      writes.push(...data.individuals);
+      return {};
+    });
+    const validator = new Validator();
+    Model.validator = validator;
+    try {
+      await fn({ validator, queries, writes, transport });
+    } finally {
+      Model.validator = null;
+    }
+  });
+
+  const createDocument = () => {
+    const model = new Model();
+    model['rdf:type'] = [new Model('v-s:Document')];
+    return model;
+  };
+
+  test('Validator - reports cardinality, datatype and range violations', async () => {
+    await withOntology(async ({ validator }) => {
+      const model = createDocument();
+      model['v-s:created'] = ['yesterday', new Date()];
+      model['v-s:author'] = [new Model('d:Document1')];
+
+      const issues = await validator.validate(model);
+      const rules = issues.map((issue) => `${issue.property} ${issue.rule}`).sort();
+      assert(rules.join() === [
+        'rdfs:label minCardinality',
+        'v-s:author range',
+        'v-s:created datatype',
+        'v-s:created maxCardinality',
+      ].join(), 'Should report all violations');
+
+      model['rdfs:label'] = ['Report'];
+      model['v-s:created'] = [new Date()];
+      model['v-s:author'] = [new Model('d:Person1')];
+      assert((await validator.validate(model)).length === 0, 'Valid model should have no issues');
+    });
+  });
+
+  test('Validator - subclass specifications override superclass ones', async () => {
+    await withOntology(async ({ validator, queries }) => {
+      const note = new Model();
+      note['rdf:type'] = [new Model('v-s:Note')];
+      assert((await validator.validate(note)).length === 0, 'Note should not require a label');
+
+      const document = createDocument();
+      assert((await validator.validate(document))[0].property === 'rdfs:label', 'Document should inherit label requirement');
+      const count = queries.length;
+      await validator.validate(document);
+      assert(queries.length === count, 'Specifications should be cached');
+
+      validator.clear();
+      await validator.validate(document);
+      assert(queries.length > count, 'clear() should reload specifications');
+    });
+  });
+
+  test('Validator - errors are reactive per property', async () => {
+    await withOntology(async ({ validator }) => {
+      const model = createDocument();
+      const errors = validator.errorsOf(model);
+      const seen = [];
+      const stop = effect(() => seen.push(errors['rdfs:label']?.length ?? 0));
+
+      await validator.validate(model);
+      await flushEffects();
+      model['rdfs:label'] = ['Fixed'];
+      await validator.validate(model);
+      await flushEffects();
+      stop();
+
+      assert(seen.join() === '0,1,0', 'Effect should see errors appear and clear');
+      assert(validator.errorsOf(model) === errors, 'Should return the same errors object');
+    });
+  });
+
+  test('Validator - Model.save and transaction reject invalid models', async () => {
+    await withOntology(async ({ writes }) => {
+      const model = createDocument();
+      try {
+        await model.save();
+        assert(false, 'Should throw');
+      } catch (error) {
+        assert(error instanceof ValidationError && error.code === 422, 'Should reject with ValidationError');
+        assert(error.model === model && error.errors[0].property === 'rdfs:label', 'Should hold model and issues');
+      }
+      assert(writes.length === 0 && model.isNew(), 'Invalid model should not be sent');
+
+      model['rdfs:label'] = ['Valid'];
+      await model.save();
+      assert(writes.length === 1, 'Valid model should be saved');
+
+      const other = createDocument();
+      try {
+        await Model.transaction(() => {
+          model['rdfs:label'] = ['Changed'];
+          other['v-s:created'] = ['not a date'];
+        });
+        assert(false, 'Should throw');
+      } catch (error) {
+        assert(error instanceof ValidationError, 'Transaction should reject with ValidationError');
+      }
+      assert(writes.length === 1, 'Invalid transaction should not be sent');
+      assert(model['rdfs:label'][0] === 'Valid', 'Transaction should be rolled back');
+    });
+  });
+
+  test('Validator - linked individuals must match the range', async () => {
+    await withOntology(async ({ validator, transport }) => {
+      const model = createDocument();
+      model['rdfs:label'] = ['Report'];
+      model['v-s:author'] = ['plain text'];
+      assert((await validator.validate(model))[0].rule === 'datatype', 'Literal in object property should be reported');
+
+      model['v-s:author'] = [new Model(generateTestId('d:unreadable'))];
+      transport.on('get_individual', () => MockTransport.respond(472));
+      assert((await validator.validate(model)).length === 0, 'Unreadable individuals are not checked');
+      assert(transport.getRequests('get_individual').length > 0, 'Should try to load the individual');
+    });
+  });
+};
@@ -0,0 +1,107 @@
+/**
+ * Mock Transport for testing
+ * In-memory replacement for Backend.transport, records every request
+ */
+
+import Backend from '../../src/Backend.js';
+import { clearModelCache } from '../helpers.js';
+
+// Some suites replace Backend methods with mocks, keep the real ones for withMockTransport
+const methodNames = Object.getOwnPropertyNames(Backend).filter((name) => typeof Backend[name] === 'function');
+const realMethods = Object.fromEntries(methodNames.map((name) => [name, Backend[name]]));
+
+export class MockTransport {
+  constructor() {
+    this.requests = [];
+    this.handlers = new Map();
+  }
+
+  /**
+   * Register a handler for an endpoint.
+   * Handler receives the request (with parsed body as `data`) and returns
+   * either a plain value (sent as 200 JSON) or a response object from respond().
+   * @param {string} endpoint - Endpoint name (e.g. 'get_individual')
+   * @param {Function} handler
+   */
+  on(endpoint, handler) {
+    this.handlers.set(endpoint, handler);
+    return this;
+  }
+
+  async request(request) {
+    const endpoint = request.url.pathname.replace(/^\//, '');
+    const data = typeof request.body === 'string'
+      ? JSON.parse(request.body)
+      : Object.fromEntries(request.url.searchParams);
+    const entry = {...request, endpoint, data};
+    this.requests.push(entry);
+
+    if (request.signal?.aborted) {
+      throw new DOMException('Aborted', 'AbortError');
+    }
+
+    const handler = this.handlers.get(endpoint);
+    if (!handler) return MockTransport.respond(404);
+    const result = await handler(entry);
+    return result instanceof MockResponse ? result : MockTransport.respond(200, result);
+  }
+
+  /**
+   * Serve get_individual and get_individuals, answering 404 for unknown URIs.
+   * @param {Function} find - Returns the individual for a URI, or undefined
+   */
+  serve(find) {
+    const read = (uri) => structuredClone(find(uri));
+    this.on('get_individual', ({ data }) => find(data.uri) ? read(data.uri) : MockTransport.respond(404));
+    this.on('get_individuals', ({ data }) => data.uris.filter(find).map(read));
+    return this;
+  }
+
+  // Test helper: requests sent to an endpoint
+  getRequests(endpoint) {
+    return this.requests.filter((request) => request.endpoint === endpoint);
+  }
+
+  reset() {
+    this.requests = [];
+    this.handlers.clear();
+  }
+
+  static respond(status, body, headers = {}) {
+    return new MockResponse(status, body, headers);
+  }
+}
+
+/**
+ * Run fn with the real Backend methods sending through a new MockTransport,
+ * with an empty Model cache. Restores Backend afterwards.
+ * @param {Function} fn - Receives the transport
+ */
+export async function withMockTransport(fn) {
+  const transport = new MockTransport();
+  const original = Backend.transport;
+  const currentMethods = Object.fromEntries(methodNames.map((name) => [name, Backend[name]]));
+  Object.assign(Backend, realMethods);
+  Backend.transport = transport;
+  clearModelCache();
+  try {
+    return await fn(transport);
+  } finally {
+    Object.assign(Backend, currentMethods);
+    Backend.transport = original;
+    clearModelCache();
+  }
+}
+
+class MockResponse {
+  constructor(status, body, headers) {
+    this.status = status;
+    this.ok = status >= 200 && status < 300;
+    this.body = body;
+    this.headers = new Map(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  }
+
+  async json() {
+    return this.body;
+  }
+}
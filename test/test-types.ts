@@ -1,7 +1,19 @@
 // Test file to verify TypeScript definitions work correctly
-import Backend, { IndividualData, QueryResult } from '../src/Backend.js';
-import Model, { ModelValue } from '../src/Model.js';
+import Backend, { AuthResult, IndividualData, QueryResult, Transport, TransportRequest, StorageAdapter, fetchTransport, memoryStorage } from '../src/Backend.js';
+import Model, { ModelMembers, ModelValue, PropertyAccessors, PropertyChange, Transaction } from '../src/Model.js';
+import Outbox, { OutboxEntry, memoryStore } from '../src/Outbox.js';
+import PersistentCache, { memoryCacheAdapter } from '../src/PersistentCache.js';
+import ConflictError, { PropertyConflict } from '../src/ConflictError.js';
+import History from '../src/History.js';
+import Traversal from '../src/Traversal.js';
+import Query from '../src/Query.js';
+import VQL, { VQLParams } from '../src/VQL.js';
+import Validator, { ValidationIssue } from '../src/Validator.js';
+import ValidationError from '../src/ValidationError.js';
+import { PREFIXES, JSONLDDocument, parseTurtle, parseNTriples, parseJSONLD, toTurtle, toNTriples, toJSONLD } from '../src/RDF.js';
+import { generateTypes } from '../src/TypeGenerator.js';
 import Component, { html, safe } from '../src/components/Component.js';
+import { Search, SearchState } from '../src/components/SearchComponent.js';
 import Router from '../src/Router.js';
 import Subscription from '../src/Subscription.js';
 import { genUri, timeout } from '../src/Util.js';
@@ -26,6 +38,46 @@ async function testBackend() {
     '@': 'd:test',
     'rdf:type': [{ data: 'rdfs:Resource', type: 'Uri' }]
   });
+
+  // Transport and interceptors
+  const transport: Transport = {
+    request: async (request: TransportRequest) => ({ ok: true, status: 200, json: async () => ({}) })
+  };
+  Backend.transport = transport;
+  Backend.transport = fetchTransport;
+  const offRequest: () => void = Backend.onRequest((request) => {
+    request.headers['X-Request-Id'] = genUri();
+  });
+  const offResponse: () => void = Backend.onResponse((response, request) => response);
+  offRequest();
+  offResponse();
+
+  // Retry policy
+  Backend.retryPolicy.attempts = 3;
+  await Backend.get_individual('rdfs:Resource', true, { retry: { attempts: 5, statuses: [503] } });
+  await Backend.query("'rdf:type' === 'owl:Class'", undefined, undefined, undefined, undefined, undefined, undefined, { retry: { attempts: 1 } });
+
+  // Timeouts and cancellation scopes
+  Backend.requestTimeout = 30_000;
+  const scope = {};
+  const pending = Backend.get_individuals(['rdfs:Resource'], { scope, timeout: 5000 });
+  Backend.cancel(scope);
+
+  // Ticket lifecycle
+  Backend.ticketPolicy.renew = () => Backend.authenticate('user', 'pass');
+  Backend.ticketPolicy.renewBefore = 5 * 60_000;
+  Backend.ticketPolicy.reauthenticate = async () => {
+    await Backend.authenticate('user', 'pass');
+  };
+  Backend.events.on('ticket-expired', (session: AuthResult) => {});
+  const renewed: AuthResult = await Backend.renewTicket();
+
+  // Session storage and independent backends
+  const storage: StorageAdapter = memoryStorage();
+  Backend.init('http://localhost:8080', { storage });
+  const other: typeof Backend = Backend.create({ base: 'http://other:8080', transport: fetchTransport });
+  await other.authenticate('user', 'pass');
+  const otherUser: string = other.user_uri;
 }
 
 // Test Model types
@@ -52,6 +104,130 @@ async function testModel() {
   model.on('modified', (prop) => {
     // Modified callback
   });
+
+  // Offline queue
+  Model.outbox = new Outbox({ store: memoryStore(), retryDelay: 10_000 });
+  const queued: boolean = await Model.outbox.send('set_in_individual', { '@': model.id });
+  const pending: boolean = Model.outbox.has(model.id);
+  const size: number = Model.outbox.state.size;
+  Model.outbox.on('failed', (entry: OutboxEntry, error: Error) => {});
+  await Model.outbox.flush();
+  Model.outbox.destroy();
+
+  // Persistent cache
+  Model.persistentCache = new PersistentCache({ adapter: memoryCacheAdapter(), revalidate: false });
+  const cached: IndividualData | undefined = await Model.persistentCache.get(model.id);
+  const dropped: boolean = await Model.persistentCache.invalidate(model.id, 5);
+  await Model.persistentCache.clear();
+
+  // Transactions
+  const saved: Model[] = await Model.transaction(async (tx: Transaction) => {
+    const item = new Model();
+    item['rdfs:label'] = ['Item'];
+    model['v-s:hasItem'] = [item];
+    const joined: Model[] = await Model.transaction(() => { item['rdfs:comment'] = ['Nested']; }, tx);
+  });
+  const reloaded: Model[] = await Model.resetAll(saved);
+  await reloaded[0].reset(cached);
+
+  // Undo/redo
+  const history = new History({ coalesce: 300 }).track(model);
+  model['rdfs:label'] = ['Edited'];
+  history.checkpoint();
+  const canUndo: boolean = history.canUndo;
+  const undone: boolean = history.undo();
+  history.redo();
+  history.untrack(model).clear();
+
+  // Graph traversal
+  const traversal: Traversal = await model.traverse('v-s:attachment/v-s:author', { maxDepth: 3 }).loaded();
+  const authors: Model[] = traversal.models;
+  const subgraph: Model[] = new Traversal([model], ['^v-s:backwardTarget', 'v-s:hasPart+']).nodes;
+  const traversing: boolean = traversal.loading || !!traversal.error;
+  traversal.destroy();
+
+  // Live queries
+  const tasks = new Query({ query: "'rdf:type'==='v-s:Task'", top: 20 }, { watch: ['d:TaskRegistry'], watchResults: true });
+  const page: Model[] = await tasks.run({ from: 0 });
+  const more: boolean = tasks.hasMore && !tasks.loading && tasks.state.estimated > page.length;
+  await tasks.next();
+  tasks.unwatch('d:TaskRegistry').destroy();
+
+  // Query builder
+  const todos = VQL.eq('rdf:type', 'v-s:Todo')
+    .or(VQL.eq('v-s:creator', model), VQL.match('rdfs:label', 'report*'))
+    .not(VQL.eq('v-s:completed', true))
+    .range('v-s:created', new Date(2024, 0, 1), new Date())
+    .sort('v-s:created', 'desc')
+    .databases('base');
+  const todoParams: VQLParams = todos.toParams({ top: 20 });
+  const todoQuery: string = String(todos);
+  const liveTodos = new Query(todos, { load: false });
+
+  // Search component
+  const search = new Search();
+  await search.toggle('v-s:hasStatus', 'v-s:StatusActive');
+  const searchState: SearchState = search.state.search;
+  const topStatus: number = searchState.facets[0]?.values[0]?.count ?? searchState.estimated;
+
+  // Dirty tracking
+  const changes: Record<string, PropertyChange> = model.getChanges();
+  const labelBefore: ModelValue[] = changes['rdfs:label']?.before ?? [];
+  const dirty: boolean = model.isDirty('rdfs:label') || model.isDirty();
+  model.revert('rdfs:label');
+  model.revertAll();
+
+  // Typed subclasses
+  class TypedDocument extends Model {
+    static type = 'v-s:Document';
+    static properties: PropertyAccessors = { title: 'v-s:title', tags: ['v-s:tag'] };
+    declare title: string | undefined;
+    declare tags: string[];
+  }
+  const Registered: typeof TypedDocument = Model.register(TypedDocument);
+  const typed = new Registered();
+  typed.title = 'Report';
+  const tags: string[] = typed.tags;
+  const typeClass: typeof Model | undefined = Model.types.get('v-s:Document');
+
+  // Ontology types
+  const ontology: IndividualData[] = parseTurtle('v-s:Document a owl:Class .');
+  const declarations: string = generateTypes(ontology, { importFrom: 'veda-client' });
+  interface GeneratedDocument extends ModelMembers { 'v-s:title': [string] }
+  const generated = model as GeneratedDocument;
+  const generatedTitle: string = generated['v-s:title'][0];
+
+  // RDF formats
+  const turtle: string = toTurtle([model, ontology[0]], { prefixes: { ...PREFIXES, ex: 'http://example.com/' } });
+  const triples: string = toNTriples([model]);
+  const jsonld: JSONLDDocument = toJSONLD([model]);
+  const imported: Model[] = [...parseTurtle(turtle), ...parseNTriples(triples), ...parseJSONLD(jsonld)].map((data) => new Model(data));
+
+  // Validation
+  const validator = new Validator();
+  Model.validator = validator;
+  validator.validate(model).then((issues: ValidationIssue[]) => issues.map((issue) => issue.rule));
+  const labelErrors: ValidationIssue[] | undefined = validator.errorsOf(model)['rdfs:label'];
+  model.save().catch((error) => {
+    if (error instanceof ValidationError) {
+      const first: ValidationIssue = error.errors[0];
+    }
+  });
+  Model.validator = null;
+
+  // Optimistic concurrency
+  Model.checkConflicts = true;
+  try {
+    await model.save();
+  } catch (error) {
+    if (error instanceof ConflictError) {
+      const { merged, conflicts } = error.merge();
+      const conflict: PropertyConflict | undefined = conflicts[0];
+      model.apply(merged);
+      model.rebase(error.remote);
+      await model.save();
+    }
+  }
 }
 
 // Test Component types
@@ -96,6 +272,12 @@ function testSubscription() {
       // Subscription callback
     }
   ]);
+
+  Subscription.reconnectPolicy = { ...Subscription.reconnectPolicy, maxDelay: 60_000 };
+  const online: boolean = Subscription.state.status === 'open' && Subscription.state.attempt === 0;
+  const bound: boolean = online && Backend.ticket !== undefined;
+  Subscription.heartbeatPolicy = { ...Subscription.heartbeatPolicy, interval: 15_000 };
+  const idle: number = Date.now() - (Subscription.state.lastMessage ?? 0) + Subscription.state.reconnects;
 }
 
 // Test Util types